@@ -0,0 +1,58 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * Measures the time taken to parse and transform deeply nested and very long queries, and prints the results as the table shown in the README.  Run it with npm run benchmark.
+ */
+
+const FTSQuery = require("../ftsQuery"),
+
+    ftsQuery = new FTSQuery(true),
+    unlimited = new FTSQuery(true, {limits: {maxTerms: null, maxDepth: null}}),
+    repetitions = 10;
+
+/**
+ * Measures the average time a function takes to run.
+ * @param {function(): void} fn The function.
+ * @returns {number} The average time, in milliseconds.
+ */
+const time = (fn) => {
+    const start = process.hrtime.bigint();
+
+    for (let i = 0; i < repetitions; i++) {
+        fn();
+    }
+
+    return Number(process.hrtime.bigint() - start) / 1e6 / repetitions;
+};
+
+/**
+ * Formats a time for the table.
+ * @param {number} ms The time, in milliseconds.
+ * @returns {string} The formatted time.
+ */
+const format = (ms) => `${ms.toFixed(1)} ms`;
+
+/**
+ * Measures the queries of a size.
+ * @param {number} count The nesting depth of the nested query, and a quarter of the number of repetitions in the long query.
+ * @returns {string} The row of the table.
+ */
+const measure = (count) => {
+    const nested = `${"(alpha ".repeat(count)}${")".repeat(count)}`,
+        long = "alpha \"beta gamma\" -delta <epsilon zeta> (eta or theta) ".repeat(count * 4);
+
+    return `| ${count} | ${format(time(() => unlimited.parseQuery(nested)))} | ${format(time(() => ftsQuery.transform(nested)))} | ${long.length} | ${format(time(() => unlimited.parseQuery(long)))} | ${format(time(() => ftsQuery.transform(long)))}`;
+};
+
+const counts = [250, 500, 1000, 2000];
+
+// Measure every size once before printing, so that the first row is not slowed by optimizing the code
+counts.forEach(measure);
+
+console.log("| Nesting depth | parseQuery() | transform() | Characters | parseQuery() | transform()");
+console.log("| ------------- | ------------ | ----------- | ---------- | ------------ | -----------");
+
+for (const count of counts) {
+    console.log(measure(count));
+}
@@ -0,0 +1,520 @@
+#!/usr/bin/env node
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").CliArguments} CliArguments
+ * @typedef {import("./types/index").CliFormat} CliFormat
+ * @typedef {import("./types/index").CliOptions} CliOptions
+ * @typedef {import("./types/index").Dialect} Dialect
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").Language} Language
+ */
+
+const fs = require("fs"),
+    readline = require("readline"),
+
+    FTSQuery = require("./ftsQuery"),
+    InternalNode = require("./internalNode"),
+    StopLists = require("./stopLists"),
+    TerminalNode = require("./terminalNode");
+
+/**
+ * @type {CliFormat[]} The output formats.
+ */
+const formats = ["condition", "tree", "json"];
+
+/**
+ * @type {Dialect[]} The dialects conditions can be rendered in.
+ */
+const dialects = ["SqlServer", "MySql", "Postgres", "Sqlite", "Friendly"];
+
+/**
+ * @type {string} The command line usage.
+ */
+const usage = `Usage: fts-query [options] [query...]
+
+Converts each query to a full-text search condition.  Queries are read from the
+arguments, or from standard input one per line.  With no queries and a terminal
+for standard input, an interactive session is started.  Queries that start with
+a hyphen, such as -abc, must follow -- so they are not read as options.
+
+Options:
+  -f, --format <format>      condition, tree or json.  Defaults to condition.
+  -d, --dialect <dialect>    SqlServer, MySql, Postgres, Sqlite or Friendly.
+                             Defaults to SqlServer.
+  -s, --stop-words <list>    standard to remove the standard stop words, or none.
+                             Defaults to standard.
+      --stop-word <word>     Removes a word as a stop word.  May be repeated.
+      --stop-list <file>     Loads stop lists from a CSV export of
+                             sys.fulltext_system_stopwords or sys.fulltext_stopwords.
+  -l, --language <language>  The LCID or culture name choosing the stop list.
+  -w, --warnings             Prints the warnings for each query.
+  -i, --interactive          Starts an interactive session.
+  -h, --help                 Prints this help.
+`;
+
+/**
+ * @type {string} The help for the commands of an interactive session.
+ */
+const commandHelp = `Type a query to convert it, or one of the following commands.
+
+  .format <format>      condition, tree or json
+  .dialect <dialect>    SqlServer, MySql, Postgres, Sqlite or Friendly
+  .stopwords <list>     standard or none
+  .warnings <on|off>    Prints the warnings for each query
+  .help                 Prints this help
+  .exit                 Ends the session
+`;
+
+/**
+ * Class for the fts-query command, which converts queries from the command line or standard input, and prints the condition, the expression tree, or JSON, so that what a search turned into can be inspected without writing code.
+ * @example <caption>The following list shows how the command is used.</caption>
+ * fts-query "abc or def"                  Prints the condition for a query
+ * fts-query -f tree "abc or def"          Prints the fixed up expression tree
+ * fts-query -f json < queries.txt         Prints a line of JSON for each line of a file
+ * fts-query -d Postgres -s none           Starts an interactive session
+ */
+class Cli {
+    /**
+     * Constructs a Cli instance.
+     * @param {CliOptions} [options] The command line options.
+     */
+    constructor(options) {
+        /**
+         * @type {CliFormat} The output format.
+         */
+        this.format = options && options.format || "condition";
+
+        /**
+         * @type {Dialect} The dialect to render conditions in.
+         */
+        this.dialect = options && options.dialect || "SqlServer";
+
+        /**
+         * @type {boolean} Whether to remove the standard stop words.
+         */
+        this.standardStopWords = !(options && options.standardStopWords === false);
+
+        /**
+         * @type {string[]} Additional stop words.
+         */
+        this.stopWords = options && options.stopWords || [];
+
+        /**
+         * @type {string} The CSV text of the stop lists to load.
+         */
+        this.stopListCsv = options && options.stopListCsv || null;
+
+        /**
+         * @type {Language} The LCID or culture name choosing the stop list.
+         */
+        this.language = options && options.language || null;
+
+        /**
+         * @type {boolean} Whether to print the warnings for each query.
+         */
+        this.warnings = !!(options && options.warnings);
+
+        /**
+         * @type {FTSQuery} The instance used to convert queries.
+         */
+        this.ftsQuery = this.createFtsQuery();
+    }
+
+    /**
+     * Creates the FTSQuery instance for the stop word options.
+     * @returns {FTSQuery} The instance.
+     */
+    createFtsQuery() {
+        const stopLists = new StopLists(this.standardStopWords);
+
+        if (this.stopListCsv) {
+            stopLists.loadCsv(this.stopListCsv);
+        }
+
+        // The standard stop words are in the English stop list, so that they are not removed from queries in other languages
+        const ftsQuery = new FTSQuery(false, {stopLists, language: this.language});
+
+        ftsQuery.stopWords.push(...this.stopWords);
+
+        return ftsQuery;
+    }
+
+    /**
+     * Converts a query and formats the result.
+     * @param {string} query The query.
+     * @returns {string} The output for the query, ending with a line break.
+     */
+    convert(query) {
+        /** @type {FixUpWarning[]} */
+        const warnings = [];
+
+        let output;
+
+        switch (this.format) {
+            case "tree": {
+                const node = this.fixUp(query, warnings);
+
+                output = `${node ? Cli.renderTree(node).join("\n") : "(empty)"}\n`;
+                break;
+            }
+            case "json": {
+                const condition = this.ftsQuery.transform(query, this.dialect, warnings),
+                    node = this.fixUp(query, []);
+
+                return `${JSON.stringify({query, condition, warnings, tree: node ? node.toJSON() : null})}\n`;
+            }
+            default:
+                output = `${this.ftsQuery.transform(query, this.dialect, warnings)}\n`;
+                break;
+        }
+
+        if (this.warnings) {
+            output += warnings.map((w) => `warning: ${w.code} ${w.message}${typeof w.start === "number" ? ` (${w.start}-${w.end})` : ""}\n`).join("");
+        }
+
+        return output;
+    }
+
+    /**
+     * Parses a query and fixes up its expression tree for the dialect, the same way it is before it is rendered.
+     * @param {string} query The query.
+     * @param {FixUpWarning[]} warnings An array to add a warning to for each correction made to the query.
+     * @returns {INode} The fixed up expression tree, or null if the query has no terms.
+     */
+    fixUp(query, warnings) {
+        const node = this.ftsQuery.parseQuery(query, warnings),
+            renderer = FTSQuery.getRenderer(this.dialect);
+
+        return renderer ? renderer.fixUpExpressionTree(node, true, warnings) : this.ftsQuery.fixUpExpressionTree(node, true, warnings);
+    }
+
+    /**
+     * Runs a command of an interactive session.
+     * @param {string} line The command, starting with a period.
+     * @returns {string} The output of the command, or null to end the session.
+     */
+    runCommand(line) {
+        const [command, value] = line.trim().split(/\s+/);
+
+        try {
+            switch (command) {
+                case ".format":
+                    this.format = Cli.getFormat(value);
+                    return "";
+                case ".dialect":
+                    this.dialect = Cli.getDialect(value);
+                    return "";
+                case ".stopwords":
+                    this.standardStopWords = Cli.getStandardStopWords(value);
+                    this.ftsQuery = this.createFtsQuery();
+                    return "";
+                case ".warnings":
+                    this.warnings = value !== "off";
+                    return "";
+                case ".help":
+                    return commandHelp;
+                case ".exit":
+                    return null;
+                default:
+                    return `Unknown command ${command}.  Type .help for the commands.\n`;
+            }
+        } catch (err) {
+            return `${err.message}\n`;
+        }
+    }
+
+    /**
+     * Converts each line of a stream, ignoring blank lines.
+     * @param {NodeJS.ReadableStream} input The stream to read.
+     * @param {NodeJS.WritableStream} output The stream to write the results to.
+     * @returns {Promise} A promise that resolves when the stream ends.
+     */
+    convertLines(input, output) {
+        return new Promise((resolve) => {
+            const lines = readline.createInterface({input, terminal: false});
+
+            lines.on("line", (line) => {
+                if (line.trim() !== "") {
+                    output.write(this.convert(line));
+                }
+            });
+            lines.on("close", resolve);
+        });
+    }
+
+    /**
+     * Runs an interactive session, converting each line typed and running commands that start with a period.
+     * @param {NodeJS.ReadableStream} input The stream to read.
+     * @param {NodeJS.WritableStream} output The stream to write the results to.
+     * @returns {Promise} A promise that resolves when the session ends.
+     */
+    interact(input, output) {
+        return new Promise((resolve) => {
+            const repl = readline.createInterface({input, output, prompt: "fts-query> "});
+
+            repl.on("line", (line) => {
+                if (line.trim().startsWith(".")) {
+                    const result = this.runCommand(line);
+
+                    if (result === null) {
+                        repl.close();
+                        return;
+                    }
+                    output.write(result);
+                } else if (line.trim() !== "") {
+                    try {
+                        output.write(this.convert(line));
+                    } catch (err) {
+                        output.write(`${err.message}\n`);
+                    }
+                }
+                repl.prompt();
+            });
+            repl.on("close", resolve);
+
+            output.write(commandHelp);
+            repl.prompt();
+        });
+    }
+
+    /**
+     * Renders an expression tree as lines of ASCII art, with one line for each node.
+     * @param {INode} node The root node of the expression tree.
+     * @returns {string[]} The lines.
+     */
+    static renderTree(node) {
+        /** @type {string[]} */
+        const lines = [];
+
+        /**
+         * Adds the lines for a node and its children.
+         * @param {INode} n The node.
+         * @param {string} prefix The text before the node's label.
+         * @param {string} childPrefix The text before the labels of the node's children.
+         * @returns {void}
+         */
+        const add = (n, prefix, childPrefix) => {
+            lines.push(`${prefix}${Cli.getLabel(n)}`);
+
+            if (n instanceof InternalNode) {
+                const children = [n.leftChild, n.rightChild].filter((child) => child);
+
+                children.forEach((child, index) => {
+                    const last = index === children.length - 1;
+
+                    add(child, `${childPrefix}${last ? "`-- " : "|-- "}`, `${childPrefix}${last ? "    " : "|   "}`);
+                });
+            }
+        };
+
+        add(node, "", "");
+
+        return lines;
+    }
+
+    /**
+     * Gets the label of a node in the ASCII art of an expression tree.
+     * @param {INode} node The node.
+     * @returns {string} The label.
+     */
+    static getLabel(node) {
+        const flags = [];
+
+        let label = "";
+
+        if (node instanceof InternalNode) {
+            label = node.conjunction.toUpperCase();
+            if (node.isCustomProximity()) {
+                flags.push(`distance: ${node.distance === null ? "max" : node.distance}`);
+                if (node.ordered) {
+                    flags.push("ordered");
+                }
+            }
+        } else if (node instanceof TerminalNode) {
+            label = `${node.termForm}: ${node.term}`;
+            if (node.column) {
+                flags.push(`column: ${node.column}`);
+            }
+            if (node.weight !== null) {
+                flags.push(`weight: ${node.weight}`);
+            }
+        }
+
+        if (node.exclude) {
+            flags.push("excluded");
+        }
+        if (node.grouped) {
+            flags.push("grouped");
+        }
+
+        return `${label}${flags.map((flag) => ` [${flag}]`).join("")}`;
+    }
+
+    /**
+     * Validates an output format.
+     * @param {string} value The name of the format.
+     * @returns {CliFormat} The format.
+     */
+    static getFormat(value) {
+        const format = formats.find((f) => f === value);
+
+        if (!format) {
+            throw new RangeError(`The format must be one of ${formats.join(", ")}.`);
+        }
+
+        return format;
+    }
+
+    /**
+     * Validates a dialect.
+     * @param {string} value The name of the dialect.
+     * @returns {Dialect} The dialect.
+     */
+    static getDialect(value) {
+        const dialect = dialects.find((d) => d === value);
+
+        if (!dialect) {
+            throw new RangeError(`The dialect must be one of ${dialects.join(", ")}.`);
+        }
+
+        return dialect;
+    }
+
+    /**
+     * Validates the name of a stop list option.
+     * @param {string} value standard or none.
+     * @returns {boolean} Whether to remove the standard stop words.
+     */
+    static getStandardStopWords(value) {
+        if (value !== "standard" && value !== "none") {
+            throw new RangeError("The stop words must be standard or none.");
+        }
+
+        return value === "standard";
+    }
+
+    /**
+     * Parses the command line arguments.
+     * @param {string[]} args The arguments, not including the node executable and script.
+     * @returns {CliArguments} The options, the queries, and whether an interactive session or the help was requested.
+     */
+    static parseArguments(args) {
+        /** @type {CliOptions} */
+        const options = {stopWords: []},
+            queries = [];
+
+        let interactive = false,
+            help = false;
+
+        for (let index = 0; index < args.length; index++) {
+            const arg = args[index];
+
+            /**
+             * Gets the value of the current option.
+             * @returns {string} The value.
+             */
+            const value = () => {
+                if (index + 1 >= args.length) {
+                    throw new RangeError(`${arg} requires a value.`);
+                }
+
+                return args[++index];
+            };
+
+            switch (arg) {
+                case "-f":
+                case "--format":
+                    options.format = Cli.getFormat(value());
+                    break;
+                case "-d":
+                case "--dialect":
+                    options.dialect = Cli.getDialect(value());
+                    break;
+                case "-s":
+                case "--stop-words":
+                    options.standardStopWords = Cli.getStandardStopWords(value());
+                    break;
+                case "--stop-word":
+                    options.stopWords.push(value());
+                    break;
+                case "--stop-list":
+                    options.stopListCsv = fs.readFileSync(value(), "utf8");
+                    break;
+                case "-l":
+                case "--language":
+                    options.language = value();
+                    break;
+                case "-w":
+                case "--warnings":
+                    options.warnings = true;
+                    break;
+                case "-i":
+                case "--interactive":
+                    interactive = true;
+                    break;
+                case "-h":
+                case "--help":
+                    help = true;
+                    break;
+                case "--":
+                    queries.push(...args.slice(index + 1));
+                    index = args.length;
+                    break;
+                default:
+                    if ((/^--?[a-z]/i).test(arg)) {
+                        throw new RangeError(`Unknown option ${arg}.`);
+                    }
+                    queries.push(arg);
+                    break;
+            }
+        }
+
+        return {options, queries, interactive, help};
+    }
+
+    /**
+     * Runs the command.
+     * @param {string[]} args The arguments, not including the node executable and script.
+     * @returns {Promise} A promise that resolves when the command has finished.
+     */
+    static async main(args) {
+        let parsed;
+
+        try {
+            parsed = Cli.parseArguments(args);
+        } catch (err) {
+            process.stderr.write(`fts-query: ${err.message}\n\n${usage}`);
+            process.exitCode = 2;
+            return;
+        }
+
+        if (parsed.help) {
+            process.stdout.write(usage);
+            return;
+        }
+
+        const cli = new Cli(parsed.options);
+
+        if (parsed.interactive || parsed.queries.length === 0 && process.stdin.isTTY) {
+            await cli.interact(process.stdin, process.stdout);
+        } else if (parsed.queries.length > 0) {
+            for (const query of parsed.queries) {
+                process.stdout.write(cli.convert(query));
+            }
+        } else {
+            await cli.convertLines(process.stdin, process.stdout);
+        }
+    }
+}
+
+if (require.main === module) {
+    Cli.main(process.argv.slice(2)).catch((err) => {
+        process.stderr.write(`fts-query: ${err.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = Cli;
@@ -0,0 +1,579 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ConditionToken} ConditionToken
+ * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").TermForm} TermForm
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings"),
+
+    numberRegex = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/,
+    symbolRegex = /[()",&|~!]/,
+    whitespaceRegex = /\s/;
+
+/**
+ * Class to parse a SQL Server full-text search condition, such as one passed to CONTAINS, into an expression tree.  No exceptions are thrown for badly formed conditions.  The parser builds the best expression tree it can, and reports each part of the condition it could not understand.
+ * @example <caption>The following list shows how parts of a condition are parsed.</caption>
+ * abc or "abc"                        Literal term abc
+ * "abc*"                              Literal term abc*, a prefix term
+ * FORMSOF(INFLECTIONAL, abc)          Inflectional term abc
+ * FORMSOF(THESAURUS, abc)             Thesaurus term abc
+ * FORMSOF(INFLECTIONAL, abc, def)     Inflectional terms abc and def, joined with OR
+ * "abc" NEAR "def" or "abc" ~ "def"   Literal terms abc and def, joined with NEAR
+ * NEAR((abc, def), 5, TRUE)           A custom proximity term with a distance of 5, in order
+ * ISABOUT(abc WEIGHT(0.5), def)       Literal terms abc, with a weight of 0.5, and def, joined with OR
+ * abc AND NOT def or abc &! def       Literal term abc, and excluded literal term def, joined with AND
+ * abc OR def or abc | def             Literal terms abc and def, joined with OR
+ * NOT has the highest precedence, followed by AND and then OR, the same as SQL Server.
+ */
+class ConditionParser {
+    /**
+     * Constructs a ConditionParser instance.
+     * @param {string} condition The search condition to parse.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each part of the condition that could not be understood.
+     */
+    constructor(condition, warnings) {
+        /**
+         * @type {ConditionToken[]} The tokens of the condition.
+         */
+        this.tokens = ConditionParser.tokenize(condition);
+
+        /**
+         * @type {number} The index of the next token to parse.
+         */
+        this.index = 0;
+
+        /**
+         * @type {FixUpWarning[]} The array to add warnings to.
+         */
+        this.warnings = warnings;
+    }
+
+    /**
+     * Parses the condition.
+     * @returns {INode} Root node of the expression tree.
+     */
+    parse() {
+        /** @type {INode} */
+        let root = null;
+
+        while (this.index < this.tokens.length) {
+            root = ConditionParser.join(root, this.parseOr(), "And");
+
+            // Anything left over could not be parsed as part of the condition, so skip past it
+            if (this.index < this.tokens.length) {
+                this.skip("An unexpected part of the condition was ignored.");
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * Parses expressions joined with OR.
+     * @returns {INode} The expression.
+     */
+    parseOr() {
+        let left = this.parseAnd();
+
+        while (this.isKeyword("or") || this.isSymbol("|")) {
+            this.index++;
+            left = ConditionParser.join(left, this.parseAnd(), "Or");
+        }
+
+        return left;
+    }
+
+    /**
+     * Parses expressions joined with AND or AND NOT.
+     * @returns {INode} The expression.
+     */
+    parseAnd() {
+        let left = this.parseNear();
+
+        while (this.isKeyword("and") || this.isSymbol("&") || this.startsTerm()) {
+            if (this.startsTerm()) {
+                Warnings.add(this.warnings, "CONDITION_SYNTAX", "Expressions without a conjunction between them were joined with AND.", this.tokens[this.index]);
+            } else {
+                this.index++;
+            }
+
+            left = ConditionParser.join(left, this.parseNear(), "And");
+        }
+
+        return left;
+    }
+
+    /**
+     * Parses terms joined with the NEAR operator.
+     * @returns {INode} The expression.
+     */
+    parseNear() {
+        let left = this.parseUnary();
+
+        while (this.isKeyword("near") && !this.isSymbol("(", 1) || this.isSymbol("~")) {
+            this.index++;
+            left = ConditionParser.join(left, this.parseUnary(), "Near");
+        }
+
+        return left;
+    }
+
+    /**
+     * Parses a term, a parenthesized expression, or an excluded expression.
+     * @returns {INode} The expression, or null if there was nothing to parse.
+     */
+    parseUnary() {
+        const token = this.tokens[this.index];
+
+        if (!token) {
+            Warnings.add(this.warnings, "CONDITION_SYNTAX", "The condition ended where a term was expected.");
+            return null;
+        }
+
+        if (this.isKeyword("not") || this.isSymbol("!")) {
+            this.index++;
+            return this.exclude(this.parseUnary(), token);
+        }
+
+        if (this.isSymbol("(")) {
+            this.index++;
+
+            const node = this.parseOr();
+
+            if (this.isSymbol(")")) {
+                this.index++;
+            } else {
+                Warnings.add(this.warnings, "CONDITION_SYNTAX", "An opening parenthesis was not closed.", token);
+            }
+
+            if (node) {
+                node.grouped = true;
+                ConditionParser.setSpan(node, token.start, this.tokens[this.index - 1].end);
+            }
+
+            return node;
+        }
+
+        if (this.isKeyword("formsof") && this.isSymbol("(", 1)) {
+            return this.parseFormsOf();
+        }
+
+        if (this.isKeyword("near") && this.isSymbol("(", 1)) {
+            return this.parseProximity();
+        }
+
+        if (this.isKeyword("isabout") && this.isSymbol("(", 1)) {
+            return this.parseIsAbout();
+        }
+
+        if (token.type === "Word" && ["and", "or", "not", "near"].indexOf(token.value.toLowerCase()) === -1 || token.type === "Phrase") {
+            this.index++;
+            return ConditionParser.createTerm(token, "Literal");
+        }
+
+        this.skip("An unexpected part of the condition was ignored where a term was expected.");
+
+        return null;
+    }
+
+    /**
+     * Parses a generation term, such as FORMSOF(INFLECTIONAL, abc).
+     * @returns {INode} The expression.
+     */
+    parseFormsOf() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        /** @type {TermForm} */
+        let termForm = "Inflectional";
+
+        if (this.isKeyword("thesaurus")) {
+            termForm = "Thesaurus";
+            this.index++;
+        } else if (this.isKeyword("inflectional")) {
+            this.index++;
+        } else {
+            Warnings.add(this.warnings, "CONDITION_SYNTAX", "FORMSOF was missing INFLECTIONAL or THESAURUS, so INFLECTIONAL was used.", start);
+        }
+
+        const node = this.parseTermList(termForm, "Or");
+
+        this.expectSymbol(")", start);
+
+        return ConditionParser.group(node, start, this.tokens[this.index - 1]);
+    }
+
+    /**
+     * Parses a custom proximity term, such as NEAR((abc, def), 5, TRUE).
+     * @returns {INode} The expression.
+     */
+    parseProximity() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        this.expectSymbol("(", start);
+
+        const node = this.parseTermList("Literal", "Near");
+
+        this.expectSymbol(")", start);
+
+        /** @type {number} */
+        let distance = null,
+            ordered = false;
+
+        if (this.isSymbol(",")) {
+            this.index++;
+
+            const token = this.tokens[this.index];
+
+            if (token && token.type === "Word" && numberRegex.test(token.value)) {
+                distance = Math.floor(Number(token.value));
+                this.index++;
+            } else if (this.isKeyword("max")) {
+                this.index++;
+            } else {
+                Warnings.add(this.warnings, "CONDITION_SYNTAX", "The maximum distance of a proximity term was not understood, so MAX was used.", token);
+            }
+        }
+
+        if (this.isSymbol(",")) {
+            this.index++;
+
+            if (this.isKeyword("true")) {
+                ordered = true;
+                this.index++;
+            } else if (this.isKeyword("false")) {
+                this.index++;
+            } else {
+                Warnings.add(this.warnings, "CONDITION_SYNTAX", "The match order of a proximity term was not understood, so FALSE was used.", this.tokens[this.index]);
+            }
+        }
+
+        this.expectSymbol(")", start);
+
+        ConditionParser.setProximity(node, distance, ordered);
+
+        return ConditionParser.group(node, start, this.tokens[this.index - 1], false);
+    }
+
+    /**
+     * Parses a weighted term, such as ISABOUT(abc WEIGHT(0.5), def).
+     * @returns {INode} The expression.
+     */
+    parseIsAbout() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        /** @type {INode} */
+        let node = null;
+
+        do {
+            if (this.isSymbol(",")) {
+                this.index++;
+            }
+
+            const term = this.parseNear();
+
+            if (this.isKeyword("weight") && this.isSymbol("(", 1)) {
+                const weightToken = this.tokens[this.index + 2];
+
+                this.index += 2;
+
+                if (weightToken && weightToken.type === "Word" && numberRegex.test(weightToken.value) && Number(weightToken.value) <= 1) {
+                    if (term instanceof TerminalNode) {
+                        term.weight = Number(weightToken.value);
+                    }
+                    this.index++;
+                } else {
+                    Warnings.add(this.warnings, "WEIGHT_DROPPED", "A weight that was not a number from 0 through 1 was ignored.", weightToken);
+                    this.skipUntil(")");
+                }
+
+                this.expectSymbol(")", start);
+            }
+
+            node = ConditionParser.join(node, term, "Or");
+        } while (this.isSymbol(","));
+
+        this.expectSymbol(")", start);
+
+        return ConditionParser.group(node, start, this.tokens[this.index - 1]);
+    }
+
+    /**
+     * Parses a comma separated list of simple terms, such as those within FORMSOF or NEAR.
+     * @param {TermForm} termForm The form of the terms.
+     * @param {ConjunctionType} conjunction The conjunction to join the terms with.
+     * @returns {INode} The terms.
+     */
+    parseTermList(termForm, conjunction) {
+        /** @type {INode} */
+        let node = null;
+
+        do {
+            if (this.isSymbol(",")) {
+                this.index++;
+            }
+
+            const token = this.tokens[this.index];
+
+            if (token && (token.type === "Word" || token.type === "Phrase")) {
+                node = ConditionParser.join(node, ConditionParser.createTerm(token, termForm), conjunction);
+                this.index++;
+            } else {
+                this.skip("An unexpected part of the condition was ignored where a term was expected.");
+            }
+        } while (this.isSymbol(","));
+
+        return node;
+    }
+
+    /**
+     * Excludes an expression.  Since only terms can be excluded in the expression tree, an excluded OR expression is converted to an AND expression of excluded terms.
+     * @param {INode} node The expression to exclude.
+     * @param {ConditionToken} token The NOT token.
+     * @returns {INode} The excluded expression.
+     */
+    exclude(node, token) {
+        if (node instanceof TerminalNode) {
+            node.exclude = !node.exclude;
+        } else if (node instanceof InternalNode && node.conjunction === "Or") {
+            node.conjunction = "And";
+            node.grouped = false;
+            node.leftChild = this.exclude(node.leftChild, token);
+            node.rightChild = this.exclude(node.rightChild, token);
+        } else if (node) {
+            Warnings.add(this.warnings, "CONDITION_UNSUPPORTED", "NOT was ignored, since only terms and expressions joined with OR can be excluded.", token);
+        }
+
+        return node;
+    }
+
+    /**
+     * Determines whether the token at an offset from the current token is a keyword.
+     * @param {string} keyword The keyword, in lowercase.
+     * @param {number} [ahead] The offset of the token.
+     * @returns {boolean} Whether the token is the keyword.
+     */
+    isKeyword(keyword, ahead) {
+        const token = this.tokens[this.index + (ahead || 0)];
+
+        return !!token && token.type === "Word" && token.value.toLowerCase() === keyword;
+    }
+
+    /**
+     * Determines whether the token at an offset from the current token is a symbol.
+     * @param {string} symbol The symbol.
+     * @param {number} [ahead] The offset of the token.
+     * @returns {boolean} Whether the token is the symbol.
+     */
+    isSymbol(symbol, ahead) {
+        const token = this.tokens[this.index + (ahead || 0)];
+
+        return !!token && token.type === "Symbol" && token.value === symbol;
+    }
+
+    /**
+     * Determines whether the current token starts a term or a parenthesized expression, rather than being a conjunction.
+     * @returns {boolean} Whether the current token starts a term.
+     */
+    startsTerm() {
+        const token = this.tokens[this.index];
+
+        return !!token && (token.type === "Phrase" || this.isSymbol("(") || token.type === "Word" && ["and", "or", "near", "weight"].indexOf(token.value.toLowerCase()) === -1);
+    }
+
+    /**
+     * Moves past a symbol, reporting a warning if it is missing.
+     * @param {string} symbol The symbol.
+     * @param {ConditionToken} start The token that started the expression the symbol closes.
+     * @returns {void}
+     */
+    expectSymbol(symbol, start) {
+        if (this.isSymbol(symbol)) {
+            this.index++;
+        } else {
+            Warnings.add(this.warnings, "CONDITION_SYNTAX", `A "${symbol}" was expected.`, start);
+        }
+    }
+
+    /**
+     * Skips the current token, reporting a warning.
+     * @param {string} message The message of the warning.
+     * @returns {void}
+     */
+    skip(message) {
+        const token = this.tokens[this.index];
+
+        if (token) {
+            Warnings.add(this.warnings, "CONDITION_SYNTAX", message, token);
+            this.index++;
+        }
+    }
+
+    /**
+     * Skips tokens until a symbol is found, without skipping the symbol.
+     * @param {string} symbol The symbol.
+     * @returns {void}
+     */
+    skipUntil(symbol) {
+        while (this.index < this.tokens.length && !this.isSymbol(symbol)) {
+            this.index++;
+        }
+    }
+
+    /**
+     * Creates a terminal node from a word or phrase token.
+     * @param {ConditionToken} token The token.
+     * @param {TermForm} termForm The form of the term.
+     * @returns {TerminalNode} The terminal node.
+     */
+    static createTerm(token, termForm) {
+        const node = new TerminalNode();
+        node.term = token.value.trim();
+        node.termForm = termForm;
+        ConditionParser.setSpan(node, token.start, token.end);
+        return node;
+    }
+
+    /**
+     * Joins two expressions with a conjunction.
+     * @param {INode} left The left expression.
+     * @param {INode} right The right expression.
+     * @param {ConjunctionType} conjunction The conjunction.
+     * @returns {INode} The joined expression, or whichever expression is not null.
+     */
+    static join(left, right, conjunction) {
+        if (!left || !right) {
+            return left || right;
+        }
+
+        const node = new InternalNode();
+        node.leftChild = left;
+        node.rightChild = right;
+        node.conjunction = conjunction;
+        ConditionParser.setSpan(node, left.start, right.end);
+        return node;
+    }
+
+    /**
+     * Marks an expression made up of several terms as grouped, and sets its span to include the function that contained it.
+     * @param {INode} node The expression.
+     * @param {ConditionToken} start The first token of the function.
+     * @param {ConditionToken} end The last token of the function.
+     * @param {boolean} [grouped] Whether to group an expression made up of several terms.  Defaults to true.
+     * @returns {INode} The expression.
+     */
+    static group(node, start, end, grouped) {
+        if (node) {
+            node.grouped = node instanceof InternalNode && grouped !== false;
+            ConditionParser.setSpan(node, start.start, end ? end.end : start.end);
+        }
+
+        return node;
+    }
+
+    /**
+     * Sets the distance and order of every NEAR conjunction in a chain of terms.
+     * @param {INode} node The root node of the chain.
+     * @param {number} distance The maximum distance, or null for no maximum.
+     * @param {boolean} ordered Whether the terms must appear in the order given.
+     * @returns {void}
+     */
+    static setProximity(node, distance, ordered) {
+        if (node instanceof InternalNode && node.conjunction === "Near") {
+            node.distance = distance;
+            node.ordered = ordered;
+            ConditionParser.setProximity(node.leftChild, distance, ordered);
+            ConditionParser.setProximity(node.rightChild, distance, ordered);
+        }
+    }
+
+    /**
+     * Sets the position of a node within the condition.
+     * @param {INode} node The node.
+     * @param {number} start Position of the first character of the node.
+     * @param {number} end Position following the last character of the node.
+     * @returns {void}
+     */
+    static setSpan(node, start, end) {
+        if (node && typeof start === "number" && typeof end === "number") {
+            node.start = start;
+            node.end = end;
+        }
+    }
+
+    /**
+     * Splits a condition into tokens.  Phrases are delimited by double quotes, with a double quote within a phrase written as two double quotes.  A phrase that is not closed is marked as unterminated.
+     * @param {string} condition The condition.
+     * @returns {ConditionToken[]} The tokens.
+     */
+    static tokenize(condition) {
+        /** @type {ConditionToken[]} */
+        const tokens = [];
+
+        let index = 0;
+
+        while (index < condition.length) {
+            const ch = condition.charAt(index),
+                start = index;
+
+            if (whitespaceRegex.test(ch)) {
+                index++;
+            } else if (ch === "\"") {
+                let value = "",
+                    terminated = false;
+
+                index++;
+                while (index < condition.length && !terminated) {
+                    if (condition.charAt(index) === "\"" && condition.charAt(index + 1) === "\"") {
+                        value += "\"";
+                        index += 2;
+                    } else if (condition.charAt(index) === "\"") {
+                        terminated = true;
+                        index++;
+                    } else {
+                        value += condition.charAt(index);
+                        index++;
+                    }
+                }
+
+                /** @type {ConditionToken} */
+                const token = {type: "Phrase", value, start, end: index};
+
+                if (!terminated) {
+                    token.unterminated = true;
+                }
+
+                tokens.push(token);
+            } else if (ch === "&" && condition.charAt(index + 1) === "!") {
+                tokens.push({type: "Word", value: "and", start, end: index + 1});
+                tokens.push({type: "Word", value: "not", start: index + 1, end: index + 2});
+                index += 2;
+            } else if (symbolRegex.test(ch)) {
+                tokens.push({type: "Symbol", value: ch, start, end: index + 1});
+                index++;
+            } else {
+                while (index < condition.length && !whitespaceRegex.test(condition.charAt(index)) && !symbolRegex.test(condition.charAt(index))) {
+                    index++;
+                }
+
+                tokens.push({type: "Word", value: condition.substring(start, index), start, end: index});
+            }
+        }
+
+        return tokens;
+    }
+}
+
+module.exports = ConditionParser;
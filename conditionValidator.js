@@ -0,0 +1,467 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ConditionExpression} ConditionExpression
+ * @typedef {import("./types/index").ConditionToken} ConditionToken
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").Span} Span
+ */
+
+const ConditionParser = require("./conditionParser"),
+    TermSanitizer = require("./termSanitizer"),
+    Warnings = require("./warnings"),
+
+    conjunctionRegex = /^(?:and|or|near|weight)$/i,
+    distanceRegex = /^[0-9]+$/,
+    keywordRegex = /^(?:and|or|not|near|formsof|isabout|weight)$/i,
+    weightRegex = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/;
+
+/**
+ * @type {number} The largest maximum distance SQL Server accepts in a custom proximity term.
+ */
+const maxProximityDistance = 4294967295;
+
+/**
+ * Class to check a SQL Server full-text search condition against the CONTAINS grammar, and against the rules that fixUpExpressionTree corrects, without sending it to SQL Server.  Each problem found is returned as an error with the position of the part of the condition it applies to.
+ * @example <caption>The following list shows some of the problems found.</caption>
+ * NOT "abc"                       LEADING_NOT             An expression cannot start with NOT
+ * "abc" OR NOT "def"              OR_NOT                  NOT cannot follow OR
+ * FORMSOF(INFLECTIONAL, abc) NEAR "def"   INVALID_NEAR_OPERAND    NEAR can only join simple and prefix terms
+ * "abc" "def"                     MISSING_CONJUNCTION     Terms must be joined with AND, OR or NEAR
+ * abc*                            INVALID_TERM            Prefix terms must be quoted
+ */
+class ConditionValidator {
+    /**
+     * Constructs a ConditionValidator instance.
+     * @param {string} condition The search condition to validate.
+     */
+    constructor(condition) {
+        /**
+         * @type {string} The search condition.
+         */
+        this.condition = condition;
+
+        /**
+         * @type {ConditionToken[]} The tokens of the condition.
+         */
+        this.tokens = ConditionParser.tokenize(condition);
+
+        /**
+         * @type {number} The index of the next token to check.
+         */
+        this.index = 0;
+
+        /**
+         * @type {FixUpWarning[]} The errors found.
+         */
+        this.errors = [];
+    }
+
+    /**
+     * Validates the condition.
+     * @returns {FixUpWarning[]} The errors found, which is empty if the condition is valid.
+     */
+    validate() {
+        this.index = 0;
+        this.errors = [];
+
+        for (const token of this.tokens.filter((t) => t.unterminated)) {
+            this.error("UNTERMINATED_QUOTE", "A quoted term was not closed.", token);
+        }
+
+        if (this.tokens.length === 0) {
+            this.error("EMPTY_CONDITION", "The condition has no terms.", {start: 0, end: this.condition.length});
+            return this.errors;
+        }
+
+        this.checkOr();
+
+        // Report anything left over, and keep checking the rest of the condition after it
+        while (this.index < this.tokens.length) {
+            this.error("UNEXPECTED_TOKEN", `"${this.tokens[this.index].value}" was not expected.`, this.tokens[this.index]);
+            this.index++;
+
+            if (this.index < this.tokens.length) {
+                this.checkOr();
+            }
+        }
+
+        return this.errors;
+    }
+
+    /**
+     * Checks expressions joined with OR.
+     * @returns {void}
+     */
+    checkOr() {
+        this.checkAnd();
+
+        while (this.isKeyword("or") || this.isSymbol("|")) {
+            this.index++;
+
+            if (this.isKeyword("not")) {
+                this.error("OR_NOT", "NOT cannot follow OR.", this.tokens[this.index]);
+                this.index++;
+            }
+
+            this.checkAnd();
+        }
+    }
+
+    /**
+     * Checks expressions joined with AND or AND NOT.
+     * @returns {void}
+     */
+    checkAnd() {
+        if (this.isKeyword("not")) {
+            this.error("LEADING_NOT", "An expression cannot start with NOT, since it cannot only contain excluded terms.", this.tokens[this.index]);
+            this.index++;
+        }
+
+        this.checkNear();
+
+        while (this.isKeyword("and") || this.isSymbol("&") || this.startsTerm()) {
+            if (this.startsTerm()) {
+                this.error("MISSING_CONJUNCTION", "Terms must be joined with AND, OR or NEAR.", this.tokens[this.index]);
+            } else {
+                this.index++;
+
+                if (this.isKeyword("not")) {
+                    this.index++;
+                }
+            }
+
+            this.checkNear();
+        }
+    }
+
+    /**
+     * Checks terms joined with the NEAR operator.  Only simple and prefix terms can be joined with NEAR.
+     * @returns {ConditionExpression} The kind of expression and its position, or null if there was no expression.
+     */
+    checkNear() {
+        const first = this.checkUnary();
+
+        if (!this.isNear()) {
+            return first;
+        }
+
+        let operand = first,
+            last = first;
+
+        while (operand) {
+            last = operand;
+
+            if (operand.kind !== "Term") {
+                this.error("INVALID_NEAR_OPERAND", "NEAR can only join simple and prefix terms.", operand);
+            }
+
+            if (!this.isNear()) {
+                break;
+            }
+
+            this.index++;
+            operand = this.checkUnary();
+        }
+
+        return first ? {kind: "Near", start: first.start, end: last.end} : null;
+    }
+
+    /**
+     * Checks a term or a parenthesized expression.
+     * @returns {ConditionExpression} The kind of expression and its position, or null if there was no expression.
+     */
+    checkUnary() {
+        const token = this.tokens[this.index];
+
+        if (!token) {
+            this.error("MISSING_TERM", "The condition ended where a term was expected.", {start: this.condition.length, end: this.condition.length});
+            return null;
+        }
+
+        if (this.isKeyword("not")) {
+            this.error("MISPLACED_NOT", "NOT can only follow AND.", token);
+            this.index++;
+            return this.checkUnary();
+        }
+
+        if (this.isSymbol("(")) {
+            this.index++;
+            this.checkOr();
+            this.expectSymbol(")", token);
+            return {kind: "Group", start: token.start, end: this.tokens[this.index - 1].end};
+        }
+
+        if (this.isKeyword("formsof") && this.isSymbol("(", 1)) {
+            this.checkGeneration();
+            return {kind: "Generation", start: token.start, end: this.tokens[this.index - 1].end};
+        }
+
+        if (this.isKeyword("near") && this.isSymbol("(", 1)) {
+            this.checkProximity();
+            return {kind: "Proximity", start: token.start, end: this.tokens[this.index - 1].end};
+        }
+
+        if (this.isKeyword("isabout") && this.isSymbol("(", 1)) {
+            this.checkWeighted();
+            return {kind: "Weighted", start: token.start, end: this.tokens[this.index - 1].end};
+        }
+
+        if (token.type === "Phrase" || token.type === "Word" && !keywordRegex.test(token.value)) {
+            this.checkTerm(token, true);
+            this.index++;
+            return {kind: "Term", start: token.start, end: token.end};
+        }
+
+        this.error("UNEXPECTED_TOKEN", `"${token.value}" was found where a term was expected.`, token);
+        this.index++;
+
+        return null;
+    }
+
+    /**
+     * Checks a generation term, such as FORMSOF(INFLECTIONAL, abc).
+     * @returns {void}
+     */
+    checkGeneration() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        if (this.isKeyword("inflectional") || this.isKeyword("thesaurus")) {
+            this.index++;
+        } else {
+            this.error("INVALID_GENERATION_TERM", "FORMSOF must be followed by INFLECTIONAL or THESAURUS.", this.tokens[this.index] || start);
+            this.skipValue();
+        }
+
+        if (!this.isSymbol(",")) {
+            this.error("INVALID_GENERATION_TERM", "FORMSOF must contain at least one term.", start);
+        }
+
+        while (this.isSymbol(",")) {
+            this.index++;
+
+            const token = this.tokens[this.index];
+
+            if (token && (token.type === "Phrase" || token.type === "Word" && !keywordRegex.test(token.value))) {
+                if (token.type === "Phrase" && token.value.trim().endsWith("*")) {
+                    this.error("INVALID_GENERATION_TERM", "FORMSOF cannot contain prefix terms.", token);
+                } else {
+                    this.checkTerm(token, false);
+                }
+                this.index++;
+            } else {
+                this.error("MISSING_TERM", "A term was expected within FORMSOF.", token || start);
+            }
+        }
+
+        this.expectSymbol(")", start);
+    }
+
+    /**
+     * Checks a custom proximity term, such as NEAR((abc, def), 5, TRUE).
+     * @returns {void}
+     */
+    checkProximity() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        if (this.isSymbol("(")) {
+            const open = this.tokens[this.index];
+
+            let count = 0;
+
+            do {
+                this.index++;
+
+                const token = this.tokens[this.index];
+
+                if (token && (token.type === "Phrase" || token.type === "Word" && !keywordRegex.test(token.value))) {
+                    this.checkTerm(token, true);
+                    count++;
+                    this.index++;
+                } else {
+                    this.error("MISSING_TERM", "A term was expected within NEAR.", token || start);
+                }
+            } while (this.isSymbol(","));
+
+            this.expectSymbol(")", open);
+
+            if (count < 2) {
+                this.error("INVALID_PROXIMITY_TERM", "A custom proximity term must contain at least two terms.", start);
+            }
+        } else {
+            this.error("INVALID_PROXIMITY_TERM", "The terms of a custom proximity term must be enclosed in parentheses.", start);
+        }
+
+        if (this.isSymbol(",")) {
+            this.index++;
+
+            const token = this.tokens[this.index];
+
+            if (this.isKeyword("max") || token && distanceRegex.test(token.value) && token.type === "Word" && Number(token.value) <= maxProximityDistance) {
+                this.index++;
+            } else {
+                this.error("INVALID_PROXIMITY_TERM", `The maximum distance must be MAX or a whole number from 0 through ${maxProximityDistance}.`, token || start);
+                this.skipValue();
+            }
+
+            if (this.isSymbol(",")) {
+                this.index++;
+
+                if (this.isKeyword("true") || this.isKeyword("false")) {
+                    this.index++;
+                } else {
+                    this.error("INVALID_PROXIMITY_TERM", "The match order must be TRUE or FALSE.", this.tokens[this.index] || start);
+                    this.skipValue();
+                }
+            }
+        }
+
+        this.expectSymbol(")", start);
+    }
+
+    /**
+     * Checks a weighted term, such as ISABOUT(abc WEIGHT(0.5), def).
+     * @returns {void}
+     */
+    checkWeighted() {
+        const start = this.tokens[this.index];
+
+        this.index += 2;
+
+        do {
+            if (this.isSymbol(",")) {
+                this.index++;
+            }
+
+            const operand = this.checkNear();
+
+            if (operand && (operand.kind === "Group" || operand.kind === "Weighted")) {
+                this.error("INVALID_WEIGHTED_TERM", "ISABOUT can only contain simple, prefix, generation and proximity terms.", operand);
+            }
+
+            if (this.isKeyword("weight")) {
+                const weightToken = this.tokens[this.index];
+
+                this.index++;
+                this.expectSymbol("(", weightToken);
+
+                const value = this.tokens[this.index];
+
+                if (value && value.type === "Word" && weightRegex.test(value.value) && Number(value.value) <= 1) {
+                    this.index++;
+                } else {
+                    this.error("INVALID_WEIGHT", "A weight must be a number from 0.0 through 1.0.", value || weightToken);
+                    this.skipValue();
+                }
+
+                this.expectSymbol(")", weightToken);
+            }
+        } while (this.isSymbol(","));
+
+        this.expectSymbol(")", start);
+    }
+
+    /**
+     * Checks a simple or prefix term.  Unquoted terms must be plain words, and quoted terms must contain something to search for.
+     * @param {ConditionToken} token The token of the term.
+     * @param {boolean} allowPrefix Whether the term may be a prefix term.
+     * @returns {void}
+     */
+    checkTerm(token, allowPrefix) {
+        if (token.type === "Phrase") {
+            if (token.value.trim().replace(/\*+$/, "").trim().length === 0) {
+                this.error("INVALID_TERM", "A quoted term cannot be empty.", token);
+            } else if (!allowPrefix && token.value.trim().endsWith("*")) {
+                this.error("INVALID_TERM", "A prefix term cannot be used here.", token);
+            }
+        } else if (token.value.endsWith("*")) {
+            this.error("INVALID_TERM", "Prefix terms must be quoted.", token);
+        } else if (!TermSanitizer.isPlainWord(token.value)) {
+            this.error("INVALID_TERM", "Terms containing punctuation must be quoted.", token);
+        }
+    }
+
+    /**
+     * Skips the tokens of an invalid argument, up to the next comma or closing parenthesis.
+     * @returns {void}
+     */
+    skipValue() {
+        while (this.index < this.tokens.length && !this.isSymbol(",") && !this.isSymbol(")") && !this.isSymbol("(")) {
+            this.index++;
+        }
+    }
+
+    /**
+     * Moves past a symbol, reporting an error if it is missing.
+     * @param {string} symbol The symbol.
+     * @param {Span} start The token that started the expression the symbol closes.
+     * @returns {void}
+     */
+    expectSymbol(symbol, start) {
+        if (this.isSymbol(symbol)) {
+            this.index++;
+        } else {
+            this.error("MISSING_SYMBOL", `A "${symbol}" was expected.`, this.tokens[this.index] || start);
+        }
+    }
+
+    /**
+     * Determines whether the token at an offset from the current token is a keyword.
+     * @param {string} keyword The keyword, in lowercase.
+     * @param {number} [ahead] The offset of the token.
+     * @returns {boolean} Whether the token is the keyword.
+     */
+    isKeyword(keyword, ahead) {
+        const token = this.tokens[this.index + (ahead || 0)];
+
+        return !!token && token.type === "Word" && token.value.toLowerCase() === keyword;
+    }
+
+    /**
+     * Determines whether the token at an offset from the current token is a symbol.
+     * @param {string} symbol The symbol.
+     * @param {number} [ahead] The offset of the token.
+     * @returns {boolean} Whether the token is the symbol.
+     */
+    isSymbol(symbol, ahead) {
+        const token = this.tokens[this.index + (ahead || 0)];
+
+        return !!token && token.type === "Symbol" && token.value === symbol;
+    }
+
+    /**
+     * Determines whether the current token is the legacy NEAR operator.
+     * @returns {boolean} Whether the current token is NEAR or ~.
+     */
+    isNear() {
+        return this.isKeyword("near") && !this.isSymbol("(", 1) || this.isSymbol("~");
+    }
+
+    /**
+     * Determines whether the current token starts a term or a parenthesized expression, rather than being a conjunction.
+     * @returns {boolean} Whether the current token starts a term.
+     */
+    startsTerm() {
+        const token = this.tokens[this.index];
+
+        return !!token && (token.type === "Phrase" || this.isSymbol("(") || token.type === "Word" && !conjunctionRegex.test(token.value));
+    }
+
+    /**
+     * Adds an error.
+     * @param {string} code The error code.
+     * @param {string} message The error message.
+     * @param {Span} span The part of the condition the error applies to.
+     * @returns {void}
+     */
+    error(code, message, span) {
+        Warnings.add(this.errors, code, message, span);
+    }
+}
+
+module.exports = ConditionValidator;
@@ -0,0 +1,228 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").ElasticsearchRendererOptions} ElasticsearchRendererOptions
+ * @typedef {import("./types/index").INode} INode
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode");
+
+/**
+ * Class to render an expression tree as an Elasticsearch or OpenSearch bool query.  The expression tree should be fixed up with FTSQuery's fixUpExpressionTree first, so that both backends interpret a query the same way.
+ * @example <caption>The following list shows how terms are rendered.</caption>
+ * abc                     {match: {field: {query: "abc", operator: "and"}}}
+ * ~abc                    {match: {field: {query: "abc", analyzer: "synonym"}}}
+ * "abc def"               {match_phrase: {field: "abc def"}}
+ * abc*                    {prefix: {field: {value: "abc"}}}
+ * -abc def                {bool: {must: [def], must_not: [abc]}}
+ * abc or def              {bool: {should: [abc, def], minimum_should_match: 1}}
+ * "abc" near "def"        {span_near: {clauses: [abc, def], slop: 10, in_order: false}}
+ * "abc" onear/5 "def"     {span_near: {clauses: [abc, def], slop: 5, in_order: true}}
+ */
+class ElasticsearchRenderer {
+    /**
+     * Constructs an ElasticsearchRenderer instance.
+     * @param {ElasticsearchRendererOptions} [options] Rendering options.
+     */
+    constructor(options) {
+        /**
+         * @type {string} The field to search.  Terms scoped to a column with a column: prefix search that field instead.
+         */
+        this.field = options && options.field || "content";
+
+        /**
+         * @type {string} The search analyzer that expands synonyms, used for thesaurus terms.
+         */
+        this.synonymAnalyzer = options && options.synonymAnalyzer || "synonym";
+
+        /**
+         * @type {number} The maximum number of positions allowed between the terms of a NEAR conjunction.
+         */
+        this.nearSlop = options && options.nearSlop >= 0 ? Math.floor(options.nearSlop) : 10;
+    }
+
+    /**
+     * Renders an expression tree as a bool query.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {object} The bool query, or null if there is nothing to search for.
+     */
+    render(node) {
+        if (!node) {
+            return null;
+        }
+
+        const query = this.renderNode(node);
+
+        return query.bool ? query : {bool: {must: [query]}};
+    }
+
+    /**
+     * Renders a node as a query clause.
+     * @param {INode} node The node to render.
+     * @returns {object} The query clause.
+     */
+    renderNode(node) {
+        if (node instanceof TerminalNode) {
+            return this.renderTerm(node);
+        }
+
+        if (node instanceof InternalNode) {
+            if (node.conjunction === "Near" && !ElasticsearchRenderer.containsExclude(node)) {
+                return this.renderNear(node);
+            }
+
+            if (node.conjunction === "Or") {
+                return {
+                    bool: {
+                        should: this.operands(node, "Or").map((n) => this.renderNode(n)),
+                        "minimum_should_match": 1
+                    }
+                };
+            }
+
+            // An excluded subexpression of NEAR cannot be a span, so treat it the same as AND
+            const operands = this.andOperands(node),
+                must = operands.filter((n) => !n.exclude).map((n) => this.renderNode(n)),
+                mustNot = operands.filter((n) => n.exclude).map((n) => this.renderNode(n));
+
+            return {
+                bool: Object.assign(must.length > 0 ? {must} : {}, mustNot.length > 0 ? {"must_not": mustNot} : {})
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the operands of a chain of the same conjunction, so that they can be rendered in a single bool query.
+     * @param {INode} node The node to get the operands of.
+     * @param {ConjunctionType} conjunction The conjunction of the chain.
+     * @returns {INode[]} The operands.
+     */
+    operands(node, conjunction) {
+        if (node instanceof InternalNode && node.conjunction === conjunction) {
+            return [node.leftChild, node.rightChild].filter((n) => n).reduce((list, n) => list.concat(this.operands(n, conjunction)), []);
+        }
+
+        return [node];
+    }
+
+    /**
+     * Gets the operands of a chain of AND conjunctions, including NEAR conjunctions that have to be treated as AND.  Since OR subexpressions are never excluded, every excluded operand is a terminal node.
+     * @param {INode} node The node to get the operands of.
+     * @returns {INode[]} The operands.
+     */
+    andOperands(node) {
+        if (node instanceof InternalNode && (node.conjunction === "And" || node.conjunction === "Near" && ElasticsearchRenderer.containsExclude(node))) {
+            return [node.leftChild, node.rightChild].filter((n) => n).reduce((list, n) => list.concat(this.andOperands(n)), []);
+        }
+
+        return [node];
+    }
+
+    /**
+     * Renders a terminal node as a query clause, ignoring whether it is excluded.
+     * @param {TerminalNode} node The terminal node.
+     * @returns {object} The query clause.
+     */
+    renderTerm(node) {
+        const term = node.term.trim(),
+            field = node.column || this.field;
+
+        switch (node.termForm) {
+            case "Thesaurus":
+                return {match: {[field]: {query: term, analyzer: this.synonymAnalyzer}}};
+            case "Literal":
+                if (term.endsWith("*")) {
+                    // Prefix queries are not analyzed, so words are lowercased to match the tokens produced by the standard analyzer
+                    const words = ElasticsearchRenderer.words(term.replace(/\*+$/, "").toLowerCase());
+
+                    if (words.length === 1) {
+                        return {prefix: {[field]: {value: words[0]}}};
+                    }
+
+                    // A multi-word prefix term becomes a span of prefixes, the same as it does within NEAR
+                    return {"span_near": {clauses: words.map((w) => ElasticsearchRenderer.renderSpanPrefix(field, w)), slop: 0, "in_order": true}};
+                }
+
+                return {"match_phrase": {[field]: term}};
+            default:
+                return {match: {[field]: {query: term, operator: "and"}}};
+        }
+    }
+
+    /**
+     * Renders a chain of NEAR conjunctions as a span_near query.
+     * @param {InternalNode} node The node to render.
+     * @returns {object} The span_near query.
+     */
+    renderNear(node) {
+        return {
+            "span_near": {
+                clauses: this.operands(node, "Near").map((n) => this.renderSpan(n)).filter((c) => c),
+                slop: node.distance === null ? this.nearSlop : node.distance,
+                "in_order": !!node.ordered
+            }
+        };
+    }
+
+    /**
+     * Renders a subexpression of a NEAR conjunction as a span query.  Span queries are not analyzed, so terms are lowercased to match the tokens produced by the standard analyzer.
+     * @param {INode} node The node to render.
+     * @returns {object} The span query, or null if the node is not a terminal node.
+     */
+    renderSpan(node) {
+        if (!(node instanceof TerminalNode)) {
+            return null;
+        }
+
+        const term = node.term.trim().toLowerCase(),
+            field = node.column || this.field,
+            prefix = node.termForm === "Literal" && term.endsWith("*"),
+            words = ElasticsearchRenderer.words(prefix ? term.replace(/\*+$/, "") : term),
+            clauses = words.map((w) => prefix ? ElasticsearchRenderer.renderSpanPrefix(field, w) : {"span_term": {[field]: w}});
+
+        if (clauses.length === 1) {
+            return clauses[0];
+        }
+
+        return {"span_near": {clauses, slop: 0, "in_order": true}};
+    }
+
+    /**
+     * Renders a prefix as a span query.
+     * @param {string} field The field to search.
+     * @param {string} prefix The prefix.
+     * @returns {object} The span query.
+     */
+    static renderSpanPrefix(field, prefix) {
+        return {"span_multi": {match: {prefix: {[field]: {value: prefix}}}}};
+    }
+
+    /**
+     * Determines whether any terminal node within a node is excluded.
+     * @param {INode} node The node to test.
+     * @returns {boolean} Whether an excluded terminal node was found.
+     */
+    static containsExclude(node) {
+        if (node instanceof InternalNode) {
+            return !!(node.leftChild && ElasticsearchRenderer.containsExclude(node.leftChild) || node.rightChild && ElasticsearchRenderer.containsExclude(node.rightChild));
+        }
+
+        return !!node && node.exclude;
+    }
+
+    /**
+     * Splits text into words on whitespace.
+     * @param {string} text The text to split.
+     * @returns {string[]} The words.
+     */
+    static words(text) {
+        return text.split(/\s+/).filter((w) => w.length > 0);
+    }
+}
+
+module.exports = ElasticsearchRenderer;
@@ -0,0 +1,280 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @type {Array<string[]>} The suffixes replaced in step 2, and their replacements.
+ */
+const step2Suffixes = [
+    ["ational", "ate"],
+    ["tional", "tion"],
+    ["enci", "ence"],
+    ["anci", "ance"],
+    ["izer", "ize"],
+    ["bli", "ble"],
+    ["alli", "al"],
+    ["entli", "ent"],
+    ["eli", "e"],
+    ["ousli", "ous"],
+    ["ization", "ize"],
+    ["ation", "ate"],
+    ["ator", "ate"],
+    ["alism", "al"],
+    ["iveness", "ive"],
+    ["fulness", "ful"],
+    ["ousness", "ous"],
+    ["aliti", "al"],
+    ["iviti", "ive"],
+    ["biliti", "ble"],
+    ["logi", "log"]
+];
+
+/**
+ * @type {Array<string[]>} The suffixes replaced in step 3, and their replacements.
+ */
+const step3Suffixes = [
+    ["icate", "ic"],
+    ["ative", ""],
+    ["alize", "al"],
+    ["iciti", "ic"],
+    ["ical", "ic"],
+    ["ful", ""],
+    ["ness", ""]
+];
+
+/**
+ * @type {string[]} The suffixes removed in step 4.
+ */
+const step4Suffixes = ["al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment", "ent", "ion", "ou", "ism", "ate", "iti", "ous", "ive", "ize"];
+
+/**
+ * Class to reduce English words to their stems with the Porter stemming algorithm, so that inflectional forms of a word such as connect, connected and connecting have the same stem.  Irregular forms, such as mouse and mice, are not matched.
+ * @example <caption>The following list shows words and their stems.</caption>
+ * connections             connect
+ * running                 run
+ * ponies                  poni
+ * databases               databas
+ */
+class EnglishStemmer {
+    /**
+     * Gets the stem of a word.
+     * @param {string} word The word.
+     * @returns {string} The stem of the word, in lowercase.
+     */
+    stem(word) {
+        let w = word.toLowerCase();
+
+        if (w.length <= 2 || !(/^[a-z]+$/).test(w)) {
+            return w;
+        }
+
+        w = EnglishStemmer.step1a(w);
+        w = EnglishStemmer.step1b(w);
+        w = EnglishStemmer.step1c(w);
+        w = EnglishStemmer.replaceSuffix(w, step2Suffixes, 0);
+        w = EnglishStemmer.replaceSuffix(w, step3Suffixes, 0);
+        w = EnglishStemmer.step4(w);
+        w = EnglishStemmer.step5(w);
+
+        return w;
+    }
+
+    /**
+     * Removes plurals.
+     * @param {string} w The word.
+     * @returns {string} The word without its plural suffix.
+     */
+    static step1a(w) {
+        if (w.endsWith("sses") || w.endsWith("ies")) {
+            return w.slice(0, -2);
+        }
+
+        if (w.endsWith("s") && !w.endsWith("ss")) {
+            return w.slice(0, -1);
+        }
+
+        return w;
+    }
+
+    /**
+     * Removes past participles and present participles.
+     * @param {string} w The word.
+     * @returns {string} The word without its participle suffix.
+     */
+    static step1b(w) {
+        if (w.endsWith("eed")) {
+            return EnglishStemmer.measure(w.slice(0, -3)) > 0 ? w.slice(0, -1) : w;
+        }
+
+        const suffix = ["ed", "ing"].find((s) => w.endsWith(s) && EnglishStemmer.containsVowel(w.slice(0, -s.length)));
+
+        if (!suffix) {
+            return w;
+        }
+
+        const stem = w.slice(0, -suffix.length);
+
+        if (stem.endsWith("at") || stem.endsWith("bl") || stem.endsWith("iz")) {
+            return `${stem}e`;
+        }
+
+        if (EnglishStemmer.endsWithDoubleConsonant(stem) && !(/[lsz]$/).test(stem)) {
+            return stem.slice(0, -1);
+        }
+
+        if (EnglishStemmer.measure(stem) === 1 && EnglishStemmer.endsWithCvc(stem)) {
+            return `${stem}e`;
+        }
+
+        return stem;
+    }
+
+    /**
+     * Changes a final y to i when there is another vowel in the word.
+     * @param {string} w The word.
+     * @returns {string} The changed word.
+     */
+    static step1c(w) {
+        return w.endsWith("y") && EnglishStemmer.containsVowel(w.slice(0, -1)) ? `${w.slice(0, -1)}i` : w;
+    }
+
+    /**
+     * Removes suffixes such as -ant and -ence when the rest of the word is long enough.
+     * @param {string} w The word.
+     * @returns {string} The word without its suffix.
+     */
+    static step4(w) {
+        const suffix = step4Suffixes.filter((s) => w.endsWith(s)).sort((a, b) => b.length - a.length)[0];
+
+        if (!suffix) {
+            return w;
+        }
+
+        const stem = w.slice(0, -suffix.length);
+
+        if (EnglishStemmer.measure(stem) <= 1 || suffix === "ion" && !(/[st]$/).test(stem)) {
+            return w;
+        }
+
+        return stem;
+    }
+
+    /**
+     * Removes a final e, and changes a final ll to l, when the rest of the word is long enough.
+     * @param {string} w The word.
+     * @returns {string} The changed word.
+     */
+    static step5(w) {
+        if (w.endsWith("e")) {
+            const stem = w.slice(0, -1),
+                m = EnglishStemmer.measure(stem);
+
+            if (m > 1 || m === 1 && !EnglishStemmer.endsWithCvc(stem)) {
+                w = stem;
+            }
+        }
+
+        if (w.endsWith("ll") && EnglishStemmer.measure(w) > 1) {
+            w = w.slice(0, -1);
+        }
+
+        return w;
+    }
+
+    /**
+     * Replaces the longest matching suffix from a list when the rest of the word is long enough.
+     * @param {string} w The word.
+     * @param {Array<string[]>} suffixes The suffixes and their replacements.
+     * @param {number} minMeasure The rest of the word's measure must be greater than this.
+     * @returns {string} The changed word.
+     */
+    static replaceSuffix(w, suffixes, minMeasure) {
+        const match = suffixes.filter(([suffix]) => w.endsWith(suffix)).sort((a, b) => b[0].length - a[0].length)[0];
+
+        if (!match) {
+            return w;
+        }
+
+        const stem = w.slice(0, -match[0].length);
+
+        return EnglishStemmer.measure(stem) > minMeasure ? `${stem}${match[1]}` : w;
+    }
+
+    /**
+     * Determines whether the letter at a position in a word is a consonant.  A y is a consonant when it follows a vowel or starts the word.
+     * @param {string} w The word.
+     * @param {number} i The position of the letter.
+     * @returns {boolean} Whether the letter is a consonant.
+     */
+    static isConsonant(w, i) {
+        const c = w.charAt(i);
+
+        if ("aeiou".indexOf(c) !== -1) {
+            return false;
+        }
+
+        if (c === "y") {
+            return i === 0 || !EnglishStemmer.isConsonant(w, i - 1);
+        }
+
+        return true;
+    }
+
+    /**
+     * Counts the number of vowel-consonant sequences in a word.
+     * @param {string} w The word.
+     * @returns {number} The measure of the word.
+     */
+    static measure(w) {
+        let m = 0,
+            previousVowel = false;
+
+        for (let i = 0; i < w.length; i++) {
+            const vowel = !EnglishStemmer.isConsonant(w, i);
+
+            if (!vowel && previousVowel) {
+                m++;
+            }
+
+            previousVowel = vowel;
+        }
+
+        return m;
+    }
+
+    /**
+     * Determines whether a word contains a vowel.
+     * @param {string} w The word.
+     * @returns {boolean} Whether the word contains a vowel.
+     */
+    static containsVowel(w) {
+        for (let i = 0; i < w.length; i++) {
+            if (!EnglishStemmer.isConsonant(w, i)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Determines whether a word ends with the same consonant twice.
+     * @param {string} w The word.
+     * @returns {boolean} Whether the word ends with a double consonant.
+     */
+    static endsWithDoubleConsonant(w) {
+        return w.length >= 2 && w.charAt(w.length - 1) === w.charAt(w.length - 2) && EnglishStemmer.isConsonant(w, w.length - 1);
+    }
+
+    /**
+     * Determines whether a word ends with a consonant, a vowel and a consonant other than w, x or y, such as -hop.
+     * @param {string} w The word.
+     * @returns {boolean} Whether the word ends with consonant-vowel-consonant.
+     */
+    static endsWithCvc(w) {
+        const l = w.length;
+
+        return l >= 3 && EnglishStemmer.isConsonant(w, l - 3) && !EnglishStemmer.isConsonant(w, l - 2) && EnglishStemmer.isConsonant(w, l - 1) && "wxy".indexOf(w.charAt(l - 1)) === -1;
+    }
+}
+
+module.exports = EnglishStemmer;
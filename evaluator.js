@@ -0,0 +1,318 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").DocumentWord} DocumentWord
+ * @typedef {import("./types/index").EvaluationResult} EvaluationResult
+ * @typedef {import("./types/index").EvaluatorOptions} EvaluatorOptions
+ * @typedef {import("./types/index").EvaluatorDocument} EvaluatorDocument
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").IStemmer} IStemmer
+ * @typedef {import("./types/index").TermMatch} TermMatch
+ * @typedef {import("./types/index").TermOccurrence} TermOccurrence
+ * @typedef {import("./types/index").TextField} TextField
+ */
+
+const EnglishStemmer = require("./englishStemmer"),
+    InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+
+    wordRegex = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * Class to test whether documents match an expression tree, without a database.  The expression tree should be fixed up with FTSQuery's fixUpExpressionTree first.
+ * @example <caption>The following list shows how terms are matched against the words of a document.  Words are matched without regard to case.</caption>
+ * abc                     Words with the same stem as abc, such as abcs
+ * ~abc                    The word abc
+ * "abc def"               The word abc followed by the word def
+ * abc*                    Words that start with abc
+ * -abc def                Documents with a word matching def and no word matching abc
+ * "abc" near "def"        The words abc and def, with at most 10 other words between them
+ * "abc" onear/5 "def"     The word abc followed by the word def, with at most 5 other words between them
+ */
+class Evaluator {
+    /**
+     * Constructs an Evaluator instance.
+     * @param {EvaluatorOptions} [options] Evaluation options.
+     */
+    constructor(options) {
+        const stemmer = options && options.stemmer || new EnglishStemmer();
+
+        /**
+         * @type {IStemmer} The stemmer used to match inflectional forms of terms.
+         */
+        this.stemmer = typeof stemmer === "function" ? {stem: stemmer} : stemmer;
+
+        /**
+         * @type {number} The maximum number of other words allowed between the terms of a NEAR conjunction without a custom distance.
+         */
+        this.nearDistance = options && options.nearDistance >= 0 ? Math.floor(options.nearDistance) : 10;
+
+        /**
+         * @type {string[]} The fields of an object to search.  When null, every field with a string value is searched.
+         */
+        this.fields = options && options.fields || null;
+    }
+
+    /**
+     * Tests whether a document matches an expression tree.
+     * @param {INode} node Root node of the expression tree.
+     * @param {EvaluatorDocument} document The text to search, or an object with text fields to search.  Terms scoped to a column only match the field with the column's name.
+     * @returns {EvaluationResult} Whether the document matched, and the positions of the terms that matched.
+     */
+    evaluate(node, document) {
+        if (!node) {
+            return {matched: false, matches: []};
+        }
+
+        const result = this.evaluateNode(node, this.getFields(document));
+
+        if (!result.matched) {
+            return {matched: false, matches: []};
+        }
+
+        /** @type {Map<string, TermMatch>} */
+        const matches = new Map();
+
+        for (const match of result.matches) {
+            matches.set(`${match.field}\u0000${match.position}\u0000${match.term}`, match);
+        }
+
+        return {matched: true, matches: [...matches.values()].sort((a, b) => String(a.field).localeCompare(String(b.field)) || a.start - b.start || a.end - b.end)};
+    }
+
+    /**
+     * Tests whether the fields of a document match a node.
+     * @param {INode} node The node to test.
+     * @param {TextField[]} fields The fields of the document.
+     * @returns {EvaluationResult} Whether the fields matched, and the positions of the terms that matched.
+     */
+    evaluateNode(node, fields) {
+        if (node instanceof TerminalNode) {
+            const occurrences = this.findTerm(node, fields);
+
+            if (node.exclude) {
+                return {matched: occurrences.length === 0, matches: []};
+            }
+
+            return {matched: occurrences.length > 0, matches: occurrences.map((o) => Evaluator.toMatch(node, o))};
+        }
+
+        if (!(node instanceof InternalNode)) {
+            return {matched: false, matches: []};
+        }
+
+        if (!node.leftChild || !node.rightChild) {
+            return node.leftChild || node.rightChild ? this.evaluateNode(node.leftChild || node.rightChild, fields) : {matched: false, matches: []};
+        }
+
+        if (node.conjunction === "Near") {
+            const operands = node.isCustomProximity() ? node.getProximityTerms() : Evaluator.nearOperands(node);
+
+            // An invalid NEAR is treated as AND, the same as it is when fixed up
+            if (operands.every((n) => n instanceof TerminalNode && !n.exclude)) {
+                return this.evaluateNear(operands, node.isCustomProximity() ? node.distance : this.nearDistance, node.ordered, fields);
+            }
+        }
+
+        const left = this.evaluateNode(node.leftChild, fields),
+            right = this.evaluateNode(node.rightChild, fields);
+
+        if (node.conjunction === "Or") {
+            return {
+                matched: left.matched || right.matched,
+                matches: [...left.matched ? left.matches : [], ...right.matched ? right.matches : []]
+            };
+        }
+
+        return {
+            matched: left.matched && right.matched,
+            matches: left.matched && right.matched ? [...left.matches, ...right.matches] : []
+        };
+    }
+
+    /**
+     * Tests whether the terms of a NEAR conjunction appear close enough together in a field.
+     * @param {INode[]} operands The terminal nodes joined by the NEAR conjunction.
+     * @param {number} distance The maximum number of other words allowed between the first and last terms, or null for no maximum.
+     * @param {boolean} ordered Whether the terms must appear in the order given.
+     * @param {TextField[]} fields The fields of the document.
+     * @returns {EvaluationResult} Whether the terms appear close enough together, and the positions of every term that does.
+     */
+    evaluateNear(operands, distance, ordered, fields) {
+        const occurrences = operands.map((n) => this.findTerm(n, fields)),
+
+            /** @type {TermMatch[]} */
+            matches = [];
+
+        for (const field of fields) {
+            const lists = occurrences.map((list) => list.filter((o) => o.field === field.name));
+
+            if (lists.some((list) => list.length === 0)) {
+                continue;
+            }
+
+            const length = lists.reduce((sum, list) => sum + list[0].length, 0);
+
+            // Every valid combination of terms starts with one of the terms, and fits within the distance of that term
+            for (const start of new Set([].concat(...lists).map((o) => o.position))) {
+                const limit = distance === null ? Infinity : start + length + distance,
+
+                    /** @type {TermOccurrence[]} */
+                    combination = [];
+
+                let position = start;
+
+                for (const list of lists) {
+                    const occurrence = list.find((o) => o.position >= (ordered ? position : start) && o.position + o.length <= limit && !combination.some((c) => c.position === o.position));
+
+                    if (!occurrence) {
+                        break;
+                    }
+
+                    combination.push(occurrence);
+                    position = occurrence.position + occurrence.length;
+                }
+
+                if (combination.length === lists.length) {
+                    combination.forEach((o, index) => matches.push(Evaluator.toMatch(operands[index], o)));
+                }
+            }
+        }
+
+        return {matched: matches.length > 0, matches};
+    }
+
+    /**
+     * Finds the occurrences of a terminal node's term in the fields of a document, ignoring whether the term is excluded.
+     * @param {INode} node The terminal node.
+     * @param {TextField[]} fields The fields of the document.
+     * @returns {TermOccurrence[]} The occurrences of the term.
+     */
+    findTerm(node, fields) {
+        if (!(node instanceof TerminalNode)) {
+            return [];
+        }
+
+        const term = node.term.trim(),
+            prefix = node.termForm === "Literal" && term.endsWith("*"),
+            words = Evaluator.tokenize(prefix ? term.replace(/\*+$/, "") : term).map((w) => w.text),
+
+            /** @type {TermOccurrence[]} */
+            occurrences = [];
+
+        if (words.length === 0) {
+            return occurrences;
+        }
+
+        for (const field of fields) {
+            if (node.column && field.name !== null && field.name !== node.column) {
+                continue;
+            }
+
+            for (let index = 0; index + words.length <= field.words.length; index++) {
+                if (words.every((word, offset) => this.matchWord(field.words[index + offset].text, word, node.termForm, prefix))) {
+                    occurrences.push({
+                        field: field.name,
+                        position: index,
+                        length: words.length,
+                        start: field.words[index].start,
+                        end: field.words[index + words.length - 1].end
+                    });
+                }
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Determines whether a word of a document matches a word of a term.
+     * @param {string} text The word of the document, in lowercase.
+     * @param {string} word The word of the term, in lowercase.
+     * @param {string} termForm The form of the term.
+     * @param {boolean} prefix Whether the word of the term is a prefix.
+     * @returns {boolean} Whether the words match.
+     */
+    matchWord(text, word, termForm, prefix) {
+        if (prefix) {
+            return text.startsWith(word);
+        }
+
+        if (termForm === "Inflectional") {
+            return text === word || this.stemmer.stem(text) === this.stemmer.stem(word);
+        }
+
+        return text === word;
+    }
+
+    /**
+     * Gets the fields of a document to search.
+     * @param {EvaluatorDocument} document The text to search, or an object with text fields to search.
+     * @returns {TextField[]} The fields, with their words.
+     */
+    getFields(document) {
+        if (typeof document === "string") {
+            return [{name: null, words: Evaluator.tokenize(document)}];
+        }
+
+        if (!document || typeof document !== "object") {
+            return [];
+        }
+
+        return (this.fields || Object.keys(document)).
+            filter((name) => typeof document[name] === "string" || typeof document[name] === "number").
+            map((name) => ({name, words: Evaluator.tokenize(String(document[name]))}));
+    }
+
+    /**
+     * Gets the NEAR operands of a chain of legacy NEAR conjunctions.
+     * @param {INode} node The node to get the operands of.
+     * @returns {INode[]} The operands.
+     */
+    static nearOperands(node) {
+        if (node instanceof InternalNode && node.conjunction === "Near" && !node.isCustomProximity()) {
+            return [node.leftChild, node.rightChild].filter((n) => n).reduce((list, n) => list.concat(Evaluator.nearOperands(n)), []);
+        }
+
+        return [node];
+    }
+
+    /**
+     * Creates a term match from an occurrence of a term.
+     * @param {INode} node The terminal node of the term.
+     * @param {TermOccurrence} occurrence The occurrence.
+     * @returns {TermMatch} The term match.
+     */
+    static toMatch(node, occurrence) {
+        return {
+            term: node instanceof TerminalNode ? node.term : "",
+            field: occurrence.field,
+            position: occurrence.position,
+            start: occurrence.start,
+            end: occurrence.end
+        };
+    }
+
+    /**
+     * Splits text into lowercase words, along with their positions within the text.
+     * @param {string} text The text.
+     * @returns {DocumentWord[]} The words.
+     */
+    static tokenize(text) {
+        const regex = new RegExp(wordRegex),
+
+            /** @type {DocumentWord[]} */
+            words = [];
+
+        let match;
+
+        while ((match = regex.exec(text)) !== null) {
+            words.push({text: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length});
+        }
+
+        return words;
+    }
+}
+
+module.exports = Evaluator;
@@ -0,0 +1,214 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FriendlyRendererOptions} FriendlyRendererOptions
+ * @typedef {import("./types/index").GrammarOperator} GrammarOperator
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").QueryGrammar} QueryGrammar
+ */
+
+const InternalNode = require("./internalNode"),
+    QueryTokenizer = require("./queryTokenizer"),
+    TermSanitizer = require("./termSanitizer"),
+    TerminalNode = require("./terminalNode"),
+
+    keywordRegex = /^(?:and|or|not|near|onear)$/i;
+
+/**
+ * @type {{[x: string]: string}} The English keyword written for each operator.
+ */
+const englishKeywords = {
+    "Or": "or",
+    "Near": "near",
+    "OrderedNear": "onear"
+};
+
+/**
+ * Class to render an expression tree in the user-friendly, Google-like search syntax that FTSQuery parses, such as for showing a user a condition that was saved in SQL Server syntax.
+ * @example <caption>The following list shows how the expression tree is rendered.</caption>
+ * FORMSOF(INFLECTIONAL, abc)              abc
+ * FORMSOF(THESAURUS, abc)                 ~abc
+ * "abc"                                   +abc
+ * "abc def"                               "abc def"
+ * FORMSOF(INFLECTIONAL, "abc def")        (abc def)
+ * FORMSOF(INFLECTIONAL, "or")             'or'
+ * "abc*"                                  abc*
+ * NOT abc AND def                         -abc def
+ * abc OR def                              abc or def
+ * "abc" NEAR "def"                        <+abc +def>
+ * NEAR(("abc", "def"), 5, TRUE)           +abc onear/5 +def
+ * ISABOUT(abc WEIGHT(0.5))                abc^0.5
+ */
+class FriendlyRenderer {
+    /**
+     * Constructs a FriendlyRenderer instance.
+     * @param {FriendlyRendererOptions} [options] Rendering options.
+     */
+    constructor(options) {
+        /**
+         * @type {QueryGrammar} The grammar the rendered expression will be parsed with, whose keywords are written for operators and quoted when they are searched as terms.  When null, the English keywords are used.
+         */
+        this.grammar = options && options.grammar || null;
+    }
+
+    /**
+     * Leaves the expression tree unchanged, since every expression tree can be written in the user-friendly syntax.
+     * @param {INode} node Node to fix up
+     * @returns {INode} The expression tree.
+     */
+    fixUpExpressionTree(node) {
+        return node;
+    }
+
+    /**
+     * Renders an expression tree in the user-friendly syntax.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {string} The search expression.
+     */
+    render(node) {
+        if (!node) {
+            return "";
+        }
+
+        if (node instanceof TerminalNode) {
+            return this.renderTerm(node);
+        }
+
+        if (node instanceof InternalNode) {
+            if (!node.leftChild || !node.rightChild) {
+                return this.render(node.leftChild || node.rightChild);
+            }
+
+            const nearTerms = FriendlyRenderer.nearTerms(node);
+
+            let text;
+
+            if (node.isCustomProximity()) {
+                const operator = `${this.getOperatorKeyword(node.ordered ? "OrderedNear" : "Near")}${node.distance === null ? "" : `/${node.distance}`}`;
+
+                text = node.getProximityTerms().map((n) => this.renderChild(n)).join(` ${operator} `);
+            } else if (node.conjunction === "Near" && nearTerms.every((n) => n instanceof TerminalNode)) {
+                text = `<${nearTerms.map((n) => n instanceof TerminalNode ? this.renderTerm(n) : "").join(" ")}>`;
+            } else {
+                text = `${this.render(node.leftChild)} ${node.conjunction === "And" ? "" : `${this.getOperatorKeyword(node.conjunction)} `}${this.renderChild(node.rightChild)}`;
+            }
+
+            // A group containing only excluded terms is discarded by the parser, so excluded terms are never grouped
+            return node.grouped && !FriendlyRenderer.isExcluded(node) ? `(${text})` : text;
+        }
+
+        return "";
+    }
+
+    /**
+     * Renders a child of an internal node, adding parentheses to an expression that would otherwise be joined with the terms that precede it, since the search syntax applies conjunctions from left to right.  A chain of NEAR conjunctions rendered in angle brackets does not need parentheses, and a chain of excluded terms cannot have them.
+     * @param {INode} node Child node to render.
+     * @returns {string} The rendered child.
+     */
+    renderChild(node) {
+        const text = this.render(node);
+
+        if (node instanceof InternalNode && node.leftChild && node.rightChild && !node.grouped && !node.isCustomProximity() && node.conjunction === "Near" && FriendlyRenderer.nearTerms(node).every((n) => n instanceof TerminalNode)) {
+            return text;
+        }
+
+        return node instanceof InternalNode && node.leftChild && node.rightChild && !node.grouped && !FriendlyRenderer.isExcluded(node) ? `(${text})` : text;
+    }
+
+    /**
+     * Determines whether a node is an excluded term, or a chain of AND conjunctions joining only excluded terms, such as NOT (abc OR def) or an excluded thesaurus term that was expanded.
+     * @param {INode} node The node.
+     * @returns {boolean} Whether every term of the node is excluded.
+     */
+    static isExcluded(node) {
+        if (node instanceof InternalNode && !node.exclude) {
+            return node.conjunction === "And" && FriendlyRenderer.isExcluded(node.leftChild) && FriendlyRenderer.isExcluded(node.rightChild);
+        }
+
+        return !!node && node.exclude;
+    }
+
+    /**
+     * Gets the operands of a chain of legacy NEAR conjunctions.
+     * @param {INode} node The node to get the operands of.
+     * @returns {INode[]} The operands.
+     */
+    static nearTerms(node) {
+        if (node instanceof InternalNode && node.conjunction === "Near" && !node.isCustomProximity() && !node.exclude) {
+            return [node.leftChild, node.rightChild].filter((n) => n).reduce((list, n) => list.concat(n.grouped ? [n] : FriendlyRenderer.nearTerms(n)), []);
+        }
+
+        return [node];
+    }
+
+    /**
+     * Renders a terminal node as a search term.  Inflectional terms are plain words, thesaurus terms are prefixed with a tilde, and literal terms are prefixed with a plus sign or quoted.
+     * @param {TerminalNode} node The terminal node.
+     * @returns {string} The rendered term.
+     */
+    renderTerm(node) {
+        const term = node.term.trim(),
+            prefix = `${node.exclude ? "-" : ""}${node.column ? `${node.column}:` : ""}`,
+            weight = node.weight === null ? "" : `^${node.weight}`;
+
+        if (node.termForm === "Literal") {
+            if (term.endsWith("*") && TermSanitizer.isPlainWord(term.replace(/\*+$/, ""))) {
+                return `${prefix}${term}${weight}`;
+            }
+
+            return `${prefix}${TermSanitizer.isPlainWord(term) && !this.isKeyword(term) ? `+${term}` : FriendlyRenderer.quote(term)}${weight}`;
+        }
+
+        // A quoted term is always literal, so an inflectional or thesaurus term is written as the words the parser splits it into
+        const modifier = node.termForm === "Thesaurus" ? "~" : "",
+            words = FriendlyRenderer.words(term).map((word) => `${prefix}${modifier}${this.isKeyword(word) ? `'${word}'` : word}${weight}`);
+
+        if (words.length === 0) {
+            return `${prefix}${FriendlyRenderer.quote(term)}${weight}`;
+        }
+
+        // Excluded words are not grouped, since an expression containing only excluded terms is discarded
+        return words.length === 1 || node.exclude ? words.join(" ") : `(${words.join(" ")})`;
+    }
+
+    /**
+     * Gets the keyword to write for an operator, which is the first keyword of the grammar that stands for it, or the English keyword when the grammar has none.
+     * @param {GrammarOperator} operator The operator.
+     * @returns {string} The keyword.
+     */
+    getOperatorKeyword(operator) {
+        const keywords = this.grammar ? this.grammar.getKeywords(operator) : [];
+
+        return keywords.length > 0 ? keywords[0] : englishKeywords[operator];
+    }
+
+    /**
+     * Determines whether a word would be read as a keyword rather than searched as a term.
+     * @param {string} word The word.
+     * @returns {boolean} Whether the word is a keyword.
+     */
+    isKeyword(word) {
+        return keywordRegex.test(word) || !!this.grammar && this.grammar.getKeyword(word) !== null;
+    }
+
+    /**
+     * Splits a term into the words the parser reads it as, without the punctuation that separates them.
+     * @param {string} term The term.
+     * @returns {string[]} The words.
+     */
+    static words(term) {
+        return TermSanitizer.sanitize([...term].map((ch) => QueryTokenizer.isPunctuation(ch) ? " " : ch).join(""), "Inflectional");
+    }
+
+    /**
+     * Quotes a term.  The search syntax has no way to escape a double quote, so double quotes are replaced with spaces.
+     * @param {string} term The term to quote.
+     * @returns {string} The quoted term.
+     */
+    static quote(term) {
+        return `"${term.replace(/"/g, " ").replace(/\s+/g, " ").trim()}"`;
+    }
+}
+
+module.exports = FriendlyRenderer;
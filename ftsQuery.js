@@ -3,31 +3,94 @@
 // Licensed under the MIT license.
 
 /**
+ * @typedef {import("./types/index").AstNode} AstNode
+ * @typedef {import("./types/index").CanonicalizeOptions} CanonicalizeOptions
+ * @typedef {import("./types/index").CanonicalResult} CanonicalResult
+ * @typedef {import("./types/index").ColumnCondition} ColumnCondition
+ * @typedef {import("./types/index").ColumnTransformResult} ColumnTransformResult
  * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").Dialect} Dialect
+ * @typedef {import("./types/index").ElasticsearchRendererOptions} ElasticsearchRendererOptions
+ * @typedef {import("./types/index").EvaluationResult} EvaluationResult
+ * @typedef {import("./types/index").EvaluatorDocument} EvaluatorDocument
+ * @typedef {import("./types/index").Explanation} Explanation
+ * @typedef {import("./types/index").FilterConditions} FilterConditions
+ * @typedef {import("./types/index").FilterTransformResult} FilterTransformResult
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").FTSQueryOptions} FTSQueryOptions
+ * @typedef {import("./types/index").HighlightOptions} HighlightOptions
+ * @typedef {import("./types/index").HighlightResult} HighlightResult
  * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").IRenderer} IRenderer
+ * @typedef {import("./types/index").InternalAstNode} InternalAstNode
+ * @typedef {import("./types/index").Language} Language
+ * @typedef {import("./types/index").Proximity} Proximity
+ * @typedef {import("./types/index").QueryFilters} QueryFilters
+ * @typedef {import("./types/index").SqlStatement} SqlStatement
+ * @typedef {import("./types/index").SqlStatementOptions} SqlStatementOptions
+ * @typedef {import("./types/index").Span} Span
+ * @typedef {import("./types/index").SyntaxToken} SyntaxToken
  * @typedef {import("./types/index").TermForm} TermForm
+ * @typedef {import("./types/index").Thesaurus} Thesaurus
+ * @typedef {import("./types/index").TokenizeResult} TokenizeResult
+ * @typedef {import("./types/index").TransformResult} TransformResult
  */
 
-const InternalNode = require("./internalNode"),
-    ParsingHelper = require("./parsingHelper"),
+const ConditionParser = require("./conditionParser"),
+    ConditionValidator = require("./conditionValidator"),
+    ElasticsearchRenderer = require("./elasticsearchRenderer"),
+    Evaluator = require("./evaluator"),
+    FriendlyRenderer = require("./friendlyRenderer"),
+    Highlighter = require("./highlighter"),
+    InternalNode = require("./internalNode"),
+    MySqlRenderer = require("./mySqlRenderer"),
+    PostgresRenderer = require("./postgresRenderer"),
+    QueryCanonicalizer = require("./queryCanonicalizer"),
+    QueryExplainer = require("./queryExplainer"),
+    QueryGrammar = require("./queryGrammar"),
+    QueryLimits = require("./queryLimits"),
+    QueryTokenizer = require("./queryTokenizer"),
+    SqlStatementBuilder = require("./sqlStatementBuilder"),
+    SqliteRenderer = require("./sqliteRenderer"),
     StandardStopWords = require("./standardStopWords"),
+    StopLists = require("./stopLists"),
+    TermSanitizer = require("./termSanitizer"),
     TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings"),
 
-    andRegex = /^and$/i,
-    nearRegex = /^near$/i,
-    notRegex = /^not$/i,
-    orRegex = /^or$/i;
+    proximityDistanceRegex = /^(?:[0-9]+|max)$/i,
+    weightRegex = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/;
 
 /**
- * @type {string} Characters not allowed in unquoted search terms.
+ * @type {number} The largest maximum distance SQL Server accepts in a custom proximity term.
  */
-const punctuation = "~\"`!@#$%^&*()-+=[]{}\\|;:,.<>?/";
+const maxProximityDistance = 4294967295;
+
+/**
+ * @type {ConjunctionType[]} The conjunctions of internal nodes.
+ */
+const conjunctions = ["And", "Or", "Near"];
+
+/**
+ * @type {TermForm[]} The forms of terminal nodes.
+ */
+const termForms = ["Inflectional", "Thesaurus", "Literal"];
+
+/**
+ * @type {{[x: string]: new () => IRenderer}} Renderers for the supported output dialects other than SQL Server.
+ */
+const renderers = {
+    "Friendly": FriendlyRenderer,
+    "MySql": MySqlRenderer,
+    "Postgres": PostgresRenderer,
+    "Sqlite": SqliteRenderer
+};
 
 /**
  * Class to convert user-friendly search term to SQL Server full-text search syntax.  Supports a Google-like syntax as described in the remarks.  No exceptions are thrown for badly formed input.  The code simply constructs the best query it can.
  * @example <caption>The following list shows how various syntaxes are interpreted.</caption>
  * abc                     Find inflectional forms of abc
- * ~abc                    Find thesaurus variations of abc
+ * ~abc                    Find thesaurus variations of abc, expanded on the client when a thesaurus is set
  * "abc"                   Find exact term abc
  * +abc                    Find exact term abc
  * "abc" near "def"        Find exact term abc near exact term def
@@ -36,16 +99,23 @@ const punctuation = "~\"`!@#$%^&*()-+=[]{}\\|;:,.<>?/";
  * abc def                 Find inflectional forms of both abc and def
  * abc or def              Find inflectional forms of either abc or def
  * <+abc +def>             Find exact term abc near exact term def
+ * abc^0.8                Find inflectional forms of abc, with a weight of 0.8 when ranked with transformWeighted
+ * "abc" near/5 "def"      Find exact term abc within 5 terms of exact term def
+ * "abc" onear/5 "def"     Find exact term abc within 5 terms before exact term def
+ * <"abc" "def" "ghi">~10  Find exact terms abc, def and ghi within 10 terms of each other
  * abc and (def or ghi)    Find inflectional forms of both abc and either def or ghi
+ * title:abc               Find inflectional forms of abc in the title column, when columns are configured
+ * type:pdf                Filter on type pdf instead of searching for it, when filters are configured
  */
 class FTSQuery {
     /**
      * Constructs an ftsQuery instance.
-     * @param {boolean} [addStandardStopWords] If true, the standard list of stopwords are added to the stopword list.
+     * @param {boolean} [addStandardStopWords] If true, the standard list of stopwords are added to the stopword list, which applies to every language.
+     * @param {FTSQueryOptions} [options] Additional options.
      */
-    constructor(addStandardStopWords) {
+    constructor(addStandardStopWords, options) {
         /**
-         * @type {string[]} Collection of stop words.  These words will not be included in the resulting query unless quoted.
+         * @type {string[]} Collection of stop words for every language, in addition to those in the stop list for the query's language.  These words will not be included in the resulting query unless quoted.
          */
         this.stopWords = [];
 
@@ -54,15 +124,93 @@ class FTSQuery {
                 this.stopWords.push(word);
             }
         }
+
+        /**
+         * @type {StopLists} The stop lists for each language.  The instance passed in the stopLists option is used as it is, so that it can be shared between instances.
+         */
+        this.stopLists = options && options.stopLists || new StopLists();
+
+        /**
+         * @type {Language} The LCID or culture name of the language of queries, which chooses the stop list to use.
+         */
+        this.language = options && options.language !== void 0 && options.language !== null ? options.language : 1033;
+
+        /**
+         * @type {Thesaurus} The thesaurus used to expand thesaurus terms into literal alternatives.  When null, thesaurus terms are left to the server's thesaurus.
+         */
+        this.thesaurus = options && options.thesaurus || null;
+
+        /**
+         * @type {{[x: string]: string[]}} The columns that terms may be scoped to with a column: prefix, along with any aliases for each column.  When null, column prefixes are not recognized.
+         */
+        this.columns = null;
+
+        if (options && Array.isArray(options.columns)) {
+            this.columns = {};
+            for (const column of options.columns) {
+                this.columns[column] = [];
+            }
+        } else if (options && options.columns) {
+            this.columns = {};
+            for (const column of Object.keys(options.columns)) {
+                this.columns[column] = options.columns[column] || [];
+            }
+        }
+
+        /**
+         * @type {string} The column searched by terms that are not scoped to a column.
+         */
+        this.defaultColumn = options && options.defaultColumn || "*";
+
+        /**
+         * @type {QueryFilters} The filter keys that are extracted from queries rather than searched, such as type in type:pdf.  When null, no filters are extracted.
+         */
+        this.filters = options && options.filters || null;
+
+        /**
+         * @type {QueryExplainer} The explainer used to describe how queries are interpreted, which holds the templates for each locale.
+         */
+        this.explainer = options && options.explainer || new QueryExplainer();
+
+        /**
+         * @type {QueryGrammar} The keywords and symbols queries may use as operators.
+         */
+        this.grammar = options && options.grammar || new QueryGrammar();
+
+        /**
+         * @type {QueryLimits} The limits on the complexity of queries.
+         */
+        this.limits = new QueryLimits(options && options.limits);
     }
 
     /**
-     * Determines if the given word has been identified as a stop word.
+     * Determines if the given word has been identified as a stop word, without regard to case.
      * @param {string} word Word to test.
+     * @param {Language} [language] The LCID or culture name of the language of the word.  Defaults to the language option.
+     * @param {Set<string>} [stopWords] The stop words of the stopWords property in lowercase, so that the array is not searched for each word of a query.
      * @returns {boolean} A boolean indicating if the word is a stop word.
      */
-    isStopWord(word) {
-        return this.stopWords.indexOf(word) !== -1;
+    isStopWord(word, language, stopWords) {
+        const lowerWord = word.toLowerCase();
+
+        if (this.stopLists.isStopWord(lowerWord, language === void 0 || language === null ? this.language : language)) {
+            return true;
+        }
+
+        return stopWords ? stopWords.has(lowerWord) : this.stopWords.some((stopWord) => stopWord.toLowerCase() === lowerWord);
+    }
+
+    /**
+     * Determines if a term parsed from a query would be removed because every word it contains is a stop word.
+     * @param {string} term Term to test.
+     * @param {TermForm} termForm The form of the term.
+     * @param {Set<string>} [stopWords] The stop words of the stopWords property in lowercase.
+     * @returns {boolean} A boolean indicating if the term is removed as a stop word.
+     */
+    isStopTerm(term, termForm, stopWords) {
+        const terms = TermSanitizer.sanitize(term, termForm);
+
+        return terms.length > 0 && terms.every((sanitizedTerm) => this.isStopWord(sanitizedTerm, null, stopWords));
     }
 
     /**
@@ -71,29 +219,638 @@ class FTSQuery {
      * This method takes a search query and converts it to a correctly formed full text search condition that can be passed to SQL Server constructs like CONTAINSTABLE.
      *
      * If the query contains invalid terms, the code will do what it can to return a valid search condition.  If no valid terms were found, this method returns an empty string.
+     *
+     * Other databases can be targeted by passing the name of a dialect, such as "Postgres" for a string to pass to PostgreSQL's to_tsquery or "Sqlite" for an FTS5 MATCH expression, or a renderer instance when the dialect's rendering options need to be changed.  Each dialect applies its own fix-up rules in place of fixUpExpressionTree.
+     *
+     * When a warnings array is passed, a warning is added to it for each part of the query that was ignored or changed, such as removed stop words, unbalanced parentheses, discarded NOT expressions, and NEAR conjunctions changed to AND.
      * @summary Converts a search expression to a valid SQL Server full-text search condition.
      * @param {string} query Search term to be converted.
+     * @param {Dialect|IRenderer} [dialect] The dialect to render the condition in.  Defaults to "SqlServer".
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {string} A valid full-text search query condition or an empty string if a valid condition was not possible.
+     */
+    transform(query, dialect, warnings) {
+        return this.transformNode(this.parseQuery(query, warnings), dialect, warnings);
+    }
+
+    /**
+     * Converts a search expression to a SQL Server ISABOUT condition, for ranking the results of CONTAINSTABLE by weighted terms, such as database^0.9 index^0.2.
+     *
+     * Each term is rendered in its inflectional, thesaurus or literal form followed by its weight, if it has one.  Proximity terms are included without a weight.  Since ISABOUT has no AND, OR or NOT, the conjunctions between terms are ignored and excluded terms are discarded.  If no valid terms were found, this method returns an empty string.
+     * @summary Converts a search expression to a SQL Server ISABOUT condition.
+     * @param {string} query Search term to be converted.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {string} The ISABOUT condition, or an empty string if a valid condition was not possible.
+     */
+    transformWeighted(query, warnings) {
+        const node = this.fixUpExpressionTree(this.parseQuery(query, warnings), true, warnings),
+            terms = FTSQuery.getWeightedTerms(node, warnings),
+            condition = terms.length > 0 ? `ISABOUT(${terms.join(", ")})` : "";
+
+        return this.limits.limitOutput(condition, terms.length, (count) => count > 0 ? `ISABOUT(${terms.slice(0, count).join(", ")})` : "", warnings);
+    }
+
+    /**
+     * Converts a search expression to a parameterized SQL Server SELECT statement that searches a table, such as for passing to the query method of an mssql or tedious request.
+     *
+     * The statement searches with CONTAINSTABLE by default, joined to the table on its key column and ordered by rank, or with CONTAINS or FREETEXTTABLE when set by the predicate option.  The condition is always passed as the @condition parameter, and the minimum rank and paging as the @minRank, @offset and @limit parameters.  The language defaults to the language option, so that words are broken the same way stop words are removed.  FREETEXTTABLE is passed the query as it was typed, since it takes free text rather than a condition.  If no valid terms were found, this method returns null.
+     * @summary Converts a search expression to a parameterized SQL statement.
+     * @param {string} query Search term to be converted.
+     * @param {SqlStatementOptions} options The table to search, and how to search, rank and page it.  Set weighted to rank by the weights of terms with an ISABOUT condition.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {SqlStatement} The statement, and the parameters to pass with it, or null if a valid condition was not possible.
+     */
+    toSql(query, options, warnings) {
+        const builder = new SqlStatementBuilder({...options, language: options && options.language !== void 0 ? options.language : this.language}),
+            condition = builder.predicate === "ContainsTable" && options.weighted ? this.transformWeighted(query, warnings) : this.transform(query, "SqlServer", warnings);
+
+        return condition ? builder.build(builder.predicate === "FreeTextTable" ? query.trim() : condition) : null;
+    }
+
+    /**
+     * Gets the weighted terms of an ISABOUT condition from an expression tree.
+     * @param {INode} node The node to get the weighted terms of.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each excluded term that was discarded.
+     * @returns {string[]} The rendered weighted terms.
+     */
+    static getWeightedTerms(node, warnings) {
+        if (!node) {
+            return [];
+        }
+
+        if (node.exclude) {
+            Warnings.add(warnings, "ISABOUT_NOT_DISCARDED", "An excluded expression was discarded because ISABOUT cannot exclude terms.", node);
+            return [];
+        }
+
+        if (node instanceof TerminalNode) {
+            return [node.toWeightedString()];
+        }
+
+        if (node instanceof InternalNode) {
+            if (node.conjunction === "Near" && node.leftChild && node.rightChild) {
+                const text = node.toString();
+
+                return [node.grouped ? text.slice(1, -1) : text];
+            }
+
+            return [...FTSQuery.getWeightedTerms(node.leftChild, warnings), ...FTSQuery.getWeightedTerms(node.rightChild, warnings)];
+        }
+
+        return [];
+    }
+
+    /**
+     * Converts a search expression that scopes terms to columns, such as title:database author:"jane doe", to a SQL Server predicate.
+     *
+     * Each part of the expression tree that searches a single column becomes a CONTAINS predicate for that column, and the predicates are combined with AND, OR and NOT.  The conditions are returned separately, and are referenced in the predicate by parameter name so that they are never concatenated into the SQL.  Terms that are not scoped to a column search the default column, and a word before a colon that is not a known column is searched as a term.  If no valid terms were found, the predicate is an empty string.
+     * @summary Converts a column-scoped search expression to a SQL Server predicate.
+     * @param {string} query Search term to be converted.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {ColumnTransformResult} The predicate and the condition for each CONTAINS predicate within it.
+     */
+    transformColumns(query, warnings) {
+        const node = this.fixUpExpressionTree(this.parseQuery(query, warnings), true, warnings),
+
+            /** @type {ColumnTransformResult} */
+            result = {predicate: "", conditions: []};
+
+        if (node) {
+            result.predicate = this.renderPredicate(node, result.conditions);
+        }
+
+        return result;
+    }
+
+    /**
+     * Renders an expression tree as a SQL Server predicate made up of CONTAINS predicates.
+     * @param {INode} node The node to render.
+     * @param {ColumnCondition[]} conditions The list to add the condition of each CONTAINS predicate to.
+     * @returns {string} The predicate.
+     */
+    renderPredicate(node, conditions) {
+        const columns = FTSQuery.getColumns(node);
+
+        if (columns.length === 1 && (node instanceof TerminalNode || !node.exclude)) {
+            const column = columns[0] || this.defaultColumn,
+                parameter = `p${conditions.length}`,
+                exclude = node.exclude;
+
+            // The NOT is moved outside of CONTAINS, since a condition cannot start with NOT
+            node.exclude = false;
+            conditions.push({column, parameter, condition: node.toString()});
+            node.exclude = exclude;
+
+            return `${exclude ? "NOT " : ""}CONTAINS(${FTSQuery.quoteColumn(column)}, @${parameter})`;
+        }
+
+        if (!(node instanceof InternalNode)) {
+            return "";
+        }
+
+        const operator = node.conjunction === "Or" ? "OR" : "AND",
+            children = [node.leftChild, node.rightChild].map((child) => {
+                const predicate = this.renderPredicate(child, conditions);
+
+                if (child instanceof InternalNode && child.conjunction !== node.conjunction && FTSQuery.getColumns(child).length > 1) {
+                    return `(${predicate})`;
+                }
+
+                return predicate;
+            });
+
+        return `${node.grouped ? "(" : ""}${children[0]} ${operator} ${children[1]}${node.grouped ? ")" : ""}`;
+    }
+
+    /**
+     * Gets the distinct columns searched by the terminal nodes of an expression tree.
+     * @param {INode} node The root node of the expression tree.
+     * @returns {string[]} The columns, with null representing the default column.
+     */
+    static getColumns(node) {
+        if (node instanceof TerminalNode) {
+            return [node.column];
+        }
+
+        if (node instanceof InternalNode) {
+            return [...new Set([...node.leftChild ? FTSQuery.getColumns(node.leftChild) : [], ...node.rightChild ? FTSQuery.getColumns(node.rightChild) : []])];
+        }
+
+        return [];
+    }
+
+    /**
+     * Quotes a column name for use in a CONTAINS predicate, the same way that SQL statements quote names.  All columns and lists of columns are left as they are.
+     * @param {string} column The column name.
+     * @returns {string} The quoted column name.
+     */
+    static quoteColumn(column) {
+        if (column === "*" || column.startsWith("(")) {
+            return column;
+        }
+
+        return SqlStatementBuilder.quoteName(column);
+    }
+
+    /**
+     * Gets the column that a column: prefix refers to.
+     * @param {string} name The name or alias of the column.
+     * @returns {string} The column, or null if the column is not known.
+     */
+    resolveColumn(name) {
+        const lowerName = name.toLowerCase();
+
+        for (const column of Object.keys(this.columns || {})) {
+            if (column.toLowerCase() === lowerName || this.columns[column].some((alias) => alias.toLowerCase() === lowerName)) {
+                return column;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Scopes the terminal nodes of an expression tree that are not already scoped to a column to the specified column.
+     * @param {INode} node The root node of the expression tree.
+     * @param {string} column The column, or null to leave the expression tree unchanged.
+     * @returns {void}
+     */
+    static setColumn(node, column) {
+        if (!column) {
+            return;
+        }
+
+        if (node instanceof TerminalNode) {
+            if (!node.column) {
+                node.column = column;
+            }
+        } else if (node instanceof InternalNode) {
+            FTSQuery.setColumn(node.leftChild, column);
+            FTSQuery.setColumn(node.rightChild, column);
+        }
+    }
+
+    /**
+     * Sets the weight of the terms of an expression tree that do not have one.
+     * @param {INode} node Root node of the expression tree.
+     * @param {number} weight The weight, or null to leave the terms unchanged.
+     * @returns {void}
+     */
+    static setWeight(node, weight) {
+        if (weight === null) {
+            return;
+        }
+
+        if (node instanceof TerminalNode) {
+            if (node.weight === null) {
+                node.weight = weight;
+            }
+        } else if (node instanceof InternalNode) {
+            FTSQuery.setWeight(node.leftChild, weight);
+            FTSQuery.setWeight(node.rightChild, weight);
+        }
+    }
+
+    /**
+     * Converts a search expression to a valid full-text search condition, and reports each part of the query that was ignored or changed in the process.
+     *
+     * Each warning has a code, a message, and when known, the start and end positions of the part of the original query that it applies to.  The codes are:
+     * STOPWORD_REMOVED            A stop word was removed.
+     * UNBALANCED_PAREN            A parenthesis had no matching parenthesis.
+     * UNBALANCED_ANGLE_BRACKET    An angle bracket had no matching angle bracket.
+     * UNTERMINATED_QUOTE          A quoted term was not closed.
+     * NOT_ONLY_DISCARDED          An expression containing only excluded terms was discarded.
+     * OR_NOT_DISCARDED            An excluded expression joined with OR was discarded.
+     * NEAR_DOWNGRADED             A NEAR conjunction was changed to AND.
+     * SUBEXPRESSIONS_SWAPPED      An excluded expression was moved after the expression it was joined with.
+     *
+     * Other dialects may report additional codes.
+     * @summary Converts a search expression to a valid full-text search condition with warnings.
+     * @param {string} query Search term to be converted.
+     * @param {Dialect|IRenderer} [dialect] The dialect to render the condition in.  Defaults to "SqlServer".
+     * @returns {TransformResult} The condition, and the warnings for the parts of the query that were ignored or changed.
+     */
+    transformWithDiagnostics(query, dialect) {
+        /** @type {FixUpWarning[]} */
+        const warnings = [];
+
+        const condition = this.transform(query, dialect, warnings);
+
+        return {condition, warnings, limited: warnings.some((w) => QueryLimits.isLimitWarning(w))};
+    }
+
+    /**
+     * Converts a search expression that mixes terms with filters, such as database type:pdf -status:draft before:2024-01-01, to a full-text search condition and the filters to apply alongside it.
+     *
+     * Each filter is a key and a value separated by a colon, where the key has been added to the filters option.  Filters are removed from the query, so the condition only searches the remaining terms, and their values are parsed according to the type of each key.  A filter preceded by - or not is returned as excluded.  Words before a colon that are not filter keys are searched as usual.  Values that cannot be parsed are ignored, with the warning code INVALID_FILTER_VALUE.
+     * @summary Converts a search expression to a full-text search condition and filters.
+     * @param {string} query Search term to be converted.
+     * @param {Dialect|IRenderer} [dialect] The dialect to render the condition in.  Defaults to "SqlServer".
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {FilterTransformResult} The condition, and the values and excluded values of each filter in the query, keyed by filter key.
+     */
+    transformWithFilters(query, dialect, warnings) {
+        /** @type {FilterConditions} */
+        const filters = {};
+
+        const condition = this.transformNode(this.parseQuery(query, warnings, null, filters), dialect, warnings);
+
+        return {condition, filters};
+    }
+
+    /**
+     * Converts a search expression to a SQL Server full-text search condition in canonical form, along with a hash of the condition, so that queries that match the same documents can share cached results.
+     *
+     * The condition returned by transform is parsed with the precedence SQL Server gives it, and then rewritten: chains of the same conjunction are flattened, the operands of AND and OR are sorted with excluded operands last, duplicate operands and unneeded groups are removed, and terms are case folded.  So abc def, def abc, (abc and def) and ABC  def all produce the same condition.  Each rewrite keeps what the condition matches.  NEAR and custom proximity terms are left in the order given.
+     * @summary Converts a search expression to a canonical full-text search condition and hash.
+     * @param {string} query Search term to be converted.
+     * @param {CanonicalizeOptions} [options] Canonicalization options.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {CanonicalResult} The canonical condition, or an empty string if a valid condition was not possible, and its SHA-256 hash.
+     */
+    canonicalize(query, options, warnings) {
+        const node = new QueryCanonicalizer(options).canonicalize(new ConditionParser(this.transform(query, "SqlServer", warnings)).parse()),
+            condition = node ? node.toString() : "";
+
+        return {condition, hash: QueryCanonicalizer.hash(condition)};
+    }
+
+    /**
+     * Describes in plain language how a search expression was interpreted, such as for answering why a search did not find something.
+     *
+     * The expression tree is fixed up using the same rules as for SQL Server, and then described, such as "Documents containing any form of "database" and the exact phrase "index tuning", but not any form of "draft"."  A note is added for each part of the query that was ignored or changed, such as removed stop words and NEAR conjunctions changed to AND.  The description is returned as text, and as parts for rendering in a user interface, where each term is a separate part with its position in the query.  The phrasing is taken from the templates of the locale in the explainer option, which defaults to English.
+     * @summary Describes how a search expression was interpreted.
+     * @param {string} query Search term to be described.
+     * @param {string} [locale] The locale of the description, such as en or de-AT.  Defaults to English.
+     * @returns {Explanation} The description as text and as parts, along with the notes.
+     */
+    explain(query, locale) {
+        /** @type {FixUpWarning[]} */
+        const warnings = [];
+
+        const node = this.fixUpExpressionTree(this.parseQuery(query, warnings), true, warnings);
+
+        return this.explainer.explain(node, query, warnings, locale);
+    }
+
+    /**
+     * Parses a search expression into an abstract syntax tree that can be serialized as JSON.
+     *
+     * The tree is returned as parsed, before any of the corrections made by fixUpExpressionTree, so that it can be stored, edited, and passed to render later.  Each node has a type of "Internal" or "Terminal", its exclude and grouped flags, and the start and end positions of its source text within the query.  Internal nodes also have a conjunction and two child nodes, while terminal nodes have a term and a term form.
+     * @summary Parses a search expression into a JSON-serializable abstract syntax tree.
+     * @param {string} query Search term to be parsed.
+     * @returns {AstNode} The root node of the abstract syntax tree, or null if the query contains no terms.
+     */
+    parse(query) {
+        const node = this.parseQuery(query);
+
+        return node ? node.toJSON() : null;
+    }
+
+    /**
+     * Splits a search expression into syntax tokens, for highlighting the syntax of a query and suggesting what may be typed next as it is entered in a search box.
+     *
+     * The tokens are those the parser sees, in the order they appear in the query, so a keyword is only an operator where it is interpreted as one, and a term is a stop word when every word it contains is removed as a stop word.  Partial input is never an error: an unclosed parenthesis or angle bracket, or a closing parenthesis without an opening one, is marked as unbalanced, and a quoted term that is not closed is marked as unterminated.  The query is limited by the limits option the same way it is when it is transformed.
+     * @summary Splits a search expression into syntax tokens.
+     * @param {string} query Search term to be split.
+     * @param {number} [cursor] The position of the cursor within the query.  Defaults to the end of the query.
+     * @returns {TokenizeResult} The tokens, along with the types of token that are valid at the cursor.
+     */
+    tokenize(query, cursor) {
+        /** @type {SyntaxToken[]} */
+        const tokens = [];
+
+        this.parseQuery(query, [], tokens);
+        tokens.sort((a, b) => a.start - b.start);
+
+        return {tokens, expected: QueryTokenizer.getExpected(tokens, typeof cursor === "number" ? cursor : query.length, !!this.columns, !!this.filters)};
+    }
+
+    /**
+     * Parses a SQL Server full-text search condition, such as one saved from transform or written by hand, into an abstract syntax tree.
+     *
+     * The condition may use FORMSOF, NEAR, custom proximity terms, ISABOUT, AND, OR, NOT and the &, |, &! and ~ operators.  The tree can be rendered back to the user-friendly syntax with the "Friendly" dialect, so that an existing condition can be shown and edited in a search box.  Parts of the condition that could not be understood are skipped, with the warning code CONDITION_SYNTAX, and NOT applied to an expression other than a term or an OR expression is ignored, with the warning code CONDITION_UNSUPPORTED.
+     * @summary Parses a full-text search condition into a JSON-serializable abstract syntax tree.
+     * @param {string} condition The search condition to be parsed.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each part of the condition that could not be understood.
+     * @returns {AstNode} The root node of the abstract syntax tree, or null if the condition contains no terms.
+     */
+    parseCondition(condition, warnings) {
+        const node = new ConditionParser(condition, warnings).parse();
+
+        return node ? node.toJSON() : null;
+    }
+
+    /**
+     * Checks a SQL Server full-text search condition for problems that would cause SQL Server to reject it, such as with error 7630, without sending it to SQL Server.
+     *
+     * The condition is checked against the CONTAINS grammar, and against the rules that fixUpExpressionTree corrects: an expression cannot start with NOT or only contain excluded terms, NOT cannot follow OR, and NEAR can only join simple and prefix terms.  Conditions returned by transform always pass.  Each error has a code, a message, and the start and end positions of the part of the condition it applies to.
+     * @example <caption>The following list shows the error codes.</caption>
+     * EMPTY_CONDITION             The condition has no terms.
+     * UNTERMINATED_QUOTE          A quoted term was not closed.
+     * UNEXPECTED_TOKEN            A keyword or symbol was found where it was not expected.
+     * MISSING_SYMBOL              A parenthesis or comma was missing.
+     * MISSING_TERM                A term was missing.
+     * MISSING_CONJUNCTION         Two terms were not joined with AND, OR or NEAR.
+     * INVALID_TERM                An unquoted term contains punctuation, a prefix term is not quoted, or a quoted term is empty.
+     * LEADING_NOT                 An expression starts with NOT.
+     * OR_NOT                      NOT follows OR.
+     * MISPLACED_NOT               NOT follows something other than AND.
+     * INVALID_NEAR_OPERAND        NEAR joins something other than simple and prefix terms.
+     * INVALID_GENERATION_TERM     FORMSOF is missing INFLECTIONAL or THESAURUS, or contains a prefix term.
+     * INVALID_PROXIMITY_TERM      A custom proximity term has fewer than two terms, or an invalid distance or order.
+     * INVALID_WEIGHTED_TERM       ISABOUT contains a parenthesized expression or another ISABOUT.
+     * INVALID_WEIGHT              A weight is not a number from 0.0 through 1.0.
+     * @summary Checks a full-text search condition for errors.
+     * @param {string} condition The search condition to check.
+     * @returns {FixUpWarning[]} The errors found, which is empty if the condition is valid.
+     */
+    validate(condition) {
+        return new ConditionValidator(condition).validate();
+    }
+
+    /**
+     * Renders an abstract syntax tree returned by parse or parseCondition as a valid full-text search condition.
+     * @param {AstNode} ast The root node of the abstract syntax tree.
+     * @param {Dialect|IRenderer} [dialect] The dialect to render the condition in.  Defaults to "SqlServer".
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {string} A valid full-text search query condition or an empty string if a valid condition was not possible.
+     */
+    render(ast, dialect, warnings) {
+        return this.transformNode(FTSQuery.fromJSON(ast, warnings), dialect, warnings);
+    }
+
+    /**
+     * Fixes up an expression tree and renders it as a full-text search condition.
+     * @param {INode} node Root node of the expression tree.
+     * @param {Dialect|IRenderer} [dialect] The dialect to render the condition in.  Defaults to "SqlServer".
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
      * @returns {string} A valid full-text search query condition or an empty string if a valid condition was not possible.
      */
-    transform(query) {
-        let node = this.parseNode(query, "And");
+    transformNode(node, dialect, warnings) {
+        const renderer = FTSQuery.getRenderer(dialect, this.grammar);
+
+        if (!node || !this.limits.maxOutputLength) {
+            return this.renderNode(node, renderer, warnings);
+        }
+
+        // Fixing up the tree changes it, so keep a copy to render again with fewer terms if the condition is too long
+        const ast = node.toJSON(),
+            terms = QueryLimits.countTerms(node);
+
+        return this.limits.limitOutput(this.renderNode(node, renderer, warnings), terms, (count) => this.renderNode(QueryLimits.truncateTerms(FTSQuery.fromJSON(ast), count), renderer), warnings);
+    }
+
+    /**
+     * Fixes up an expression tree and renders it with a renderer.
+     * @param {INode} node Root node of the expression tree.
+     * @param {IRenderer} renderer The renderer, or null to render the condition for SQL Server.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made to the query.
+     * @returns {string} A valid full-text search query condition or an empty string if a valid condition was not possible.
+     */
+    renderNode(node, renderer, warnings) {
+        if (renderer) {
+            node = renderer.fixUpExpressionTree(node, true, warnings);
+
+            return node ? renderer.render(node) : "";
+        }
 
-        node = this.fixUpExpressionTree(node, true);
+        node = this.fixUpExpressionTree(node, true, warnings);
 
         return node ? node.toString() : "";
     }
 
     /**
-     * Parses a query segment and converts it to an expression tree.
-     * @param {string} query Query segment to be converted.
+     * Rebuilds an expression tree from an abstract syntax tree returned by parse.  Nodes of an unknown type are ignored.  Nodes with an unknown conjunction or term form are ignored along with their children, and a distance that is not a whole number from 0 through 4294967295 is ignored, with a warning for each.
+     * @param {AstNode} ast The root node of the abstract syntax tree.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each part of the tree that was ignored.
+     * @returns {INode} The root node of the expression tree.
+     */
+    static fromJSON(ast, warnings) {
+        if (!ast) {
+            return null;
+        }
+
+        /** @type {INode} */
+        let node;
+
+        switch (ast.type) {
+            case "Internal": {
+                if (ast.conjunction && conjunctions.indexOf(ast.conjunction) === -1) {
+                    Warnings.add(warnings, "INVALID_AST_NODE", `The conjunction "${ast.conjunction}" is not And, Or or Near, so the node and its children were ignored.`, ast);
+                    return null;
+                }
+
+                const internalNode = new InternalNode();
+                internalNode.conjunction = ast.conjunction || "And";
+                internalNode.distance = FTSQuery.getAstDistance(ast, warnings);
+                internalNode.ordered = !!ast.ordered;
+                internalNode.leftChild = FTSQuery.fromJSON(ast.leftChild, warnings);
+                internalNode.rightChild = FTSQuery.fromJSON(ast.rightChild, warnings);
+                node = internalNode;
+                break;
+            }
+            case "Terminal": {
+                if (ast.termForm && termForms.indexOf(ast.termForm) === -1) {
+                    Warnings.add(warnings, "INVALID_AST_NODE", `The term form "${ast.termForm}" is not Inflectional, Thesaurus or Literal, so the term was ignored.`, ast);
+                    return null;
+                }
+
+                const terminalNode = new TerminalNode();
+                terminalNode.termForm = ast.termForm || "Inflectional";
+                terminalNode.term = TermSanitizer.sanitize(typeof ast.term === "string" ? ast.term : "", terminalNode.termForm).join(" ");
+                if (terminalNode.term.length === 0) {
+                    return null;
+                }
+                terminalNode.column = ast.column || null;
+                terminalNode.weight = typeof ast.weight === "number" ? ast.weight : null;
+                node = terminalNode;
+                break;
+            }
+            default:
+                return null;
+        }
+
+        node.exclude = !!ast.exclude;
+        node.grouped = !!ast.grouped;
+        FTSQuery.setSpan(node, ast.start, ast.end);
+
+        return node;
+    }
+
+    /**
+     * Gets the maximum distance of an internal node of an abstract syntax tree, using the same range as parseProximity.
+     * @param {InternalAstNode} ast The internal node.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to if the distance was ignored.
+     * @returns {number} The distance, or null if the node has no maximum distance.
+     */
+    static getAstDistance(ast, warnings) {
+        if (ast.distance === null || typeof ast.distance === "undefined") {
+            return null;
+        }
+
+        if (typeof ast.distance !== "number" || !Number.isInteger(ast.distance) || ast.distance < 0 || ast.distance > maxProximityDistance) {
+            Warnings.add(warnings, "DISTANCE_DROPPED", `The maximum distance "${ast.distance}" is not a whole number from 0 through ${maxProximityDistance} and was ignored.`, ast);
+            return null;
+        }
+
+        return ast.distance;
+    }
+
+    /**
+     * Tests whether a document matches a search expression, without a database.
+     *
+     * The expression tree is fixed up using the same rules as for SQL Server, and then evaluated against the document.  Inflectional forms are matched by the evaluator's stemmer, which defaults to an English stemmer.
+     * @summary Tests whether a document matches a search expression.
+     * @param {string} query Search term to be tested.
+     * @param {EvaluatorDocument} document The text to search, or an object with text fields to search.
+     * @param {Evaluator} [evaluator] The evaluator to use, when its options need to be changed.
+     * @returns {EvaluationResult} Whether the document matched, and the positions of the terms that matched.
+     */
+    evaluate(query, document, evaluator) {
+        return (evaluator || new Evaluator()).evaluate(this.fixUpExpressionTree(this.parseQuery(query), true), document);
+    }
+
+    /**
+     * Finds the words of a text that a search expression matches, for highlighting why a result matched.
+     *
+     * Prefix terms match words starting with the prefix, quoted terms match whole phrases, and inflectional terms match words with the same stem.  Words matched by an excluded term are never highlighted.  Options can be set to also return the text as HTML with each match marked up, or the snippets of the text with the most matches.
+     * @summary Finds the words of a text that a search expression matches.
+     * @param {string} query Search term to highlight.
+     * @param {string} text The text to highlight.
+     * @param {HighlightOptions} [options] Highlighting options.
+     * @returns {HighlightResult} The matched spans of the text, along with the marked up text and the best snippets when requested.
+     */
+    highlight(query, text, options) {
+        return new Highlighter(options).highlight(this.fixUpExpressionTree(this.parseQuery(query), true), text);
+    }
+
+    /**
+     * Converts a search expression to an Elasticsearch or OpenSearch bool query.
+     *
+     * The expression tree is fixed up using the same rules as for SQL Server, so that a query is interpreted the same way by both backends.  The returned object is ready to be passed as the query of a search request.
+     * @summary Converts a search expression to an Elasticsearch bool query.
+     * @param {string} query Search term to be converted.
+     * @param {ElasticsearchRendererOptions} [options] Rendering options.
+     * @returns {object} A bool query, or null if a valid query was not possible.
+     */
+    toElasticsearch(query, options) {
+        const node = this.fixUpExpressionTree(this.parseQuery(query), true);
+
+        return node ? new ElasticsearchRenderer(options).render(node) : null;
+    }
+
+    /**
+     * Gets the renderer to use for a dialect.
+     * @param {Dialect|IRenderer} [dialect] The dialect name or renderer instance.
+     * @param {QueryGrammar} [grammar] The grammar queries are parsed with, so that the "Friendly" dialect quotes its keywords when they are searched as terms.
+     * @returns {IRenderer} The renderer, or null if the condition should be rendered for SQL Server.
+     */
+    static getRenderer(dialect, grammar) {
+        if (!dialect || dialect === "SqlServer") {
+            return null;
+        }
+
+        if (typeof dialect !== "string") {
+            return dialect;
+        }
+
+        if (!renderers[dialect]) {
+            throw new RangeError(`Unknown dialect: ${dialect}`);
+        }
+
+        return dialect === "Friendly" ? new FriendlyRenderer({grammar}) : new renderers[dialect]();
+    }
+
+    /**
+     * Parses a query and converts it to an expression tree, applying the maxLength, maxDepth, maxTerms and maxNearTerms limits.
+     * @param {string} query Query to be converted.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each part of the query that was ignored or limited.
+     * @param {SyntaxToken[]} [tokens] An array to add a syntax token to for each part of the query, in the order they are parsed.
+     * @param {FilterConditions} [filters] An object to add the values of each filter extracted from the query to, keyed by filter key.
+     * @returns {INode} Root node of expression tree
+     */
+    parseQuery(query, warnings, tokens, filters) {
+        const tokenizer = new QueryTokenizer(this.limits.limitLength(query, warnings)),
+            stopWords = new Set(this.stopWords.map((stopWord) => stopWord.toLowerCase()));
+
+        tokenizer.SyntaxTokens = tokens || null;
+        tokenizer.Filters = filters || null;
+
+        const node = this.parseNode(tokenizer, "And", 0, stopWords, warnings);
+
+        return this.limits.limitNearTerms(this.limits.limitTerms(node, warnings), warnings);
+    }
+
+    /**
+     * Parses the tokens of a query segment, up to the end of the block the tokenizer is limited to, and converts them to an expression tree.  Blocks enclosed in parentheses or angle brackets within the segment are parsed recursively.
+     * @param {QueryTokenizer} tokenizer The tokenizer, positioned at the start of the query segment.
      * @param {ConjunctionType} defaultConjunction Implicit conjunction type.
+     * @param {number} depth The number of blocks the query segment is nested within.
+     * @param {Set<string>} stopWords The stop words of the stopWords property, in lowercase.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each part of the query that was ignored.
      * @returns {INode} Root node of expression tree
      */
-    parseNode(query, defaultConjunction) {
+    parseNode(tokenizer, defaultConjunction, depth, stopWords, warnings) {
         let conjunction = defaultConjunction,
             termExclude = false,
             resetState = true;
 
+        /** @type {string} */
+        let termColumn = null;
+
+        /** @type {string} */
+        let filterKey = null;
+
+        /** @type {Span} */
+        let filterSpan = null;
+
+        /** @type {Proximity} */
+        let proximity = null;
+
+        /** @type {INode} */
+        let previousRoot;
+
         /** @type {TermForm} */
         let termForm = "Inflectional";
 
@@ -106,89 +863,188 @@ class FTSQuery {
         /** @type {string} */
         let term;
 
-        const parser = new ParsingHelper(query);
+        /** @type {number} */
+        let start;
+
+        /** @type {number} */
+        let weight;
 
-        while (!parser.EndOfText) {
+        while (!tokenizer.EndOfText) {
             if (resetState) {
                 // Reset modifiers
                 conjunction = defaultConjunction;
                 termForm = "Inflectional";
                 termExclude = false;
+                termColumn = null;
+                proximity = null;
+                filterKey = null;
                 resetState = false;
             }
 
-            parser.skipWhitespace();
-            if (parser.EndOfText) {
+            const token = tokenizer.next();
+            if (!token) {
                 break;
             }
 
-            const ch = parser.peek();
+            start = token.start;
+            previousRoot = root;
+
+            if (token.type === "Word") {
+                term = token.value;
+
+                // Extract a filter instead of searching for it
+                const key = this.filters && tokenizer.peek() === ":" ? this.filters.resolve(term) : null;
+
+                if (key) {
+                    this.parseFilter(tokenizer, key, termExclude, start, warnings);
+                    termExclude = false;
+                    termForm = "Inflectional";
+
+                    // A filter applies to the whole query, so it cannot be joined with OR or NEAR, whether the operator comes before or after it
+                    filterSpan = {start, end: tokenizer.Index};
+                    filterKey = FTSQuery.warnFilterConjunction(key, conjunction, filterSpan, warnings) ? null : key;
+                    continue;
+                }
 
-            if (punctuation.indexOf(ch) === -1) {
-                // Parse this query term
-                term = parser.parseWhile((c) => punctuation.indexOf(c) === -1 && [" ", "\t", "\n", "\r"].indexOf(c) === -1);
+                // Scope the next term to a column, leaving a word that is not a known column to be searched, such as 10 in 10:30
+                if (this.columns && tokenizer.peek() === ":") {
+                    const column = this.resolveColumn(term);
+
+                    if (column) {
+                        termColumn = column;
+                        tokenizer.addSyntaxToken("Column", start, tokenizer.Index + 1);
+                        tokenizer.moveAhead();
+                        continue;
+                    }
+
+                    Warnings.add(warnings, "UNKNOWN_COLUMN", `"${term}" is not a known column, so it was searched as a term.`, {start, end: tokenizer.Index + 1});
+                }
 
                 // Allow trailing wildcard
-                if (parser.peek() === "*") {
-                    term += parser.peek();
-                    parser.moveAhead();
+                if (tokenizer.peek() === "*") {
+                    term += tokenizer.peek();
+                    tokenizer.addSyntaxToken("Wildcard", tokenizer.Index, tokenizer.Index + 1);
+                    tokenizer.moveAhead();
                     termForm = "Literal";
                 }
 
+                // Allow trailing weight
+                weight = tokenizer.peek() === "^" ? FTSQuery.parseWeight(tokenizer, warnings) : null;
+
                 // Interpret term
-                if (andRegex.test(term)) {
-                    conjunction = "And";
-                } else if (orRegex.test(term)) {
-                    conjunction = "Or";
-                } else if (nearRegex.test(term)) {
+                const operator = this.grammar.getKeyword(term);
+
+                if (operator === "And" || operator === "Or") {
+                    conjunction = operator;
+                    tokenizer.addSyntaxToken("Operator", start, token.end, {operator});
+                    filterKey = FTSQuery.warnFilterConjunction(filterKey, conjunction, filterSpan, warnings) ? null : filterKey;
+                } else if (operator === "Near" || operator === "OrderedNear") {
                     conjunction = "Near";
-                } else if (notRegex.test(term)) {
+                    tokenizer.addSyntaxToken("Operator", start, token.end, {operator: "Near"});
+                    proximity = FTSQuery.parseProximity(tokenizer, operator === "OrderedNear", warnings);
+                    filterKey = FTSQuery.warnFilterConjunction(filterKey, conjunction, filterSpan, warnings) ? null : filterKey;
+                } else if (operator === "Not") {
                     termExclude = true;
+                    tokenizer.addSyntaxToken("Operator", start, token.end, {operator: "Not"});
+                } else if (operator) {
+                    termForm = operator;
+                    tokenizer.addSyntaxToken("Modifier", start, token.end);
                 } else {
-                    root = this.addNodeByString(root, term, termForm, termExclude, conjunction);
+                    tokenizer.addSyntaxToken(tokenizer.SyntaxTokens && this.isStopTerm(term, termForm, stopWords) ? "StopWord" : "Term", start, token.end, {exclude: termExclude});
+                    root = this.addNodeByString(root, term, termForm, termExclude, conjunction, start, tokenizer.Index, warnings, termColumn, stopWords, weight);
+                    FTSQuery.setProximity(root, previousRoot, proximity);
                     resetState = true;
                 }
+            } else if (token.type === "Phrase") {
+                termForm = "Literal";
+                if (token.unterminated) {
+                    Warnings.add(warnings, "UNTERMINATED_QUOTE", "A quoted term was not closed, so the rest of the query was treated as the quoted term.", {start, end: token.end});
+                }
+
+                tokenizer.addSyntaxToken(tokenizer.SyntaxTokens && this.isStopTerm(token.value.trim(), termForm, stopWords) ? "StopWord" : "Phrase", start, token.end, token.unterminated ? {exclude: termExclude, unterminated: true} : {exclude: termExclude});
+
+                // Allow trailing weight
+                weight = !token.unterminated && tokenizer.peek() === "^" ? FTSQuery.parseWeight(tokenizer, warnings) : null;
+
+                root = this.addNodeByString(root, token.value.trim(), termForm, termExclude, conjunction, start, tokenizer.Index, warnings, termColumn, stopWords, weight);
+                FTSQuery.setProximity(root, previousRoot, proximity);
+                resetState = true;
             } else {
-                switch (ch) {
-                    case "\"":
-                    case "'":
-                        termForm = "Literal";
-                        parser.moveAhead();
-                        term = parser.parseWhile((c) => c !== ch);
-                        root = this.addNodeByString(root, term.trim(), termForm, termExclude, conjunction);
-                        resetState = true;
-                        break;
+                switch (token.value) {
                     case "(":
-                        // Parse parentheses block
-                        term = FTSQuery.extractBlock(parser, "(", ")");
-                        node = this.parseNode(term, defaultConjunction);
-                        root = this.addNode(root, node, conjunction, true);
-                        resetState = true;
-                        break;
-                    case "<":
-                        // Parse angle brackets block
-                        term = FTSQuery.extractBlock(parser, "<", ">");
-                        node = this.parseNode(term, "Near");
-                        root = this.addNode(root, node, conjunction);
+                    case "<": {
+                        // Parse parentheses or angle brackets block
+                        const paren = token.value === "(",
+                            end = tokenizer.enterBlock(start, token.value, paren ? ")" : ">"),
+                            blockEnd = Math.min(tokenizer.End + 1, end);
+
+                        if (tokenizer.End === end) {
+                            Warnings.add(warnings, paren ? "UNBALANCED_PAREN" : "UNBALANCED_ANGLE_BRACKET", paren ? "An opening parenthesis was not closed." : "An opening angle bracket was not closed.", {start, end: start + 1});
+                            tokenizer.addSyntaxToken("GroupOpen", start, start + 1, {unbalanced: true});
+                        } else {
+                            tokenizer.addSyntaxToken("GroupOpen", start, start + 1);
+                            tokenizer.addSyntaxToken("GroupClose", tokenizer.End, tokenizer.End + 1);
+                        }
+                        tokenizer.IgnoreBlocks = this.limits.limitDepth(depth + 1, {start, end: blockEnd}, warnings);
+                        node = this.parseNode(tokenizer, paren ? defaultConjunction : "Near", depth + 1, stopWords, warnings);
+                        tokenizer.leaveBlock(end);
+                        FTSQuery.setColumn(node, termColumn);
                         resetState = true;
+
+                        // Only terms can be excluded, so NOT before a block is ignored
+                        if (termExclude && node) {
+                            Warnings.add(warnings, "GROUP_NOT_IGNORED", `NOT was ignored because the ${paren ? "parenthesized" : "angle bracket"} block it applies to cannot be excluded.`, {start, end: blockEnd});
+                        }
+
+                        // Allow a maximum distance following an angle brackets block
+                        if (!paren && tokenizer.peek(1) === "~" && (/[0-9]/).test(tokenizer.peek(2))) {
+                            tokenizer.moveAhead(2);
+                            FTSQuery.setProximityChain(node, {distance: Math.min(Number(tokenizer.parseWhile((c) => (/[0-9]/).test(c))), maxProximityDistance), ordered: false});
+                            tokenizer.addSyntaxToken("Distance", blockEnd, tokenizer.Index);
+                            FTSQuery.setSpan(node, start, tokenizer.Index);
+                        } else {
+                            tokenizer.moveAhead();
+                            FTSQuery.setSpan(node, start, blockEnd);
+                        }
+
+                        // Allow trailing weight, which is given to the terms of the block that have none
+                        if (tokenizer.peek() === "^") {
+                            FTSQuery.setWeight(node, FTSQuery.parseWeight(tokenizer, warnings));
+                        }
+
+                        root = this.addNode(root, node, conjunction, paren);
+                        FTSQuery.setProximity(root, previousRoot, proximity);
                         break;
-                    case "-":
-                        // Match when next term is not present
-                        termExclude = true;
-                        break;
-                    case "+":
-                        // Match next term exactly
-                        termForm = "Literal";
-                        break;
-                    case "~":
-                        // Match synonyms of next term
-                        termForm = "Thesaurus";
+                    }
+                    case ")":
+                        Warnings.add(warnings, "UNBALANCED_PAREN", "A closing parenthesis without an opening parenthesis was ignored.", {start, end: token.end});
+                        tokenizer.addSyntaxToken("GroupClose", start, token.end, {unbalanced: true});
                         break;
-                    default:
+                    default: {
+                        // Interpret symbol, such as - to match when the next term is not present
+                        const operator = this.grammar.getSymbol(token.value);
+
+                        if (operator === "And" || operator === "Or") {
+                            conjunction = operator;
+                            tokenizer.addSyntaxToken("Operator", start, token.end, {operator});
+                            filterKey = FTSQuery.warnFilterConjunction(filterKey, conjunction, filterSpan, warnings) ? null : filterKey;
+                        } else if (operator === "Near" || operator === "OrderedNear") {
+                            conjunction = "Near";
+                            tokenizer.addSyntaxToken("Operator", start, token.end, {operator: "Near"});
+                            proximity = FTSQuery.parseProximity(tokenizer, operator === "OrderedNear", warnings);
+                            filterKey = FTSQuery.warnFilterConjunction(filterKey, conjunction, filterSpan, warnings) ? null : filterKey;
+                        } else if (operator === "Not") {
+                            termExclude = true;
+                            tokenizer.addSyntaxToken("Modifier", start, token.end);
+                        } else if (operator) {
+                            termForm = operator;
+                            tokenizer.addSyntaxToken("Modifier", start, token.end);
+                        } else {
+                            tokenizer.addSyntaxToken("Punctuation", start, token.end);
+                        }
                         break;
+                    }
                 }
-
-                parser.moveAhead();
             }
         }
 
@@ -210,9 +1066,10 @@ class FTSQuery {
      * term1 NEAR NOT term2        NEAR conjunction changed to AND. *
      * @param {INode} node Node to fix up
      * @param {boolean} [isRoot] True if node is the tree's root node
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each correction made.
      * @returns {INode} The fixed up expression tree.
      */
-    fixUpExpressionTree(node, isRoot) {
+    fixUpExpressionTree(node, isRoot, warnings) {
         if (!node) {
             return null;
         }
@@ -222,21 +1079,33 @@ class FTSQuery {
             /** @type {InternalNode} */
             const internalNode = node;
 
-            internalNode.leftChild = this.fixUpExpressionTree(internalNode.leftChild);
-            internalNode.rightChild = this.fixUpExpressionTree(internalNode.rightChild);
+            internalNode.leftChild = this.fixUpExpressionTree(internalNode.leftChild, false, warnings);
+            internalNode.rightChild = this.fixUpExpressionTree(internalNode.rightChild, false, warnings);
 
             // Correct subexpressions incompatible with conjunction type
             if (internalNode.conjunction === "Near") {
                 // If either subexpression is incompatible with NEAR conjunction then change to AND
-                if (FTSQuery.isInvalidWithNear(internalNode.leftChild) || FTSQuery.isInvalidWithNear(internalNode.rightChild)) {
+                if (FTSQuery.isInvalidWithNear(internalNode.leftChild, internalNode) || FTSQuery.isInvalidWithNear(internalNode.rightChild, internalNode)) {
+                    internalNode.conjunction = "And";
+                    if (internalNode.leftChild && internalNode.rightChild) {
+                        Warnings.add(warnings, "NEAR_DOWNGRADED", "NEAR was changed to AND because NEAR can only be used between exact terms.", internalNode);
+                    }
+                } else if (FTSQuery.getColumns(internalNode).length > 1) {
                     internalNode.conjunction = "And";
+                    Warnings.add(warnings, "NEAR_DOWNGRADED", "NEAR was changed to AND because its terms are in different columns.", internalNode);
                 }
             } else if (internalNode.conjunction === "Or") {
                 // Eliminate subexpressions not valid with OR conjunction
                 if (this.isInvalidWithOr(internalNode.leftChild)) {
+                    if (internalNode.leftChild) {
+                        Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.leftChild);
+                    }
                     internalNode.leftChild = null;
                 }
                 if (this.isInvalidWithOr(internalNode.rightChild)) {
+                    if (internalNode.rightChild) {
+                        Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.rightChild);
+                    }
                     internalNode.rightChild = null;
                 }
             }
@@ -260,12 +1129,16 @@ class FTSQuery {
                     const temp = internalNode.leftChild;
                     internalNode.leftChild = internalNode.rightChild;
                     internalNode.rightChild = temp;
+                    Warnings.add(warnings, "SUBEXPRESSIONS_SWAPPED", "An excluded expression was moved after the expression it was joined with.", internalNode);
                 }
             }
         }
 
         // Eliminate expression group if it contains only exclude expressions
         if (!node || ((node.grouped || isRoot) && node.exclude)) {
+            if (node) {
+                Warnings.add(warnings, "NOT_ONLY_DISCARDED", "An expression containing only excluded terms was discarded.", node);
+            }
             return null;
         }
         return node;
@@ -274,11 +1147,17 @@ class FTSQuery {
     /**
      * Determines if the specified node is invalid on either side of a NEAR conjunction.
      * @param {INode} node Node to test
+     * @param {InternalNode} [nearNode] The NEAR node the node is a child of
      * @returns {boolean} Whether the specified node is invalid.
      */
-    static isInvalidWithNear(node) {
-        // NEAR is only valid with TerminalNodes with form TermForms.Literal
-        return !(node instanceof TerminalNode) || node.termForm !== "Literal";
+    static isInvalidWithNear(node, nearNode) {
+        // A NEAR conjunction may also contain an ungrouped chain of NEAR conjunctions with the same distance and order, which is rendered as a single list of terms
+        if (nearNode && node instanceof InternalNode) {
+            return node.conjunction !== "Near" || node.grouped || node.exclude || node.distance !== nearNode.distance || node.ordered !== nearNode.ordered;
+        }
+
+        // NEAR is only valid with TerminalNodes with form TermForms.Literal that are not excluded
+        return !(node instanceof TerminalNode) || node.termForm !== "Literal" || node.exclude;
     }
 
     /**
@@ -298,16 +1177,68 @@ class FTSQuery {
      * @param {TermForm} termForm Indicates form of this term
      * @param {boolean} termExclude Indicates if this is an excluded term
      * @param {ConjunctionType} conjunction Conjunction used to join with other nodes
+     * @param {number} [start] Position of the term within the original query
+     * @param {number} [end] Position following the term within the original query
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to if the term is a stop word or has nothing to search for
+     * @param {string} [column] The column the term is scoped to
+     * @param {Set<string>} [stopWords] The stop words of the stopWords property in lowercase, when they have already been collected
+     * @param {number} [weight] The weight of the term, which is given to each term it is split into, or null if the term has no weight
      * @returns {INode} The new root node
      */
-    addNodeByString(root, term, termForm, termExclude, conjunction) {
-        if (term.length > 0 && !this.isStopWord(term)) {
-            const node = new TerminalNode();
-            node.term = term;
-            node.termForm = termForm;
-            node.exclude = termExclude;
-            root = this.addNode(root, node, conjunction);
+    addNodeByString(root, term, termForm, termExclude, conjunction, start, end, warnings, column, stopWords, weight) {
+        const terms = TermSanitizer.sanitize(term, termForm);
+
+        if (term.length > 0 && terms.length === 0) {
+            Warnings.add(warnings, "TERM_DISCARDED", `"${term}" has no letters or numbers to search for and was ignored.`, {start, end});
+        }
+
+        for (const sanitizedTerm of terms) {
+            if (this.isStopWord(sanitizedTerm, null, stopWords)) {
+                Warnings.add(warnings, "STOPWORD_REMOVED", `"${sanitizedTerm}" is a stop word and was ignored.`, {start, end});
+            } else if (termForm === "Thesaurus" && this.thesaurus) {
+                const node = this.expandThesaurusTerm(sanitizedTerm, termExclude, start, end, column, weight);
+                root = this.addNode(root, node, conjunction, node instanceof InternalNode && !termExclude);
+            } else {
+                const node = new TerminalNode();
+                node.term = sanitizedTerm;
+                node.termForm = termForm;
+                node.exclude = termExclude;
+                node.column = column || null;
+                node.weight = typeof weight === "number" ? weight : null;
+                FTSQuery.setSpan(node, start, end);
+                root = this.addNode(root, node, conjunction);
+            }
+        }
+        return root;
+    }
+
+    /**
+     * Expands a thesaurus term into the literal terms it matches in the thesaurus.  Several terms are joined with OR, or, when the term is excluded, with AND so that none of them may be present.
+     * @param {string} term The thesaurus term
+     * @param {boolean} termExclude Indicates if this is an excluded term
+     * @param {number} start Position of the term within the original query
+     * @param {number} end Position following the term within the original query
+     * @param {string} column The column the term is scoped to
+     * @param {number} [weight] The weight of the term, which is given to each term it is expanded to, or null if the term has no weight
+     * @returns {INode} The expanded term
+     */
+    expandThesaurusTerm(term, termExclude, start, end, column, weight) {
+        /** @type {INode} */
+        let root = null;
+
+        for (const alternative of this.thesaurus.expand(term)) {
+            for (const literal of TermSanitizer.sanitize(alternative, "Literal")) {
+                const node = new TerminalNode();
+                node.term = literal;
+                node.termForm = "Literal";
+                node.exclude = termExclude;
+                node.column = column || null;
+                node.weight = typeof weight === "number" ? weight : null;
+                FTSQuery.setSpan(node, start, end);
+                root = this.addNode(root, node, termExclude ? "And" : "Or");
+            }
         }
+
         return root;
     }
 
@@ -327,6 +1258,7 @@ class FTSQuery {
                 newRoot.leftChild = root;
                 newRoot.rightChild = node;
                 newRoot.conjunction = conjunction;
+                FTSQuery.setSpan(newRoot, root.start, node.end);
                 root = newRoot;
             } else {
                 root = node;
@@ -337,40 +1269,178 @@ class FTSQuery {
     }
 
     /**
-     * Extracts a block of text delimited by the specified open and close characters.  It is assumed the parser is positioned at an occurrence of the open character.  The open and closing characters are not included in the returned string.  On return, the parser is positioned at the closing character or at the end of the text if the closing character was not found.
-     * @param {ParsingHelper} parser ParsingHelper object
-     * @param {string} openChar Start-of-block delimiter
-     * @param {string} closeChar End-of-block delimiter
-     * @returns {string} The extracted text
+     * Parses the value of a filter, such as type:pdf, and records it with the tokenizer.  The value is a quoted phrase, or the text up to the next whitespace or parenthesis.  It is assumed the parser is positioned at the colon following the filter key.
+     * @param {QueryTokenizer} parser QueryTokenizer object
+     * @param {string} key The filter key
+     * @param {boolean} exclude Whether the filter is negated
+     * @param {number} start Position of the filter key within the original query
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to if the value was not valid
+     * @returns {void}
      */
-    static extractBlock(parser, openChar, closeChar) {
-        // Track delimiter depth
-        let depth = 1;
-
-        // Extract characters between delimiters
+    parseFilter(parser, key, exclude, start, warnings) {
         parser.moveAhead();
-        const start = parser.Index;
-        while (!parser.EndOfText) {
-            const ch = parser.peek();
-            if (ch === openChar) {
-                // Increase block depth
-                depth++;
-            } else if (ch === closeChar) {
-                // Decrease block depth
-                depth--;
-                // Test for end of block
-                if (depth === 0) {
-                    break;
-                }
-            } else if (ch === "\"" || ch === "'") {
-                // Don't count delimiters within quoted text
-                parser.moveAhead();
-                parser.skipWhile((c) => c !== ch);
+
+        const text = parser.peek() === "\"" ? parser.next().value.trim() : parser.parseWhile((c) => c !== "(" && c !== ")" && [" ", "\t", "\n", "\r"].indexOf(c) === -1),
+            value = this.filters.parse(key, text);
+
+        if (value === null) {
+            Warnings.add(warnings, "INVALID_FILTER_VALUE", text.length === 0 ? `The ${key} filter has no value, so it was ignored.` : `"${text}" is not a valid value for the ${key} filter, so the filter was ignored.`, {start, end: parser.Index});
+        } else {
+            parser.addFilter(key, value, exclude);
+        }
+
+        parser.addSyntaxToken("Filter", start, parser.Index, {key, exclude});
+    }
+
+    /**
+     * Adds a warning when a filter is joined with OR or NEAR, since a filter is removed from the query and applies to all of it.
+     * @param {string} key The filter key, or null if no filter is being joined
+     * @param {ConjunctionType} conjunction The conjunction joining the filter
+     * @param {Span} span Position of the filter within the original query
+     * @param {FixUpWarning[]} [warnings] An array to add the warning to
+     * @returns {boolean} Whether the warning was added.
+     */
+    static warnFilterConjunction(key, conjunction, span, warnings) {
+        if (!key || conjunction !== "Or" && conjunction !== "Near") {
+            return false;
+        }
+
+        Warnings.add(warnings, "FILTER_NOT_JOINED", `The ${key} filter cannot be joined with ${conjunction.toUpperCase()}, so it was removed from the query and applies to all of it.`, span);
+
+        return true;
+    }
+
+    /**
+     * Parses the maximum distance following a near or onear keyword, such as near/5 or onear/max.  It is assumed the parser is positioned after the keyword.
+     * @param {QueryTokenizer} parser QueryTokenizer object
+     * @param {boolean} ordered Whether the terms must appear in the order given
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to if the distance was ignored
+     * @returns {Proximity} The proximity, or null if a legacy NEAR conjunction should be used.
+     */
+    static parseProximity(parser, ordered, warnings) {
+        /** @type {number} */
+        let distance = null;
+
+        if (parser.peek() === "/") {
+            const start = parser.Index;
+
+            parser.moveAhead();
+
+            const value = parser.parseWhile((c) => (/[0-9a-z]/i).test(c));
+
+            parser.addSyntaxToken("Distance", start, parser.Index);
+
+            if (proximityDistanceRegex.test(value)) {
+                distance = (/^max$/i).test(value) ? null : Math.min(Number(value), maxProximityDistance);
+            } else {
+                // The distance is not searched as a term, since it was meant as part of the operator
+                Warnings.add(warnings, "DISTANCE_DROPPED", `The maximum distance "${value}" is not a number or max and was ignored.`, {start, end: parser.Index});
             }
-            // Move to next character
+        }
+
+        return distance === null && !ordered ? null : {distance, ordered};
+    }
+
+    /**
+     * Makes the internal node joining a new node to the tree a custom proximity term.
+     * @param {INode} root Root node of expression tree after the new node was added
+     * @param {INode} previousRoot Root node of expression tree before the new node was added
+     * @param {Proximity} proximity The proximity, or null if a legacy NEAR conjunction should be used
+     * @returns {void}
+     */
+    static setProximity(root, previousRoot, proximity) {
+        if (proximity && root !== previousRoot && root instanceof InternalNode && root.conjunction === "Near") {
+            root.distance = proximity.distance;
+            root.ordered = proximity.ordered;
+        }
+    }
+
+    /**
+     * Makes an ungrouped chain of NEAR conjunctions a custom proximity term.
+     * @param {INode} node The root node of the chain
+     * @param {Proximity} proximity The proximity
+     * @returns {void}
+     */
+    static setProximityChain(node, proximity) {
+        if (node instanceof InternalNode && node.conjunction === "Near") {
+            node.distance = proximity.distance;
+            node.ordered = proximity.ordered;
+            FTSQuery.setProximityChain(node.leftChild, proximity);
+            FTSQuery.setProximityChain(node.rightChild, proximity);
+        }
+    }
+
+    /**
+     * Reads the text of a weight, such as ^0.9, and adds its syntax token.  It is assumed the parser is positioned at the ^ character.
+     * @param {QueryTokenizer} parser QueryTokenizer object
+     * @returns {string} The text of the weight, without the ^ character.
+     */
+    static readWeight(parser) {
+        const start = parser.Index;
+
+        parser.moveAhead();
+
+        // Include the sign of a negative weight so that it is not taken as the exclusion of the next term
+        let text = "";
+
+        if (parser.peek() === "-" && (/[0-9.]/).test(parser.peek(1))) {
+            text = "-";
             parser.moveAhead();
         }
-        return parser.extract(start, parser.Index);
+
+        text += parser.parseWhile((c) => (/[0-9.]/).test(c));
+
+        parser.addSyntaxToken("Weight", start, parser.Index);
+
+        return text;
+    }
+
+    /**
+     * Parses the weight following a term, such as ^0.9.  Weights greater than 1 are clamped to 1, and weights are rounded to three decimal places.  It is assumed the parser is positioned at the ^ character.
+     * @param {QueryTokenizer} parser QueryTokenizer object
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to if the weight was changed or ignored
+     * @returns {number} The weight, or null if the weight was not valid.
+     */
+    static parseWeight(parser, warnings) {
+        const start = parser.Index,
+            text = FTSQuery.readWeight(parser),
+            span = {start, end: parser.Index};
+
+        // A term has one weight, so any weights that follow it are read and ignored, rather than searched as terms
+        while (parser.peek() === "^") {
+            const extraStart = parser.Index,
+                extra = FTSQuery.readWeight(parser);
+
+            Warnings.add(warnings, "WEIGHT_DROPPED", `The weight "${extra}" follows another weight and was ignored.`, {start: extraStart, end: parser.Index});
+        }
+
+        if (!weightRegex.test(text)) {
+            Warnings.add(warnings, "WEIGHT_DROPPED", `The weight "${text}" is not a number from 0 through 1 and was ignored.`, span);
+            return null;
+        }
+
+        const weight = Math.round(Number(text) * 1000) / 1000;
+
+        if (weight > 1) {
+            Warnings.add(warnings, "WEIGHT_CLAMPED", `The weight ${text} is greater than 1 and was changed to 1.`, span);
+            return 1;
+        }
+
+        return weight;
+    }
+
+    /**
+     * Sets the position of a node within the original query.
+     * @param {INode} node The node.
+     * @param {number} start Position of the first character of the node.
+     * @param {number} end Position following the last character of the node.
+     * @returns {void}
+     */
+    static setSpan(node, start, end) {
+        if (node && typeof start === "number" && typeof end === "number") {
+            node.start = start;
+            node.end = end;
+        }
     }
 }
 
@@ -0,0 +1,229 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").HighlightOptions} HighlightOptions
+ * @typedef {import("./types/index").HighlightResult} HighlightResult
+ * @typedef {import("./types/index").HighlightSpan} HighlightSpan
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").Snippet} Snippet
+ * @typedef {import("./types/index").TextField} TextField
+ */
+
+const Evaluator = require("./evaluator"),
+    InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode");
+
+/**
+ * @type {{[x: string]: string}} The HTML entities used to escape text.
+ */
+const htmlEntities = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    "\"": "&quot;",
+    "'": "&#39;"
+};
+
+/**
+ * Class to find the words of a text that a query's terms match, for highlighting why a result matched.  Words are matched the same way as they are by the Evaluator, so prefix terms match words starting with the prefix, phrases match whole phrases, and inflectional terms match words with the same stem.  Words matched by an excluded term are never highlighted.
+ */
+class Highlighter {
+    /**
+     * Constructs a Highlighter instance.
+     * @param {HighlightOptions} [options] Highlighting options.
+     */
+    constructor(options) {
+        /**
+         * @type {Evaluator} The evaluator used to match terms against the text.
+         */
+        this.evaluator = options && options.evaluator || new Evaluator();
+
+        /**
+         * @type {boolean} Whether to return the text as HTML, with each match marked up.
+         */
+        this.markup = !!(options && options.markup);
+
+        /**
+         * @type {string} The HTML inserted before each match.
+         */
+        this.preTag = options && typeof options.preTag === "string" ? options.preTag : "<mark>";
+
+        /**
+         * @type {string} The HTML inserted after each match.
+         */
+        this.postTag = options && typeof options.postTag === "string" ? options.postTag : "</mark>";
+
+        /**
+         * @type {number} The number of snippets to return.  When 0, no snippets are returned.
+         */
+        this.snippets = options && options.snippets > 0 ? Math.floor(options.snippets) : 0;
+
+        /**
+         * @type {number} The number of words in each snippet.
+         */
+        this.snippetWords = options && options.snippetWords > 0 ? Math.floor(options.snippetWords) : 20;
+    }
+
+    /**
+     * Finds the words of a text that an expression tree's terms match.
+     * @param {INode} node Root node of the expression tree.
+     * @param {string} text The text to highlight.
+     * @returns {HighlightResult} The matches, along with the marked up text and the best snippets when requested.
+     */
+    highlight(node, text) {
+        const fields = this.evaluator.getFields(text),
+            matches = this.findMatches(node, fields),
+
+            /** @type {HighlightResult} */
+            result = {matches};
+
+        if (this.markup) {
+            result.html = this.markUp(text, 0, text.length, matches);
+        }
+
+        if (this.snippets > 0) {
+            result.snippets = this.findSnippets(text, fields.length > 0 ? fields[0] : null, matches);
+        }
+
+        return result;
+    }
+
+    /**
+     * Finds the spans of text matched by the terms of an expression tree, merging overlapping spans.
+     * @param {INode} node Root node of the expression tree.
+     * @param {TextField[]} fields The fields of the text.
+     * @returns {HighlightSpan[]} The matched spans, in the order they appear.
+     */
+    findMatches(node, fields) {
+        const terms = Highlighter.getTerms(node),
+            excluded = [].concat(...terms.filter((t) => t.exclude).map((t) => this.evaluator.findTerm(t, fields))),
+
+            /** @type {HighlightSpan[]} */
+            spans = [];
+
+        for (const term of terms.filter((t) => !t.exclude)) {
+            for (const occurrence of this.evaluator.findTerm(term, fields)) {
+                if (!excluded.some((e) => e.start < occurrence.end && occurrence.start < e.end)) {
+                    spans.push({term: term.term, start: occurrence.start, end: occurrence.end});
+                }
+            }
+        }
+
+        spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+        return spans.reduce((merged, span) => {
+            const last = merged[merged.length - 1];
+
+            if (last && span.start <= last.end) {
+                last.end = Math.max(last.end, span.end);
+            } else {
+                merged.push({term: span.term, start: span.start, end: span.end});
+            }
+
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Finds the snippets of text with the most matches.  Snippets are scored by the number of different terms they contain, and then by the number of matches.
+     * @param {string} text The text.
+     * @param {TextField} field The words of the text.
+     * @param {HighlightSpan[]} matches The matched spans.
+     * @returns {Snippet[]} The best snippets, best first.
+     */
+    findSnippets(text, field, matches) {
+        if (!field || field.words.length === 0 || matches.length === 0) {
+            return [];
+        }
+
+        const words = field.words,
+            size = Math.min(this.snippetWords, words.length),
+
+            /** @type {Snippet[]} */
+            candidates = [];
+
+        for (let first = 0; first + size <= words.length; first++) {
+            const start = words[first].start,
+                end = words[first + size - 1].end,
+                inside = matches.filter((m) => m.start >= start && m.end <= end);
+
+            if (inside.length > 0) {
+                candidates.push({
+                    start,
+                    end,
+                    text: text.substring(start, end),
+                    score: new Set(inside.map((m) => m.term.toLowerCase())).size * words.length + inside.length
+                });
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score || a.start - b.start);
+
+        /** @type {Snippet[]} */
+        const snippets = [];
+
+        for (const candidate of candidates) {
+            if (snippets.length >= this.snippets) {
+                break;
+            }
+
+            if (!snippets.some((s) => s.start < candidate.end && candidate.start < s.end)) {
+                if (this.markup) {
+                    candidate.html = this.markUp(text, candidate.start, candidate.end, matches);
+                }
+                snippets.push(candidate);
+            }
+        }
+
+        return snippets;
+    }
+
+    /**
+     * Escapes a portion of text as HTML, marking up the matches within it.
+     * @param {string} text The text.
+     * @param {number} start The position of the start of the portion.
+     * @param {number} end The position following the end of the portion.
+     * @param {HighlightSpan[]} matches The matched spans.
+     * @returns {string} The HTML.
+     */
+    markUp(text, start, end, matches) {
+        let html = "",
+            position = start;
+
+        for (const match of matches.filter((m) => m.start >= start && m.end <= end)) {
+            html += `${Highlighter.escape(text.substring(position, match.start))}${this.preTag}${Highlighter.escape(text.substring(match.start, match.end))}${this.postTag}`;
+            position = match.end;
+        }
+
+        return `${html}${Highlighter.escape(text.substring(position, end))}`;
+    }
+
+    /**
+     * Gets the terminal nodes of an expression tree.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {TerminalNode[]} The terminal nodes.
+     */
+    static getTerms(node) {
+        if (node instanceof TerminalNode) {
+            return [node];
+        }
+
+        if (node instanceof InternalNode) {
+            return [...Highlighter.getTerms(node.leftChild), ...Highlighter.getTerms(node.rightChild)];
+        }
+
+        return [];
+    }
+
+    /**
+     * Escapes text for use in HTML.
+     * @param {string} text The text to escape.
+     * @returns {string} The escaped text.
+     */
+    static escape(text) {
+        return text.replace(/[&<>"']/g, (c) => htmlEntities[c]);
+    }
+}
+
+module.exports = Highlighter;
@@ -5,6 +5,7 @@
 /**
  * @typedef {import("./types/index").ConjunctionType} ConjunctionType
  * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").InternalAstNode} InternalAstNode
  */
 
 /**
@@ -26,6 +27,58 @@ class InternalNode {
 
         /** @type {ConjunctionType} */
         this.conjunction = null;
+
+        /** @type {number} The maximum distance between the terms of a custom proximity term, or null for no maximum. */
+        this.distance = null;
+
+        /** @type {boolean} Whether the terms of a custom proximity term must appear in the order given. */
+        this.ordered = false;
+
+        /** @type {number} Position of the first character of the node within the original query. */
+        this.start = null;
+
+        /** @type {number} Position following the last character of the node within the original query. */
+        this.end = null;
+    }
+
+    /**
+     * @returns {InternalAstNode} The node represented as a JSON-serializable object.
+     */
+    toJSON() {
+        return {
+            type: "Internal",
+            conjunction: this.conjunction,
+            distance: this.distance,
+            ordered: !!this.ordered,
+            exclude: !!this.exclude,
+            grouped: !!this.grouped,
+            leftChild: this.leftChild ? this.leftChild.toJSON() : null,
+            rightChild: this.rightChild ? this.rightChild.toJSON() : null,
+            start: this.start,
+            end: this.end
+        };
+    }
+
+    /**
+     * Determines whether this is a NEAR conjunction with a maximum distance or order, which is rendered as a custom proximity term rather than the legacy NEAR conjunction.
+     * @returns {boolean} Whether this is a custom proximity term.
+     */
+    isCustomProximity() {
+        return this.conjunction === "Near" && (this.distance !== null || this.ordered);
+    }
+
+    /**
+     * Gets the terms of a NEAR conjunction, including those of any ungrouped chain of NEAR conjunctions with the same maximum distance and order.
+     * @returns {INode[]} The terms.
+     */
+    getProximityTerms() {
+        return [this.leftChild, this.rightChild].filter((node) => node).reduce((terms, node) => {
+            if (node instanceof InternalNode && node.conjunction === "Near" && !node.grouped && !node.exclude && node.distance === this.distance && node.ordered === this.ordered) {
+                return terms.concat(node.getProximityTerms());
+            }
+
+            return terms.concat([node]);
+        }, []);
     }
 
     /**
@@ -41,6 +94,17 @@ class InternalNode {
         if (!this.rightChild) {
             return this.leftChild.toString();
         }
+        if (this.isCustomProximity()) {
+            return `${this.grouped ? "(" : ""}NEAR((${this.getProximityTerms().map((node) => node.toString()).join(", ")}), ${this.distance === null ? "MAX" : this.distance}, ${this.ordered ? "TRUE" : "FALSE"})${this.grouped ? ")" : ""}`;
+        }
+        if (this.conjunction === "Near") {
+            // The legacy NEAR conjunction only joins two terms, so a longer chain is written as a proximity term without a maximum distance
+            const terms = this.getProximityTerms();
+
+            if (terms.length > 2) {
+                return `${this.grouped ? "(" : ""}NEAR((${terms.map((node) => node.toString()).join(", ")}))${this.grouped ? ")" : ""}`;
+            }
+        }
         return `${this.grouped ? "(" : ""}${this.leftChild.toString()} ${this.conjunction ? `${this.conjunction.toUpperCase()} ` : ""}${this.rightChild.toString()}${this.grouped ? ")" : ""}`;
     }
 }
@@ -0,0 +1,172 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings"),
+
+    plainWordRegex = /^[\p{L}\p{N}_]+$/u;
+
+/**
+ * Class to render an expression tree as a MySQL or MariaDB MATCH ... AGAINST expression for use IN BOOLEAN MODE.
+ * @example <caption>The following list shows how the expression tree is rendered.</caption>
+ * abc                     +abc
+ * ~abc                    ~abc
+ * "abc def"               +"abc def"
+ * abc*                    +abc*
+ * -abc def                -abc +def
+ * abc or def              abc def
+ * abc and (def or ghi)    +abc +(def ghi)
+ */
+class MySqlRenderer {
+    /**
+     * Fixes any portions of the expression tree that cannot be expressed in MySQL boolean mode, reporting each change made.
+     * @example <caption>Boolean mode has no OR operator, and a query made up of only excluded terms never matches anything.  InnoDB's "word1 word2" @distance proximity search only applies to the words of a single quoted string, and MyISAM tables do not support it, so NEAR is not rendered as a proximity search.  This method corrects the expression tree as described below.</caption>
+     * term1 NEAR term2            NEAR conjunction changed to AND.
+     * term1 OR NOT term2          Expression discarded.
+     * NOT term1                   Expression discarded.
+     * NOT term1 AND NOT term2     Expression discarded if node is grouped (parenthesized)
+     *                             or is the root node.
+     * "term1 term2*"              Prefix wildcard removed, since only single words
+     *                             may be prefixes.
+     * @param {INode} node Node to fix up
+     * @param {boolean} [isRoot] True if node is the tree's root node
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each change made.
+     * @returns {INode} The fixed up expression tree.
+     */
+    fixUpExpressionTree(node, isRoot, warnings) {
+        if (!node) {
+            return null;
+        }
+
+        if (node instanceof InternalNode) {
+            /** @type {InternalNode} */
+            const internalNode = node;
+
+            internalNode.leftChild = this.fixUpExpressionTree(internalNode.leftChild, false, warnings);
+            internalNode.rightChild = this.fixUpExpressionTree(internalNode.rightChild, false, warnings);
+
+            if (internalNode.conjunction === "Near" && internalNode.leftChild && internalNode.rightChild) {
+                internalNode.conjunction = "And";
+                Warnings.add(warnings, "NEAR_DOWNGRADED", "NEAR was changed to AND because boolean mode proximity search only applies to the words of a single quoted string in InnoDB tables.", internalNode);
+            } else if (internalNode.conjunction === "Or") {
+                if (internalNode.leftChild && internalNode.leftChild.exclude) {
+                    Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.leftChild);
+                    internalNode.leftChild = null;
+                }
+                if (internalNode.rightChild && internalNode.rightChild.exclude) {
+                    Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.rightChild);
+                    internalNode.rightChild = null;
+                }
+            }
+
+            if (!internalNode.leftChild && !internalNode.rightChild) {
+                return null;
+            } else if (!internalNode.leftChild) {
+                node = internalNode.rightChild;
+            } else if (!internalNode.rightChild) { // eslint-disable-line no-negated-condition
+                node = internalNode.leftChild;
+            } else {
+                internalNode.exclude = internalNode.leftChild.exclude && internalNode.rightChild.exclude;
+            }
+        } else if (node instanceof TerminalNode && node.termForm === "Literal" && node.term.endsWith("*") && (/\s/).test(node.term)) {
+            node.term = node.term.replace(/\*+$/, "");
+            Warnings.add(warnings, "PREFIX_PHRASE_APPROXIMATED", `The prefix wildcard was removed from "${node.term}" because only single words can be prefixes.`, node);
+        }
+
+        if ((node.grouped || isRoot) && node.exclude) {
+            Warnings.add(warnings, "NOT_ONLY_DISCARDED", "An expression containing only excluded terms was discarded.", node);
+            return null;
+        }
+
+        return node;
+    }
+
+    /**
+     * Renders an expression tree as a boolean mode expression.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {string} The boolean mode expression.
+     */
+    render(node) {
+        if (!node) {
+            return "";
+        }
+
+        if (node instanceof InternalNode && node.conjunction === "Or") {
+            return this.renderOperands(node, "Or");
+        }
+
+        return this.renderOperands(node, "And");
+    }
+
+    /**
+     * Renders a node as a list of boolean mode operands.  Chains of the same conjunction are flattened into a single list, since boolean mode has no operator precedence to preserve.
+     * @param {INode} node The node to render.
+     * @param {ConjunctionType} conjunction The conjunction the operands are joined with.
+     * @returns {string} The rendered operands.
+     */
+    renderOperands(node, conjunction) {
+        if (node instanceof InternalNode && node.conjunction === conjunction) {
+            return [node.leftChild, node.rightChild].filter((n) => n).map((n) => this.renderOperands(n, conjunction)).join(" ");
+        }
+
+        const required = conjunction === "And";
+
+        if (node instanceof InternalNode) {
+            // A nested expression with the other conjunction needs its own group
+            return `${required ? "+" : ""}(${this.renderOperands(node, node.conjunction)})`;
+        }
+
+        if (node instanceof TerminalNode) {
+            const term = MySqlRenderer.renderTerm(node);
+
+            if (!term) {
+                return "";
+            }
+
+            if (node.exclude) {
+                return `-${term}`;
+            }
+
+            if (node.termForm === "Thesaurus") {
+                return `~${term}`;
+            }
+
+            return `${required ? "+" : ""}${term}`;
+        }
+
+        return "";
+    }
+
+    /**
+     * Renders the term of a terminal node, quoting it as a phrase when it cannot be used as a bare word.
+     * @param {TerminalNode} node The terminal node.
+     * @returns {string} The rendered term.
+     */
+    static renderTerm(node) {
+        // Boolean mode has no way to escape a double quote within a phrase
+        const term = node.term.replace(/"/g, " ").trim();
+
+        if (term.length === 0) {
+            return "";
+        }
+
+        if (node.termForm === "Literal" && term.endsWith("*") && plainWordRegex.test(term.replace(/\*+$/, ""))) {
+            return term.replace(/\*+$/, "*");
+        }
+
+        if (node.termForm !== "Literal" && plainWordRegex.test(term)) {
+            return term;
+        }
+
+        return `"${term}"`;
+    }
+}
+
+module.exports = MySqlRenderer;
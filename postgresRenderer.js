@@ -0,0 +1,207 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").PostgresRendererOptions} PostgresRendererOptions
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings"),
+
+    plainLexemeRegex = /^[\p{L}\p{N}_]+$/u;
+
+/**
+ * @type {{[x in ConjunctionType]: number}} Binding strength of each tsquery operator, higher binds tighter.
+ */
+const precedence = {
+    "Or": 1,
+    "And": 2,
+    "Near": 3
+};
+
+/**
+ * Class to render an expression tree as a PostgreSQL tsquery string suitable for to_tsquery.
+ * @example <caption>The following list shows how the expression tree is rendered.</caption>
+ * abc                     abc
+ * ~abc                    abc
+ * "abc def"               abc <-> def
+ * abc*                    abc:*
+ * -abc def                !abc & def
+ * abc or def              abc | def
+ * "abc" near "def"        abc <-> def
+ * abc and (def or ghi)    abc & (def | ghi)
+ */
+class PostgresRenderer {
+    /**
+     * Constructs a PostgresRenderer instance.
+     * @param {PostgresRendererOptions} [options] Rendering options.
+     */
+    constructor(options) {
+        /**
+         * @type {number} The distance used when rendering a NEAR conjunction as a <N> operator.
+         */
+        this.nearDistance = options && options.nearDistance > 0 ? Math.floor(options.nearDistance) : 1;
+    }
+
+    /**
+     * Fixes any portions of the expression tree that would produce an invalid PostgreSQL tsquery.
+     *
+     * PostgreSQL accepts NOT on either side of any operator, NOT-only queries, and any subexpression on either side of a phrase operator, so unlike SQL Server, no subexpressions are swapped or discarded.  Only eliminated child nodes are collapsed, and exclude flags are recalculated for the benefit of the caller.
+     *
+     * A tsquery distance operator requires its operands to be exactly that many positions apart, so a custom proximity term with a maximum distance greater than zero cannot be expressed and its NEAR conjunction is changed to AND.
+     * @param {INode} node Node to fix up
+     * @param {boolean} [isRoot] True if node is the tree's root node
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each change made.
+     * @returns {INode} The fixed up expression tree.
+     */
+    fixUpExpressionTree(node, isRoot, warnings) {
+        if (!node) {
+            return null;
+        }
+
+        if (node instanceof InternalNode) {
+            /** @type {InternalNode} */
+            const internalNode = node;
+
+            internalNode.leftChild = this.fixUpExpressionTree(internalNode.leftChild, false, warnings);
+            internalNode.rightChild = this.fixUpExpressionTree(internalNode.rightChild, false, warnings);
+
+            if (internalNode.conjunction === "Near" && internalNode.distance > 0 && internalNode.leftChild && internalNode.rightChild) {
+                internalNode.conjunction = "And";
+                Warnings.add(warnings, "NEAR_DOWNGRADED", `NEAR was changed to AND because tsquery cannot match terms up to ${internalNode.distance} terms apart, only exactly that far apart.`, internalNode);
+            }
+
+            if (!internalNode.leftChild && !internalNode.rightChild) {
+                return null;
+            } else if (!internalNode.leftChild) {
+                node = internalNode.rightChild;
+            } else if (!internalNode.rightChild) { // eslint-disable-line no-negated-condition
+                node = internalNode.leftChild;
+            } else {
+                internalNode.exclude = internalNode.leftChild.exclude && internalNode.rightChild.exclude;
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Renders an expression tree as a tsquery string.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {string} The tsquery string.
+     */
+    render(node) {
+        if (!node) {
+            return "";
+        }
+
+        if (node instanceof TerminalNode) {
+            return this.renderTerminal(node);
+        }
+
+        if (node instanceof InternalNode) {
+            if (!node.leftChild || !node.rightChild) {
+                return this.render(node.leftChild || node.rightChild);
+            }
+
+            const left = this.renderChild(node.leftChild, node.conjunction, false),
+                right = this.renderChild(node.rightChild, node.conjunction, true);
+
+            return `${left} ${this.renderOperator(node)} ${right}`;
+        }
+
+        return "";
+    }
+
+    /**
+     * Renders a child of an internal node, adding parentheses where tsquery operator precedence would otherwise change the meaning of the expression.
+     * @param {INode} node Child node to render.
+     * @param {ConjunctionType} parentConjunction Conjunction of the parent node.
+     * @param {boolean} isRight Whether the node is the right child of its parent.
+     * @returns {string} The rendered child.
+     */
+    renderChild(node, parentConjunction, isRight) {
+        const text = this.render(node);
+
+        if (node instanceof InternalNode && node.leftChild && node.rightChild) {
+            const childPrecedence = precedence[node.conjunction],
+                parentPrecedence = precedence[parentConjunction];
+
+            if (node.grouped || childPrecedence < parentPrecedence || isRight && childPrecedence === parentPrecedence) {
+                return `(${text})`;
+            }
+        } else if (isRight && parentConjunction === "Near" && node instanceof TerminalNode && !node.exclude && text.indexOf(" <-> ") !== -1) {
+            // Phrase operators are left associative, so a phrase on the right must be kept together
+            return `(${text})`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Renders the conjunction of an internal node as a tsquery operator.
+     * @param {InternalNode} node The internal node.
+     * @returns {string} The tsquery operator.
+     */
+    renderOperator(node) {
+        switch (node.conjunction) {
+            case "Or":
+                return "|";
+            case "Near": {
+                // Only a custom proximity term with a distance of zero is left by fixUpExpressionTree, and it means adjacent terms
+                const distance = node.distance === null ? this.nearDistance : 1;
+
+                return distance === 1 ? "<->" : `<${distance}>`;
+            }
+            default:
+                return "&";
+        }
+    }
+
+    /**
+     * Renders a terminal node as a tsquery lexeme or phrase.  Inflectional and thesaurus terms are left for to_tsquery to normalize using the text search configuration's dictionaries, and literals become a phrase of their words.
+     * @param {TerminalNode} node The terminal node to render.
+     * @returns {string} The rendered node.
+     */
+    renderTerminal(node) {
+        const words = node.term.split(/\s+/).filter((w) => w.length > 0);
+        let prefix = false;
+
+        if (words.length === 0) {
+            return "";
+        }
+
+        if (node.termForm === "Literal" && words[words.length - 1].endsWith("*")) {
+            // Each lexeme gets :* so that "abc def*" matches words starting with abc followed by words starting with def
+            prefix = true;
+        }
+
+        const lexemes = words.map((w) => PostgresRenderer.quoteLexeme(prefix ? w.replace(/\*+$/, "") : w) + (prefix ? ":*" : "")),
+            text = lexemes.length > 1 ? lexemes.join(" <-> ") : lexemes[0];
+
+        if (node.exclude) {
+            return lexemes.length > 1 ? `!(${text})` : `!${text}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Quotes a lexeme if it contains anything other than letters, digits, and underscores.
+     * @param {string} lexeme The lexeme to quote.
+     * @returns {string} The lexeme, quoted if necessary.
+     */
+    static quoteLexeme(lexeme) {
+        if (plainLexemeRegex.test(lexeme)) {
+            return lexeme;
+        }
+
+        return `'${lexeme.replace(/'/g, "''").replace(/\\/g, "\\\\")}'`;
+    }
+}
+
+module.exports = PostgresRenderer;
@@ -0,0 +1,159 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").CanonicalizeOptions} CanonicalizeOptions
+ * @typedef {import("./types/index").ConjunctionType} ConjunctionType
+ * @typedef {import("./types/index").INode} INode
+ */
+
+const crypto = require("crypto"),
+
+    InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode");
+
+/**
+ * Class to rewrite an expression tree in a canonical form, so that queries that match the same documents produce the same condition, such as for caching results.  The expression tree must have the precedence SQL Server gives the condition, such as one returned by ConditionParser.
+ * @example <caption>The following list shows how the expression tree is rewritten.</caption>
+ * a AND (b AND c)         Chains of the same conjunction are flattened to a AND b AND c
+ * c OR a OR b             Operands of AND and OR are sorted to a OR b OR c
+ * NOT a AND b             Excluded operands are sorted after the others, to b AND NOT a
+ * a AND b AND a           Duplicate operands are removed, leaving a AND b
+ * (a OR b)                Groups that are not needed are removed, leaving a OR b
+ * ABC                     Terms are case folded to abc, unless the caseFold option is false
+ */
+class QueryCanonicalizer {
+    /**
+     * Constructs a QueryCanonicalizer instance.
+     * @param {CanonicalizeOptions} [options] Canonicalization options.
+     */
+    constructor(options) {
+        /**
+         * @type {boolean} Whether terms are converted to lowercase.  Full-text indexes are not case sensitive, so this does not change what a condition matches.
+         */
+        this.caseFold = !(options && options.caseFold === false);
+    }
+
+    /**
+     * Rewrites an expression tree in canonical form.  The nodes of the expression tree are changed.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {INode} Root node of the canonical expression tree.
+     */
+    canonicalize(node) {
+        if (node instanceof TerminalNode) {
+            if (this.caseFold) {
+                node.term = node.term.toLowerCase();
+            }
+            node.grouped = false;
+
+            return node;
+        }
+
+        if (!(node instanceof InternalNode)) {
+            return null;
+        }
+
+        if (!node.leftChild || !node.rightChild) {
+            return this.canonicalize(node.leftChild || node.rightChild);
+        }
+
+        // NEAR is left as it is, since its operands are terms, and the order of a custom proximity term may matter
+        if (node.conjunction === "Near") {
+            node.leftChild = this.canonicalize(node.leftChild);
+            node.rightChild = this.canonicalize(node.rightChild);
+            node.grouped = false;
+
+            return node;
+        }
+
+        const keys = new Set(),
+            operands = [];
+
+        for (const operand of QueryCanonicalizer.getOperands(node, node.conjunction)) {
+            const canonical = this.canonicalize(operand);
+
+            if (canonical) {
+                // Operands of a different conjunction need parentheses, whatever the precedence of the conjunctions
+                canonical.grouped = canonical instanceof InternalNode && canonical.conjunction !== "Near";
+
+                const key = canonical.toString();
+
+                if (!keys.has(key)) {
+                    keys.add(key);
+                    operands.push({key, node: canonical});
+                }
+            }
+        }
+
+        operands.sort((a, b) => {
+            if (a.node.exclude !== b.node.exclude) {
+                return a.node.exclude ? 1 : -1;
+            }
+
+            return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+        });
+
+        return QueryCanonicalizer.join(operands.map((operand) => operand.node), node.conjunction);
+    }
+
+    /**
+     * Gets the operands of a chain of AND or OR conjunctions, such as a, b and c for (a AND b) AND c.  Operands that are joined with the same conjunction are part of the chain whether or not they are grouped.
+     * @param {INode} node The node at the top of the chain.
+     * @param {ConjunctionType} conjunction The conjunction of the chain.
+     * @returns {INode[]} The operands, in order.
+     */
+    static getOperands(node, conjunction) {
+        const operands = [],
+            stack = [node];
+
+        // Chains are built from the left, and may be very long, so they are walked without recursion
+        while (stack.length > 0) {
+            const n = stack.pop();
+
+            if (n instanceof InternalNode && n.conjunction === conjunction && !n.exclude) {
+                stack.push(n.rightChild, n.leftChild);
+            } else if (n) {
+                operands.push(n);
+            }
+        }
+
+        return operands;
+    }
+
+    /**
+     * Joins operands with a conjunction, building the chain from the left.
+     * @param {INode[]} operands The operands.
+     * @param {ConjunctionType} conjunction The conjunction.
+     * @returns {INode} The root node of the chain, or the operand if there is only one.
+     */
+    static join(operands, conjunction) {
+        if (operands.length === 1) {
+            operands[0].grouped = false;
+        }
+
+        return operands.reduce((root, operand) => {
+            if (!root) {
+                return operand;
+            }
+
+            const node = new InternalNode();
+
+            node.conjunction = conjunction;
+            node.leftChild = root;
+            node.rightChild = operand;
+
+            return node;
+        }, null);
+    }
+
+    /**
+     * Gets a hash of a condition, for use as a cache key.
+     * @param {string} condition The condition.
+     * @returns {string} The SHA-256 hash of the condition, as hexadecimal.
+     */
+    static hash(condition) {
+        return crypto.createHash("sha256").update(condition, "utf8").digest("hex");
+    }
+}
+
+module.exports = QueryCanonicalizer;
@@ -0,0 +1,285 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").Explanation} Explanation
+ * @typedef {import("./types/index").ExplanationNote} ExplanationNote
+ * @typedef {import("./types/index").ExplanationPart} ExplanationPart
+ * @typedef {import("./types/index").ExplanationTemplates} ExplanationTemplates
+ * @typedef {import("./types/index").ExplanationValues} ExplanationValues
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+
+    placeholderRegex = /^\{[A-Za-z]+\}$/,
+    templatePartRegex = /\{[A-Za-z]+\}|(?:[^{]|\{(?![A-Za-z]+\}))+/g;
+
+/**
+ * @type {ExplanationTemplates} The English templates, which are used for any template a locale does not define.
+ */
+const english = {
+    documents: "Documents containing {expression}.",
+    nothing: "No documents, because the query has no terms to search for.",
+    inflectional: "any form of \"{term}\"",
+    thesaurus: "\"{term}\" or its synonyms",
+    word: "the exact word \"{term}\"",
+    phrase: "the exact phrase \"{term}\"",
+    prefix: "words starting with \"{term}\"",
+    column: "{expression} in {column}",
+    not: "not {expression}",
+    and: "{left} and {right}",
+    andNot: "{left}, but not {right}",
+    or: "{left} or {right}",
+    near: "{left} near {right}",
+    proximity: "{terms} within {distance} words of each other",
+    ordered: "{terms} in that order",
+    orderedProximity: "{terms} in that order within {distance} words",
+    group: "({expression})",
+    listSeparator: ", ",
+    listLastSeparator: " and ",
+    notes: {
+        STOPWORD_REMOVED: "\"{text}\" was ignored because it is too common to search for.",
+        TERM_DISCARDED: "\"{text}\" was ignored because it has no letters or numbers.",
+        NEAR_DOWNGRADED: "NEAR was treated as AND, because NEAR can only join exact words and phrases in the same column.",
+        OR_NOT_DISCARDED: "\"{text}\" was ignored, because excluded terms cannot be joined with OR.",
+        NOT_ONLY_DISCARDED: "\"{text}\" was ignored, because a search cannot only exclude terms.",
+        SUBEXPRESSIONS_SWAPPED: "",
+        UNTERMINATED_QUOTE: "A quote was not closed, so the rest of the query was searched as a phrase."
+    }
+};
+
+/**
+ * Class to describe in plain language how a query was interpreted, such as for answering why a search did not find something.  The description is built from templates, so that it can be translated by adding the templates for a locale.
+ * @example <caption>The following list shows how the expression tree is described in English.</caption>
+ * database "index tuning" -draft   Documents containing any form of "database" and the exact phrase "index tuning", but not any form of "draft".
+ * abc* or ~car                     Documents containing words starting with "abc" or "car" or its synonyms.
+ * "abc" near/5 "def"               Documents containing the exact word "abc" and the exact word "def" within 5 words of each other.
+ */
+class QueryExplainer {
+    /**
+     * Constructs a QueryExplainer instance.
+     */
+    constructor() {
+        /**
+         * @type {Map<string, ExplanationTemplates>} The templates of each locale, keyed by lowercase locale.
+         */
+        this.locales = new Map([["en", english]]);
+    }
+
+    /**
+     * Adds the templates for a locale.  Templates the locale does not define are taken from English.  A note template that is an empty string leaves out the note for that warning code, and warning codes without a note template are described by the warning's message.
+     * @param {string} locale The locale, such as de or de-AT.
+     * @param {Partial<ExplanationTemplates>} templates The templates.  Placeholders such as {term} are replaced with the parts of the description.
+     * @returns {QueryExplainer} This instance, so that calls can be chained.
+     */
+    addLocale(locale, templates) {
+        this.locales.set(locale.toLowerCase(), {...english, ...templates, notes: {...english.notes, ...templates.notes}});
+
+        return this;
+    }
+
+    /**
+     * Gets the templates for a locale.  A locale without templates falls back to its neutral locale, such as de for de-AT, and then to English.
+     * @param {string} [locale] The locale.
+     * @returns {ExplanationTemplates} The templates.
+     */
+    getTemplates(locale) {
+        const key = (locale || "en").toLowerCase(),
+            neutral = key.split("-")[0];
+
+        return this.locales.get(key) || this.locales.get(neutral) || english;
+    }
+
+    /**
+     * Describes a fixed up expression tree, along with the warnings reported while parsing and fixing it up.
+     * @param {INode} node The root node of the fixed up expression tree, or null if the query has no terms.
+     * @param {string} query The query the expression tree was parsed from.
+     * @param {FixUpWarning[]} warnings The warnings reported for the query.
+     * @param {string} [locale] The locale of the description.  Defaults to English.
+     * @returns {Explanation} The description as text and as parts, and the notes for the warnings.
+     */
+    explain(node, query, warnings, locale) {
+        const templates = this.getTemplates(locale),
+            parts = QueryExplainer.merge(node ? QueryExplainer.fill(templates.documents, {expression: this.explainNode(node, templates, true)}) : QueryExplainer.fill(templates.nothing, {})),
+
+            /** @type {ExplanationNote[]} */
+            notes = [];
+
+        for (const warning of warnings) {
+            const note = QueryExplainer.explainWarning(warning, query, templates);
+
+            if (note) {
+                notes.push(note);
+            }
+        }
+
+        return {text: [parts.map((part) => part.text).join(""), ...notes.map((note) => note.text)].join(" "), parts, notes};
+    }
+
+    /**
+     * Describes a node of the expression tree.
+     * @param {INode} node The node.
+     * @param {ExplanationTemplates} templates The templates.
+     * @param {boolean} [isRoot] True if node is the tree's root node, which is never described as a group.
+     * @returns {ExplanationPart[]} The parts of the description.
+     */
+    explainNode(node, templates, isRoot) {
+        if (node instanceof TerminalNode) {
+            const term = QueryExplainer.explainTerm(node, templates);
+
+            return node.exclude ? QueryExplainer.fill(templates.not, {expression: term}) : term;
+        }
+
+        if (!(node instanceof InternalNode)) {
+            return [];
+        }
+
+        if (!node.leftChild || !node.rightChild) {
+            return this.explainNode(node.leftChild || node.rightChild, templates, isRoot);
+        }
+
+        let parts;
+
+        if (node.isCustomProximity()) {
+            const terms = this.explainList(node.getProximityTerms().map((n) => this.explainNode(n, templates)), templates);
+
+            let template = templates.proximity;
+
+            if (node.ordered) {
+                template = node.distance === null ? templates.ordered : templates.orderedProximity;
+            }
+
+            parts = QueryExplainer.fill(template, {terms, distance: [{type: "Distance", text: `${node.distance}`}]});
+        } else if (node.conjunction === "And" && node.rightChild instanceof TerminalNode && node.rightChild.exclude) {
+            // Describe AND NOT as an exception to the rest of the expression
+            parts = QueryExplainer.fill(templates.andNot, {left: this.explainNode(node.leftChild, templates), right: QueryExplainer.explainTerm(node.rightChild, templates)});
+        } else {
+            parts = QueryExplainer.fill(templates[node.conjunction === "Or" ? "or" : node.conjunction === "Near" ? "near" : "and"], {left: this.explainNode(node.leftChild, templates), right: this.explainNode(node.rightChild, templates)});
+        }
+
+        return node.grouped && !isRoot ? QueryExplainer.fill(templates.group, {expression: parts}) : parts;
+    }
+
+    /**
+     * Joins the descriptions of the terms of a list, such as the terms of a custom proximity term.
+     * @param {Array<ExplanationPart[]>} items The descriptions of the terms.
+     * @param {ExplanationTemplates} templates The templates.
+     * @returns {ExplanationPart[]} The parts of the description.
+     */
+    explainList(items, templates) {
+        return items.reduce((parts, item, index) => {
+            if (index === 0) {
+                return item;
+            }
+
+            return [...parts, {type: "Text", text: index === items.length - 1 ? templates.listLastSeparator : templates.listSeparator}, ...item];
+        }, []);
+    }
+
+    /**
+     * Describes a term, without regard to whether it is excluded.
+     * @param {TerminalNode} node The terminal node.
+     * @param {ExplanationTemplates} templates The templates.
+     * @returns {ExplanationPart[]} The parts of the description.
+     */
+    static explainTerm(node, templates) {
+        const prefix = node.termForm === "Literal" && node.term.endsWith("*"),
+
+            /** @type {ExplanationPart} */
+            term = {type: "Term", text: prefix ? node.term.slice(0, -1) : node.term, termForm: node.termForm, exclude: node.exclude};
+
+        if (typeof node.start === "number" && typeof node.end === "number") {
+            term.start = node.start;
+            term.end = node.end;
+        }
+
+        let template;
+
+        if (prefix) {
+            template = templates.prefix;
+        } else if (node.termForm === "Literal") {
+            template = node.term.indexOf(" ") === -1 ? templates.word : templates.phrase;
+        } else {
+            template = node.termForm === "Thesaurus" ? templates.thesaurus : templates.inflectional;
+        }
+
+        const parts = QueryExplainer.fill(template, {term: [term]});
+
+        return node.column ? QueryExplainer.fill(templates.column, {expression: parts, column: [{type: "Column", text: node.column}]}) : parts;
+    }
+
+    /**
+     * Describes a warning as a note, using the part of the query the warning applies to.
+     * @param {FixUpWarning} warning The warning.
+     * @param {string} query The query.
+     * @param {ExplanationTemplates} templates The templates.
+     * @returns {ExplanationNote} The note, or null if the warning is left out.
+     */
+    static explainWarning(warning, query, templates) {
+        const template = templates.notes[warning.code],
+            span = typeof warning.start === "number" && typeof warning.end === "number";
+
+        /** @type {ExplanationNote} */
+        let note;
+
+        if (template === "") {
+            return null;
+        } else if (template && (span || template.indexOf("{text}") === -1)) {
+            note = {code: warning.code, text: QueryExplainer.fill(template, {text: [{type: "Text", text: span ? query.substring(warning.start, warning.end) : ""}]}).map((part) => part.text).join("")};
+        } else {
+            note = {code: warning.code, text: warning.message};
+        }
+
+        if (span) {
+            note.start = warning.start;
+            note.end = warning.end;
+        }
+
+        return note;
+    }
+
+    /**
+     * Fills in the placeholders of a template.
+     * @param {string} template The template, with placeholders such as {term}.
+     * @param {ExplanationValues} values The parts to replace each placeholder with.  Placeholders without parts are removed.
+     * @returns {ExplanationPart[]} The parts of the filled in template.
+     */
+    static fill(template, values) {
+        /** @type {string[]} Each part of the template is either a placeholder or the text between placeholders */
+        const texts = template.match(templatePartRegex) || [];
+
+        return texts.reduce((parts, text) => {
+            if (placeholderRegex.test(text)) {
+                return [...parts, ...values[text.substring(1, text.length - 1)] || []];
+            }
+
+            return [...parts, {type: "Text", text}];
+        }, []);
+    }
+
+    /**
+     * Merges adjacent text parts.
+     * @param {ExplanationPart[]} parts The parts.
+     * @returns {ExplanationPart[]} The merged parts.
+     */
+    static merge(parts) {
+        return parts.reduce((merged, part) => {
+            const last = merged[merged.length - 1];
+
+            if (last && last.type === "Text" && part.type === "Text") {
+                merged[merged.length - 1] = {type: "Text", text: `${last.text}${part.text}`};
+
+                return merged;
+            }
+
+            merged.push(part);
+
+            return merged;
+        }, []);
+    }
+}
+
+module.exports = QueryExplainer;
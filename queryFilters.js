@@ -0,0 +1,184 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FilterDefinition} FilterDefinition
+ * @typedef {import("./types/index").FilterRange} FilterRange
+ * @typedef {import("./types/index").FilterType} FilterType
+ * @typedef {import("./types/index").FilterValue} FilterValue
+ */
+
+const dateRegex = /^[0-9]{4}(?:-[0-9]{1,2}(?:-[0-9]{1,2})?)?$/,
+    numberRegex = /^[-+]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)$/;
+
+/**
+ * @type {FilterType[]} The types of filter whose values may be ranges.
+ */
+const rangeTypes = ["number", "date"];
+
+/**
+ * Class to hold the filter keys that may be used in a query, such as type:pdf, along with how the value of each is parsed.  Filters are extracted from the query rather than searched as terms, so that they can be applied as separate conditions.  Keys and aliases are matched without regard to case.
+ * @example <caption>The following list shows how the value of each type of filter is parsed.</caption>
+ * string                  type:pdf and author:"jane doe" are pdf and jane doe
+ * enum                    type:PDF is pdf, when pdf is one of the values
+ * number                  size:10 is 10, and size:10..20 is the range from 10 through 20
+ * date                    before:2024-01-01 is that date, and year:2020..2023 is the range from 2020-01-01 through 2023-12-31
+ * Ranges                  Either end may be left out, as in size:10.. or size:..20
+ */
+class QueryFilters {
+    /**
+     * Constructs a QueryFilters instance.
+     */
+    constructor() {
+        /**
+         * @type {Map<string, FilterDefinition>} The definition of each filter, keyed by filter key.
+         */
+        this.definitions = new Map();
+    }
+
+    /**
+     * Adds a filter key.  A key that has already been added is replaced.
+     * @param {string} key The filter key, as it is returned with the extracted filters.
+     * @param {FilterDefinition} [definition] The type of the filter's values, along with any aliases of the key.  Defaults to a string filter.
+     * @returns {QueryFilters} This instance, so that calls can be chained.
+     */
+    add(key, definition) {
+        this.definitions.set(key, {type: "string", aliases: [], ...definition});
+
+        return this;
+    }
+
+    /**
+     * Gets the filter key that a name used in a query refers to.
+     * @param {string} name The key or alias.
+     * @returns {string} The filter key, or null if the name is not a known filter key.
+     */
+    resolve(name) {
+        const lowerName = name.toLowerCase();
+
+        for (const [key, definition] of this.definitions) {
+            if (key.toLowerCase() === lowerName || definition.aliases.some((alias) => alias.toLowerCase() === lowerName)) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parses the value of a filter.  Values of number and date filters may be ranges, such as 2020..2023, which include both ends.
+     * @param {string} key The filter key.
+     * @param {string} text The value as it appears in the query.
+     * @returns {FilterValue} The parsed value, or null if it is not a valid value for the filter.
+     */
+    parse(key, text) {
+        const definition = this.definitions.get(key);
+
+        if (!definition || text.length === 0) {
+            return null;
+        }
+
+        if (definition.parse) {
+            const value = definition.parse(text);
+
+            return value === void 0 ? null : value;
+        }
+
+        const rangeIndex = text.indexOf("..");
+
+        if (rangeIndex === -1 || rangeTypes.indexOf(definition.type) === -1) {
+            return QueryFilters.parseValue(definition, text, false);
+        }
+
+        const minText = text.substring(0, rangeIndex),
+            maxText = text.substring(rangeIndex + 2);
+
+        if (minText.length === 0 && maxText.length === 0) {
+            return null;
+        }
+
+        /** @type {FilterRange} */
+        const range = {
+            min: minText.length === 0 ? null : QueryFilters.parseBound(definition, minText, false),
+            max: maxText.length === 0 ? null : QueryFilters.parseBound(definition, maxText, true)
+        };
+
+        if (range.min === null && minText.length > 0 || range.max === null && maxText.length > 0 || range.min !== null && range.max !== null && range.min > range.max) {
+            return null;
+        }
+
+        return range;
+    }
+
+    /**
+     * Parses a single value of a filter.
+     * @param {FilterDefinition} definition The definition of the filter.
+     * @param {string} text The value.
+     * @param {boolean} end Whether the value is the end of a range, in which case a partial date is the last day of its year or month.
+     * @returns {string|number|Date} The parsed value, or null if it is not valid.
+     */
+    static parseValue(definition, text, end) {
+        switch (definition.type) {
+            case "enum": {
+                const lowerText = text.toLowerCase(),
+                    value = (definition.values || []).find((v) => v.toLowerCase() === lowerText);
+
+                return value === void 0 ? null : value;
+            }
+            case "number":
+            case "date":
+                return QueryFilters.parseBound(definition, text, end);
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Parses a value of a number or date filter, which may be the end of a range.
+     * @param {FilterDefinition} definition The definition of the filter.
+     * @param {string} text The value.
+     * @param {boolean} end Whether the value is the end of a range, in which case a partial date is the last day of its year or month.
+     * @returns {number|Date} The parsed value, or null if it is not valid.
+     */
+    static parseBound(definition, text, end) {
+        if (definition.type === "date") {
+            return QueryFilters.parseDate(text, end);
+        }
+
+        return numberRegex.test(text) ? Number(text) : null;
+    }
+
+    /**
+     * Parses a date in the form yyyy-mm-dd, yyyy-mm or yyyy, as midnight UTC.
+     * @param {string} text The date.
+     * @param {boolean} end Whether a partial date is the last day of its year or month, rather than the first.
+     * @returns {Date} The date, or null if it is not valid.
+     */
+    static parseDate(text, end) {
+        if (!dateRegex.test(text)) {
+            return null;
+        }
+
+        const [year, month = null, day = null] = text.split("-").map(Number);
+
+        if (month !== null && (month < 1 || month > 12)) {
+            return null;
+        }
+
+        if (day !== null) {
+            const date = new Date(Date.UTC(year, month - 1, day));
+
+            // Reject days past the end of the month, which Date.UTC rolls over into the next month
+            return date.getUTCMonth() === month - 1 && day >= 1 ? date : null;
+        }
+
+        if (!end) {
+            return new Date(Date.UTC(year, month === null ? 0 : month - 1, 1));
+        }
+
+        // Day 0 of the following month is the last day of the month
+        return new Date(Date.UTC(year, month === null ? 12 : month, 0));
+    }
+}
+
+module.exports = QueryFilters;
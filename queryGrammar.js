@@ -0,0 +1,188 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").GrammarKeywords} GrammarKeywords
+ * @typedef {import("./types/index").GrammarOperator} GrammarOperator
+ */
+
+const QueryTokenizer = require("./queryTokenizer"),
+
+    reservedSymbols = "()<>\"*^:/";
+
+/**
+ * @type {GrammarOperator[]} The operators that keywords and symbols may stand for.
+ */
+const operators = ["And", "Or", "Not", "Near", "OrderedNear", "Literal", "Thesaurus"];
+
+/**
+ * @type {Map<string, GrammarKeywords>} The built-in keywords of each locale.
+ */
+const presets = new Map([
+    ["en", {And: ["and"], Or: ["or"], Not: ["not"], Near: ["near"], OrderedNear: ["onear"]}],
+    ["de", {And: ["und"], Or: ["oder"], Not: ["nicht"], Near: ["nahe"]}],
+    ["es", {And: ["y"], Or: ["o"], Not: ["no"], Near: ["cerca"]}],
+    ["fr", {And: ["et"], Or: ["ou"], Not: ["sauf"], Near: ["près"]}],
+    ["it", {And: ["e"], Or: ["o"], Not: ["non"], Near: ["vicino"]}],
+    ["nl", {And: ["en"], Or: ["of"], Not: ["niet"], Near: ["nabij"]}],
+    ["pt", {And: ["e"], Or: ["ou"], Not: ["não"], Near: ["perto"]}]
+]);
+
+/**
+ * Class to hold the keywords and symbols a query may use as operators, such as and or -, along with the operator each stands for.  Keywords are matched without regard to case, and a word that is not a keyword is searched as a term.
+ * @example <caption>The following list shows the operators, along with the English keywords and the symbols that stand for them by default.</caption>
+ * And                     and
+ * Or                      or
+ * Not                     not, -
+ * Near                    near, which may be followed by a maximum distance such as near/5
+ * OrderedNear             onear, which may be followed by a maximum distance such as onear/5
+ * Literal                 +
+ * Thesaurus               ~
+ */
+class QueryGrammar {
+    /**
+     * Constructs a QueryGrammar instance.
+     * @param {string[]} [locales] The locales whose built-in keywords are used, such as de or es.  A locale without built-in keywords falls back to its neutral locale, such as de for de-AT.  Defaults to English.
+     */
+    constructor(locales) {
+        /**
+         * @type {Map<string, GrammarOperator>} The operator each keyword stands for, keyed by lowercase keyword.
+         */
+        this.keywords = new Map();
+
+        /**
+         * @type {Map<string, GrammarOperator>} The operator each symbol stands for, keyed by symbol.
+         */
+        this.symbols = new Map([["-", "Not"], ["+", "Literal"], ["~", "Thesaurus"]]);
+
+        for (const locale of locales || ["en"]) {
+            this.addLocale(locale);
+        }
+    }
+
+    /**
+     * Adds the built-in keywords of a locale.
+     * @param {string} locale The locale, such as de or de-AT.
+     * @returns {QueryGrammar} This instance, so that calls can be chained.
+     */
+    addLocale(locale) {
+        const key = locale.toLowerCase(),
+            keywords = presets.get(key) || presets.get(key.split("-")[0]);
+
+        if (!keywords) {
+            throw new RangeError(`No keywords are built in for locale: ${locale}`);
+        }
+
+        for (const operator of operators) {
+            if (keywords[operator]) {
+                this.addKeywords(operator, keywords[operator]);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds keywords for an operator.  A keyword that has already been added is changed to stand for the operator.
+     * @param {GrammarOperator} operator The operator.
+     * @param {string[]} words The keywords, which may not contain whitespace or punctuation.
+     * @returns {QueryGrammar} This instance, so that calls can be chained.
+     */
+    addKeywords(operator, words) {
+        QueryGrammar.validateOperator(operator);
+
+        for (const word of words) {
+            // A keyword must be read as a single word to be recognized
+            if (word.length === 0 || [...word].some((ch) => ch.trim().length === 0 || QueryTokenizer.isPunctuation(ch))) {
+                throw new RangeError(`Invalid keyword: ${word}`);
+            }
+
+            this.keywords.set(word.toLowerCase(), operator);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds a symbol for an operator, such as | for Or.  A symbol that has already been added is changed to stand for the operator.
+     * @param {string} symbol The symbol, which must be a single punctuation character other than ( ) < > " * ^ : and /.
+     * @param {GrammarOperator} operator The operator.
+     * @returns {QueryGrammar} This instance, so that calls can be chained.
+     */
+    addSymbol(symbol, operator) {
+        QueryGrammar.validateOperator(operator);
+
+        if (symbol.length !== 1 || !QueryTokenizer.isPunctuation(symbol) || reservedSymbols.indexOf(symbol) !== -1) {
+            throw new RangeError(`Invalid symbol: ${symbol}`);
+        }
+
+        this.symbols.set(symbol, operator);
+
+        return this;
+    }
+
+    /**
+     * Removes the keywords and symbols of operators, so that their keywords are searched as terms and their symbols are ignored.
+     * @param {GrammarOperator[]} disabled The operators.
+     * @returns {QueryGrammar} This instance, so that calls can be chained.
+     */
+    disable(disabled) {
+        for (const map of [this.keywords, this.symbols]) {
+            for (const [text, operator] of map) {
+                if (disabled.indexOf(operator) !== -1) {
+                    map.delete(text);
+                }
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets the operator a word stands for.
+     * @param {string} word The word.
+     * @returns {GrammarOperator} The operator, or null if the word is not a keyword.
+     */
+    getKeyword(word) {
+        return this.keywords.get(word.toLowerCase()) || null;
+    }
+
+    /**
+     * Gets the keywords that stand for an operator.
+     * @param {GrammarOperator} operator The operator.
+     * @returns {string[]} The keywords, in lowercase, in the order they were added.
+     */
+    getKeywords(operator) {
+        return [...this.keywords].filter(([, o]) => o === operator).map(([word]) => word);
+    }
+
+    /**
+     * Gets the operator a symbol stands for.
+     * @param {string} symbol The symbol.
+     * @returns {GrammarOperator} The operator, or null if the symbol does not stand for an operator.
+     */
+    getSymbol(symbol) {
+        return this.symbols.get(symbol) || null;
+    }
+
+    /**
+     * Gets the locales with built-in keywords.
+     * @returns {string[]} The locales.
+     */
+    static getLocales() {
+        return [...presets.keys()];
+    }
+
+    /**
+     * Throws if an operator is not one that keywords and symbols may stand for.
+     * @param {GrammarOperator} operator The operator.
+     * @returns {void}
+     */
+    static validateOperator(operator) {
+        if (operators.indexOf(operator) === -1) {
+            throw new RangeError(`Unknown operator: ${operator}`);
+        }
+    }
+}
+
+module.exports = QueryGrammar;
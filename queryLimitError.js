@@ -0,0 +1,35 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").LimitName} LimitName
+ */
+
+/**
+ * Error thrown when a query exceeds a limit whose policy is "Throw".
+ */
+class QueryLimitError extends Error {
+    /**
+     * Constructs a QueryLimitError instance.
+     * @param {LimitName} limit The name of the limit that was exceeded, such as "maxLength".
+     * @param {number} value The value of the limit.
+     * @param {string} message The error message.
+     */
+    constructor(limit, value, message) {
+        super(message);
+
+        this.name = "QueryLimitError";
+
+        /**
+         * @type {LimitName} The name of the limit that was exceeded.
+         */
+        this.limit = limit;
+
+        /**
+         * @type {number} The value of the limit.
+         */
+        this.value = value;
+    }
+}
+
+module.exports = QueryLimitError;
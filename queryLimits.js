@@ -0,0 +1,346 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").LimitName} LimitName
+ * @typedef {import("./types/index").LimitPolicy} LimitPolicy
+ * @typedef {import("./types/index").QueryLimit} QueryLimit
+ * @typedef {import("./types/index").QueryLimitOptions} QueryLimitOptions
+ * @typedef {import("./types/index").Span} Span
+ */
+
+const InternalNode = require("./internalNode"),
+    QueryLimitError = require("./queryLimitError"),
+    TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings");
+
+/**
+ * @type {{[x: string]: string}} The warning code reported when each limit is applied.
+ */
+const codes = {
+    "maxLength": "LENGTH_LIMITED",
+    "maxTerms": "TERMS_LIMITED",
+    "maxDepth": "DEPTH_LIMITED",
+    "maxNearTerms": "NEAR_TERMS_LIMITED",
+    "maxOutputLength": "OUTPUT_LIMITED"
+};
+
+/**
+ * @type {{[x: string]: number}} The limits applied when the options do not set them.  Fixing up and rendering an expression tree are recursive, so these keep the tree well within the default call stack however large the query is.
+ */
+const defaults = {
+    "maxTerms": 1000,
+    "maxDepth": 100
+};
+
+/**
+ * Class to limit the complexity of queries, so that a very long or deeply nested query cannot produce an enormous condition or take a long time to parse.  Each limit has a policy of "Truncate", which reduces the query and reports a warning, or "Throw", which throws a QueryLimitError.
+ * @example <caption>The following list shows how each limit is applied when truncating.</caption>
+ * maxLength               Characters after the limit are ignored.
+ * maxTerms                Terms after the limit are discarded.
+ * maxDepth                Parentheses and angle brackets nested deeper than the limit are ignored.
+ * maxNearTerms            NEAR conjunctions joining more terms than the limit are changed to AND.
+ * maxOutputLength         Terms are discarded from the end until the condition fits.
+ */
+class QueryLimits {
+    /**
+     * Constructs a QueryLimits instance.
+     * @param {QueryLimitOptions} [options] The limits.  maxTerms and maxDepth default to 1000 and 100, and are not applied when set to null.  Other limits are not applied unless they are set.
+     */
+    constructor(options) {
+        /**
+         * @type {LimitPolicy} The policy of limits that do not set their own.
+         */
+        this.policy = options && options.policy === "Throw" ? "Throw" : "Truncate";
+
+        /**
+         * @type {QueryLimit} The maximum number of characters in a query.
+         */
+        this.maxLength = this.getLimit(options, "maxLength");
+
+        /**
+         * @type {QueryLimit} The maximum number of terms in a query, after thesaurus terms are expanded.
+         */
+        this.maxTerms = this.getLimit(options, "maxTerms");
+
+        /**
+         * @type {QueryLimit} The maximum nesting depth of parentheses and angle brackets in a query.
+         */
+        this.maxDepth = this.getLimit(options, "maxDepth");
+
+        /**
+         * @type {QueryLimit} The maximum number of terms joined by a chain of NEAR conjunctions.
+         */
+        this.maxNearTerms = this.getLimit(options, "maxNearTerms");
+
+        /**
+         * @type {QueryLimit} The maximum number of characters in a rendered condition.
+         */
+        this.maxOutputLength = this.getLimit(options, "maxOutputLength");
+    }
+
+    /**
+     * Gets a limit from the options.
+     * @param {QueryLimitOptions} options The limits.
+     * @param {LimitName} name The name of the limit.
+     * @returns {QueryLimit} The limit, or null if it is not set.
+     */
+    getLimit(options, name) {
+        const option = options && typeof options[name] !== "undefined" ? options[name] : defaults[name];
+
+        if (typeof option === "number" && option >= 0) {
+            return {value: Math.floor(option), policy: this.policy};
+        }
+
+        if (option && typeof option === "object" && option.value >= 0) {
+            return {value: Math.floor(option.value), policy: option.policy === "Throw" || option.policy === "Truncate" ? option.policy : this.policy};
+        }
+
+        return null;
+    }
+
+    /**
+     * Determines whether a value exceeds a limit.  When it does and the limit's policy is "Throw", a QueryLimitError is thrown.  Otherwise, a warning is reported.
+     * @param {LimitName} name The name of the limit.
+     * @param {number} actual The value to test.
+     * @param {string} message The message describing how the limit was exceeded, used for both the error and the warning.
+     * @param {string} action The message describing how the query was truncated, added to the warning.
+     * @param {Span} [span] The part of the query the limit applies to.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {boolean} Whether the value exceeds the limit, in which case the caller should truncate the query.
+     */
+    exceeds(name, actual, message, action, span, warnings) {
+        /** @type {QueryLimit} */
+        const limit = this[name];
+
+        if (!limit || actual <= limit.value) {
+            return false;
+        }
+
+        if (limit.policy === "Throw") {
+            throw new QueryLimitError(name, limit.value, message);
+        }
+
+        Warnings.add(warnings, codes[name], `${message}  ${action}`, span);
+
+        return true;
+    }
+
+    /**
+     * Applies the maxLength limit to a query.
+     * @param {string} query The query.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {string} The query, truncated if necessary.
+     */
+    limitLength(query, warnings) {
+        if (this.maxLength && this.exceeds("maxLength", query.length, `The query is longer than ${this.maxLength.value} characters.`, "The rest of it was ignored.", {start: this.maxLength.value, end: query.length}, warnings)) {
+            return query.substring(0, this.maxLength.value);
+        }
+
+        return query;
+    }
+
+    /**
+     * Applies the maxDepth limit to a block of a query enclosed in parentheses or angle brackets.
+     * @param {number} depth The nesting depth of the block, starting at 1 for a block that is not within another block.
+     * @param {Span} span The position of the block within the query.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {boolean} Whether the block is too deep, in which case any parentheses and angle brackets within it should be read as spaces.
+     */
+    limitDepth(depth, span, warnings) {
+        return this.maxDepth !== null && this.exceeds("maxDepth", depth, `Parentheses and angle brackets are nested more than ${this.maxDepth.value} deep.`, "The ones within this block were ignored.", span, warnings);
+    }
+
+    /**
+     * Applies the maxTerms limit to an expression tree.
+     * @param {INode} node Root node of the expression tree.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {INode} The expression tree, with the terms after the limit discarded.
+     */
+    limitTerms(node, warnings) {
+        if (this.maxTerms && this.exceeds("maxTerms", QueryLimits.countTerms(node), `The query has more than ${this.maxTerms.value} terms.`, "The rest of them were discarded.", node, warnings)) {
+            return QueryLimits.truncateTerms(node, this.maxTerms.value);
+        }
+
+        return node;
+    }
+
+    /**
+     * Applies the maxNearTerms limit to an expression tree.
+     * @param {INode} node Root node of the expression tree.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {INode} The expression tree, with NEAR conjunctions joining too many terms changed to AND.
+     */
+    limitNearTerms(node, warnings) {
+        if (!this.maxNearTerms) {
+            return node;
+        }
+
+        // A count depends only on the nodes below it, which come after it in the tree, so every count can be taken before anything is changed
+        const counts = QueryLimits.countNearTerms(node);
+
+        // Changing the top NEAR of a chain to AND removes the last term from the chain
+        for (const [n, count] of counts) {
+            if (this.exceeds("maxNearTerms", count, `NEAR joins more than ${this.maxNearTerms.value} terms.`, "It was changed to AND.", n, warnings)) {
+                n.conjunction = "And";
+                n.distance = null;
+                n.ordered = false;
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Applies the maxOutputLength limit to a rendered condition.  When truncating, terms are discarded from the end of the expression tree until the condition fits.
+     * @param {string} condition The rendered condition.
+     * @param {number} terms The number of terms in the expression tree.
+     * @param {function(number): string} render A function that renders the expression tree with only the given number of terms.
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to when the limit is applied.
+     * @returns {string} The condition, truncated if necessary.
+     */
+    limitOutput(condition, terms, render, warnings) {
+        if (!this.maxOutputLength || !this.exceeds("maxOutputLength", condition.length, `The condition is longer than ${this.maxOutputLength.value} characters.`, "Terms were discarded from the end of the query until it fit.", null, warnings)) {
+            return condition;
+        }
+
+        // Find the most terms that fit
+        let low = 0,
+            high = terms - 1,
+            best = "";
+
+        while (low <= high) {
+            const middle = Math.floor((low + high) / 2),
+                text = render(middle);
+
+            if (text.length <= this.maxOutputLength.value) {
+                best = text;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Counts the terms of an expression tree.  Chains are built from the left, and may be very long, so the tree is walked without recursion.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {number} The number of terms.
+     */
+    static countTerms(node) {
+        const stack = [node];
+
+        let count = 0;
+
+        while (stack.length > 0) {
+            const n = stack.pop();
+
+            if (n instanceof InternalNode) {
+                stack.push(n.rightChild, n.leftChild);
+            } else if (n instanceof TerminalNode) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Counts the terms joined by each NEAR conjunction of an expression tree, in one pass from the bottom up.  A NEAR child with the same distance and order continues its parent's chain, and contributes its own count; a grouped child, or any other child, counts as one term.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {Map<InternalNode, number>} The number of terms joined by each NEAR node, in the order the nodes appear in the tree.
+     */
+    static countNearTerms(node) {
+        const stack = [node],
+            nodes = [];
+
+        // Chains are built from the left, and may be very long, so the tree is walked without recursion
+        while (stack.length > 0) {
+            const n = stack.pop();
+
+            if (n instanceof InternalNode) {
+                nodes.push(n);
+                stack.push(n.rightChild, n.leftChild);
+            }
+        }
+
+        const counts = new Map();
+
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const n = nodes[i];
+
+            if (n.conjunction === "Near") {
+                counts.set(n, [n.leftChild, n.rightChild].reduce((count, child) => count + (child instanceof InternalNode && child.conjunction === "Near" && !child.grouped && child.distance === n.distance && child.ordered === n.ordered ? counts.get(child) : child ? 1 : 0), 0));
+            }
+        }
+
+        return new Map([...counts].reverse());
+    }
+
+    /**
+     * Discards the terms of an expression tree after a number of terms.  Internal nodes left with one child are replaced with that child.
+     * @param {INode} node Root node of the expression tree.
+     * @param {number} count The number of terms to keep.
+     * @returns {INode} The truncated expression tree, or null if no terms are kept.
+     */
+    static truncateTerms(node, count) {
+        const stack = [{node, truncated: false}],
+            results = [];
+
+        let remaining = count;
+
+        // Each internal node is visited a second time, after its children are truncated, to take the truncated children from the results
+        while (stack.length > 0) {
+            const {node: n, truncated} = stack.pop();
+
+            if (n instanceof InternalNode && !truncated) {
+                stack.push({node: n, truncated: true}, {node: n.rightChild, truncated: false}, {node: n.leftChild, truncated: false});
+            } else if (n instanceof InternalNode) {
+                n.rightChild = results.pop();
+                n.leftChild = results.pop();
+                results.push(QueryLimits.removeEmptyChild(n));
+            } else if (n instanceof TerminalNode && remaining > 0) {
+                remaining--;
+                results.push(n);
+            } else {
+                results.push(null);
+            }
+        }
+
+        return results.pop();
+    }
+
+    /**
+     * Replaces an internal node left with one child by that child.
+     * @param {InternalNode} node The internal node.
+     * @returns {INode} The node, its remaining child, or null if it has no children.
+     */
+    static removeEmptyChild(node) {
+        if (node.leftChild && node.rightChild) {
+            return node;
+        }
+
+        const child = node.leftChild || node.rightChild;
+
+        if (child instanceof InternalNode) {
+            child.grouped = child.grouped || node.grouped;
+        }
+
+        return child;
+    }
+
+    /**
+     * Determines whether a warning was reported because a limit was applied.
+     * @param {FixUpWarning} warning The warning.
+     * @returns {boolean} Whether the warning is for a limit.
+     */
+    static isLimitWarning(warning) {
+        return Object.keys(codes).some((name) => codes[name] === warning.code);
+    }
+}
+
+module.exports = QueryLimits;
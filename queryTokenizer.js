@@ -0,0 +1,330 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FilterConditions} FilterConditions
+ * @typedef {import("./types/index").FilterValue} FilterValue
+ * @typedef {import("./types/index").QueryToken} QueryToken
+ * @typedef {import("./types/index").SyntaxToken} SyntaxToken
+ * @typedef {import("./types/index").SyntaxTokenType} SyntaxTokenType
+ */
+
+const ParsingHelper = require("./parsingHelper"),
+
+    blockRegex = /[()<>]/g,
+    nullChar = "\0",
+    whitespace = [" ", "\t", "\n", "\r"];
+
+/**
+ * @type {SyntaxTokenType[]} The types of syntax token that may be valid at a position in a query, in the order they are returned.
+ */
+const syntaxTokenTypes = ["Term", "Phrase", "Operator", "Modifier", "Wildcard", "Weight", "Column", "Filter", "Distance", "GroupOpen", "GroupClose"];
+
+/**
+ * @type {string} Characters not allowed in unquoted search terms.
+ */
+const punctuation = "~\"`!@#$%^&*()-+=[]{}\\|;:,.<>?/";
+
+/**
+ * Class to split a query into positioned tokens in a single pass.  The parser reads a block enclosed in parentheses or angle brackets by limiting the tokenizer to the end of the block, rather than copying the block and parsing the copy, so each character is read once however deeply blocks are nested.  Positions are always within the whole query.
+ * @example <caption>The following list shows the tokens a query is split into.</caption>
+ * abc                     Word token abc
+ * "abc def"               Phrase token abc def, which may be unterminated
+ * ( ) < > - + ~ ...       Symbol token for each punctuation character outside a phrase
+ */
+class QueryTokenizer extends ParsingHelper {
+    /**
+     * Constructs a QueryTokenizer instance.
+     * @param {string} [text] Text to be tokenized.
+     */
+    constructor(text) {
+        super(text);
+
+        /** @type {number} Returns the position following the block being parsed, which is the end of the text when not within a block. */
+        this.End = this.Text.length;
+
+        /** @type {boolean} Returns whether parentheses and angle brackets are read as spaces, for a block nested too deeply. */
+        this.IgnoreBlocks = false;
+
+        /**
+         * @type {{[x: string]: Map<number, number>}} For each opening character, the position of the closing character that matches the opening character at each position, or Infinity when it is not closed.
+         */
+        this.blockEnds = {"(": new Map(), "<": new Map()};
+
+        /** @type {SyntaxToken[]} Returns the syntax tokens the parser has recorded, or null when they are not being recorded. */
+        this.SyntaxTokens = null;
+
+        /** @type {FilterConditions} Returns the filters the parser has extracted, keyed by filter key, or null when they are not being recorded. */
+        this.Filters = null;
+    }
+
+    /**
+     * Indicates if the current position is at the end of the block being parsed.
+     * @returns {boolean} Whether the end of the block has been reached.
+     */
+    get EndOfText() {
+        return this.Index >= this.End;
+    }
+
+    /**
+     * Returns the character at the specified number of characters beyond the current position, or nullChar if the specified position is beyond the end of the block being parsed.  Parentheses and angle brackets are returned as spaces while they are ignored.
+     * @param {number} [ahead] The number of characters beyond the current position.
+     * @returns {string} The character at the specified position.
+     */
+    peek(ahead) {
+        const pos = this.Index + (ahead || 0);
+
+        if (pos >= this.End) {
+            return nullChar;
+        }
+
+        const ch = this.Text.charAt(pos);
+
+        return this.IgnoreBlocks && "()<>".indexOf(ch) !== -1 ? " " : ch;
+    }
+
+    /**
+     * Extracts a substring from the specified range of the text being parsed.  Parentheses and angle brackets are replaced with spaces while they are ignored.
+     * @param {number} start 0-based position of first character to extract.
+     * @param {number} end 0-based position of the character that follows the last character to extract.
+     * @returns {string} Returns the extracted string.
+     */
+    extract(start, end) {
+        const text = this.Text.substring(start, end);
+
+        return this.IgnoreBlocks ? text.replace(blockRegex, " ") : text;
+    }
+
+    /**
+     * Moves the current position ahead the specified number of characters.  The position will not be placed beyond the end of the block being parsed.
+     * @param {number} [ahead] The number of characters to move ahead
+     * @returns {void}
+     */
+    moveAhead(ahead) {
+        this.Index = Math.min(this.Index + (ahead === void 0 ? 1 : ahead), this.End);
+    }
+
+    /**
+     * Reads the next token and moves past it.  Whitespace before the token is skipped.  A word is a run of characters that are neither whitespace nor punctuation, and a phrase is the text between double quotes, up to the end of the block when the closing quote is missing.  Each other punctuation character is a symbol.
+     * @returns {QueryToken} The token, or null at the end of the block.
+     */
+    next() {
+        this.skipWhitespace();
+        if (this.EndOfText) {
+            return null;
+        }
+
+        const start = this.Index,
+            ch = this.peek();
+
+        if (!QueryTokenizer.isPunctuation(ch)) {
+            const value = this.parseWhile((c) => !QueryTokenizer.isPunctuation(c) && whitespace.indexOf(c) === -1);
+
+            return {type: "Word", value, start, end: this.Index};
+        }
+
+        this.moveAhead();
+
+        if (ch === "\"") {
+            const value = this.parseWhile((c) => c !== ch);
+
+            /** @type {QueryToken} */
+            const token = {type: "Phrase", value, start, end: this.End};
+
+            if (this.EndOfText) {
+                token.unterminated = true;
+            } else {
+                this.moveAhead();
+                token.end = this.Index;
+            }
+
+            return token;
+        }
+
+        return {type: "Symbol", value: ch, start, end: this.Index};
+    }
+
+    /**
+     * Records a syntax token for a part of the text, as the parser interprets it, when syntax tokens are being recorded.
+     * @param {SyntaxTokenType} type The type of the token.
+     * @param {number} start 0-based position of the first character of the token.
+     * @param {number} end 0-based position of the character that follows the token.
+     * @param {object} [properties] Additional properties of the token, such as whether it is excluded.
+     * @returns {void}
+     */
+    addSyntaxToken(type, start, end, properties) {
+        if (this.SyntaxTokens) {
+            this.SyntaxTokens.push({type, text: this.Text.substring(start, end), start, end, ...properties});
+        }
+    }
+
+    /**
+     * Records the value of a filter the parser has extracted, when filters are being recorded.
+     * @param {string} key The filter key.
+     * @param {FilterValue} value The parsed value.
+     * @param {boolean} exclude Whether the filter is negated, as in -type:pdf.
+     * @returns {void}
+     */
+    addFilter(key, value, exclude) {
+        if (this.Filters) {
+            if (!this.Filters[key]) {
+                this.Filters[key] = {values: [], excluded: []};
+            }
+
+            (exclude ? this.Filters[key].excluded : this.Filters[key].values).push(value);
+        }
+    }
+
+    /**
+     * Limits the tokenizer to the block that opens at a position, and moves to the start of the block.  Quoted text is skipped when matching the closing character, and a block that is not closed ends at the end of the block that contains it.
+     * @param {number} start The position of the opening character.
+     * @param {string} openChar Start-of-block delimiter
+     * @param {string} closeChar End-of-block delimiter
+     * @returns {number} The end of the block that contains this block, to pass to leaveBlock.
+     */
+    enterBlock(start, openChar, closeChar) {
+        const end = this.End;
+
+        if (!this.blockEnds[openChar].has(start)) {
+            this.matchBlocks(start, openChar, closeChar);
+        }
+
+        this.End = Math.min(this.blockEnds[openChar].get(start), end);
+        this.Index = start + 1;
+
+        return end;
+    }
+
+    /**
+     * Restores the limit of the block that contained the block being parsed, and moves to the closing character of the block, or to the end of the containing block if the block was not closed.  Blocks are not entered while parentheses and angle brackets are ignored, so they are no longer ignored.
+     * @param {number} end The end of the containing block, returned by enterBlock.
+     * @returns {void}
+     */
+    leaveBlock(end) {
+        this.Index = this.End;
+        this.End = end;
+        this.IgnoreBlocks = false;
+    }
+
+    /**
+     * Finds the closing character of the block that opens at a position, along with those of the blocks nested within it, so that each is only scanned once.
+     * @param {number} start The position of the opening character.
+     * @param {string} openChar Start-of-block delimiter
+     * @param {string} closeChar End-of-block delimiter
+     * @returns {void}
+     */
+    matchBlocks(start, openChar, closeChar) {
+        const blockEnds = this.blockEnds[openChar],
+            open = [start];
+
+        let index = start + 1;
+
+        while (open.length > 0 && index < this.Text.length) {
+            const ch = this.Text.charAt(index);
+
+            if (ch === openChar) {
+                open.push(index);
+            } else if (ch === closeChar) {
+                blockEnds.set(open.pop(), index);
+            } else if (ch === "\"" || ch === "'") {
+                // Don't count delimiters within quoted text
+                const quoteEnd = this.Text.indexOf(ch, index + 1);
+
+                index = quoteEnd === -1 ? this.Text.length : quoteEnd;
+            }
+
+            index++;
+        }
+
+        for (const position of open) {
+            blockEnds.set(position, Infinity);
+        }
+    }
+
+    /**
+     * Determines the types of syntax token that are valid at a position in a query, from the tokens that precede it.  Wildcards, weights, column prefixes, filters and distances are only valid directly after the token they follow, and a closing group is only valid within a group that is open.
+     * @param {SyntaxToken[]} tokens The syntax tokens of the query, in order.
+     * @param {number} cursor The position within the query.
+     * @param {boolean} columns Whether column prefixes are recognized.
+     * @param {boolean} filters Whether filters are recognized.
+     * @returns {SyntaxTokenType[]} The valid types of token.
+     */
+    static getExpected(tokens, cursor, columns, filters) {
+        const preceding = tokens.filter((token) => token.start < cursor && token.type !== "Punctuation"),
+            last = preceding.length > 0 ? preceding[preceding.length - 1] : null,
+            phrase = last && last.text.charAt(0) === "\"";
+
+        // Only the phrase can be continued within a quoted term
+        if (phrase && (last.unterminated || last.end > cursor)) {
+            return ["Phrase"];
+        }
+
+        const open = preceding.reduce((count, token) => {
+                if (token.type === "GroupOpen") {
+                    return count + 1;
+                }
+
+                return token.type === "GroupClose" && !token.unbalanced && token.end <= cursor ? count - 1 : count;
+            }, 0),
+            valid = new Set(["Term", "Phrase", "Modifier"]);
+
+        // Modifiers do not apply to groups, and NOT must be followed by an operand
+        if (!last || last.type !== "Modifier") {
+            valid.add("GroupOpen");
+            if (!last || last.type !== "Operator" || last.operator !== "Not") {
+                valid.add("Operator");
+            }
+        }
+
+        if (open > 0) {
+            valid.add("GroupClose");
+        }
+
+        if (last && last.end >= cursor) {
+            switch (last.type) {
+                case "Term":
+                case "StopWord":
+                    valid.add("Weight");
+                    if (!phrase) {
+                        valid.add("Wildcard");
+                        if (columns) {
+                            valid.add("Column");
+                        }
+                        if (filters) {
+                            valid.add("Filter");
+                        }
+                    }
+                    break;
+                case "Phrase":
+                case "Wildcard":
+                    valid.add("Weight");
+                    break;
+                case "Operator":
+                    if (last.operator === "Near") {
+                        valid.add("Distance");
+                    }
+                    break;
+                case "GroupClose":
+                    if (last.text === ">") {
+                        valid.add("Distance");
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return syntaxTokenTypes.filter((type) => valid.has(type));
+    }
+
+    /**
+     * Determines whether a character is punctuation, which is not allowed in unquoted search terms.
+     * @param {string} ch The character.
+     * @returns {boolean} Whether the character is punctuation.
+     */
+    static isPunctuation(ch) {
+        return punctuation.indexOf(ch) !== -1;
+    }
+}
+
+module.exports = QueryTokenizer;
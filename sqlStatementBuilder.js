@@ -0,0 +1,214 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").Language} Language
+ * @typedef {import("./types/index").SearchPredicate} SearchPredicate
+ * @typedef {import("./types/index").SqlParameter} SqlParameter
+ * @typedef {import("./types/index").SqlStatement} SqlStatement
+ * @typedef {import("./types/index").SqlStatementOptions} SqlStatementOptions
+ */
+
+const StopLists = require("./stopLists"),
+
+    lcidRegex = /^[0-9]+$/,
+    namePartRegex = /\[(?:[^\]]|\]\])*\]|[^.[\]]+/g;
+
+/**
+ * @type {SearchPredicate[]} The full-text predicates and functions a statement can search with.
+ */
+const predicates = ["Contains", "ContainsTable", "FreeTextTable"];
+
+/**
+ * Class to build a parameterized SQL Server SELECT statement that searches a table with a full-text condition, such as one returned by FTSQuery's transform method.  The condition is always passed as a parameter, and never written into the SQL.
+ * @example <caption>The following list shows how each predicate searches the table.</caption>
+ * Contains                WHERE CONTAINS(columns, @condition), ordered by the key column
+ * ContainsTable           INNER JOIN CONTAINSTABLE(table, columns, @condition) on the key column, ordered by rank
+ * FreeTextTable           INNER JOIN FREETEXTTABLE(table, columns, @condition) on the key column, ordered by rank
+ */
+class SqlStatementBuilder {
+    /**
+     * Constructs a SqlStatementBuilder instance.
+     * @param {SqlStatementOptions} options The table to search, and how to search, rank and page it.
+     */
+    constructor(options) {
+        if (!options || !options.table || !options.key) {
+            throw new TypeError("The table and key options are required.");
+        }
+
+        /**
+         * @type {string} The table to search, which may include its schema, such as dbo.Documents.
+         */
+        this.table = options.table;
+
+        /**
+         * @type {string} The unique key column of the table's full-text index.
+         */
+        this.key = options.key;
+
+        /**
+         * @type {string[]} The full-text indexed columns to search.  When empty, every full-text indexed column is searched.
+         */
+        this.columns = options.columns || [];
+
+        /**
+         * @type {string[]} The columns of the table to return.  When empty, every column is returned.
+         */
+        this.select = options.select || [];
+
+        /**
+         * @type {SearchPredicate} The full-text predicate or function to search with.
+         */
+        this.predicate = options.predicate || "ContainsTable";
+
+        if (predicates.indexOf(this.predicate) === -1) {
+            throw new RangeError(`Unknown predicate: ${this.predicate}`);
+        }
+
+        /**
+         * @type {number} The LCID of the language used to break words and find their forms, or null to use the column's language.
+         */
+        this.language = options.language === void 0 || options.language === null ? null : SqlStatementBuilder.getLcid(options.language);
+
+        /**
+         * @type {number} The top_n_by_rank argument of CONTAINSTABLE or FREETEXTTABLE, which limits the matches to those with the highest rank, or null for no limit.
+         */
+        this.topN = SqlStatementBuilder.getInteger(options, "topN", 1);
+
+        /**
+         * @type {number} The lowest rank a match may have, or null for no minimum.
+         */
+        this.minRank = SqlStatementBuilder.getInteger(options, "minRank", 0);
+
+        /**
+         * @type {number} The number of rows to skip, for paging.
+         */
+        this.offset = SqlStatementBuilder.getInteger(options, "offset", 0) || 0;
+
+        /**
+         * @type {number} The number of rows to return, or null for every row.
+         */
+        this.limit = SqlStatementBuilder.getInteger(options, "limit", 1);
+    }
+
+    /**
+     * Builds the statement.
+     * @param {string} condition The full-text search condition, or the freetext string for FREETEXTTABLE.
+     * @returns {SqlStatement} The statement, and the parameters to pass with it, or null if the condition is empty.
+     */
+    build(condition) {
+        if (!condition) {
+            return null;
+        }
+
+        const table = SqlStatementBuilder.quoteName(this.table),
+            key = `t.${SqlStatementBuilder.quoteName(this.key)}`,
+            ranked = this.predicate !== "Contains",
+            columns = [...this.select.length > 0 ? this.select.map((column) => `t.${SqlStatementBuilder.quoteName(column)}`) : ["t.*"], ...ranked ? ["ft.[RANK] AS [Rank]"] : []],
+            lines = [`SELECT ${columns.join(", ")}`, `FROM ${table} AS t`],
+            where = [],
+
+            /** @type {SqlParameter[]} */
+            parameters = [{name: "condition", type: "NVarChar", value: condition}];
+
+        // The language and top_n_by_rank must be constants, so they are validated as integers rather than passed as parameters
+        const language = this.language === null ? "" : `, LANGUAGE ${this.language}`;
+
+        if (ranked) {
+            lines.push(`INNER JOIN ${this.predicate === "ContainsTable" ? "CONTAINSTABLE" : "FREETEXTTABLE"}(${table}, ${this.getColumnList()}, @condition${language}${this.topN === null ? "" : `, ${this.topN}`}) AS ft ON ft.[KEY] = ${key}`);
+
+            if (this.minRank !== null) {
+                where.push("ft.[RANK] >= @minRank");
+                parameters.push({name: "minRank", type: "Int", value: this.minRank});
+            }
+        } else {
+            where.push(`CONTAINS(${this.getColumnList()}, @condition${language})`);
+        }
+
+        if (where.length > 0) {
+            lines.push(`WHERE ${where.join(" AND ")}`);
+        }
+
+        // The key breaks ties in rank, so that pages do not overlap
+        lines.push(`ORDER BY ${ranked ? "ft.[RANK] DESC, " : ""}${key}`);
+
+        if (this.offset > 0 || this.limit !== null) {
+            lines.push(`OFFSET @offset ROWS${this.limit === null ? "" : " FETCH NEXT @limit ROWS ONLY"}`);
+            parameters.push({name: "offset", type: "Int", value: this.offset});
+
+            if (this.limit !== null) {
+                parameters.push({name: "limit", type: "Int", value: this.limit});
+            }
+        }
+
+        return {sql: lines.join("\n"), parameters};
+    }
+
+    /**
+     * Gets the columns argument of the predicate.
+     * @returns {string} The column, the parenthesized list of columns, or * for every full-text indexed column.
+     */
+    getColumnList() {
+        if (this.columns.length === 0) {
+            return "*";
+        }
+
+        const columns = this.columns.map((column) => SqlStatementBuilder.quoteName(column));
+
+        return columns.length === 1 ? columns[0] : `(${columns.join(", ")})`;
+    }
+
+    /**
+     * Gets the LCID of a language.
+     * @param {Language} language The LCID or culture name of the language.
+     * @returns {number} The LCID.
+     */
+    static getLcid(language) {
+        const key = StopLists.getKey(language);
+
+        if (!lcidRegex.test(key)) {
+            throw new RangeError(`Unknown language: ${language}`);
+        }
+
+        return Number(key);
+    }
+
+    /**
+     * Gets an integer option.
+     * @param {SqlStatementOptions} options The options.
+     * @param {string} name The name of the option.
+     * @param {number} min The smallest value the option may have.
+     * @returns {number} The value of the option, or null if it is not set.
+     */
+    static getInteger(options, name, min) {
+        const value = options[name];
+
+        if (value === void 0 || value === null) {
+            return null;
+        }
+
+        if (!Number.isInteger(value) || value < min) {
+            throw new RangeError(`The ${name} option must be an integer of at least ${min}.`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Quotes a table or column name, which may include a schema, such as dbo.Documents.  Parts of the name that are already quoted with square brackets are left as they are.
+     * @param {string} name The name.
+     * @returns {string} The quoted name.
+     */
+    static quoteName(name) {
+        const parts = name.match(namePartRegex) || [];
+
+        // Anything that is not a part or a period between parts would be written into the SQL as it is
+        if (parts.join(".") !== name) {
+            throw new RangeError(`Invalid name: ${name}`);
+        }
+
+        return parts.map((part) => part.startsWith("[") ? part : `[${part}]`).join(".");
+    }
+}
+
+module.exports = SqlStatementBuilder;
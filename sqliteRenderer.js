@@ -0,0 +1,327 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").SqliteRendererOptions} SqliteRendererOptions
+ */
+
+const InternalNode = require("./internalNode"),
+    TerminalNode = require("./terminalNode"),
+    Warnings = require("./warnings"),
+
+    barewordRegex = /^[A-Za-z0-9_]+$/,
+    keywordRegex = /^(?:and|or|not|near)$/i;
+
+/**
+ * @type {{[x: string]: number}} Binding strength of each FTS5 operator, higher binds tighter.
+ */
+const precedence = {
+    "Or": 1,
+    "And": 2,
+    "Not": 3,
+    "Near": 4
+};
+
+/**
+ * Class to render an expression tree as a SQLite FTS5 MATCH expression.
+ * @example <caption>The following list shows how the expression tree is rendered.</caption>
+ * abc                     "abc"
+ * "abc def"               "abc def"
+ * abc*                    "abc"*
+ * -abc def                "def" NOT "abc"
+ * abc or def              "abc" OR "def"
+ * "abc" near "def"        NEAR("abc" "def", 10)
+ * abc and (def or ghi)    "abc" AND ("def" OR "ghi")
+ */
+class SqliteRenderer {
+    /**
+     * Constructs a SqliteRenderer instance.
+     * @param {SqliteRendererOptions} [options] Rendering options.
+     */
+    constructor(options) {
+        /**
+         * @type {string[]} The columns to restrict the expression to.  When empty, all columns are searched.  Terms scoped to a column with a column: prefix are restricted to that column instead.
+         */
+        this.columns = options && options.columns || [];
+
+        /**
+         * @type {number} The maximum number of tokens allowed between phrases in a NEAR group.
+         */
+        this.nearDistance = options && options.nearDistance >= 0 ? Math.floor(options.nearDistance) : 10;
+    }
+
+    /**
+     * Fixes any portions of the expression tree that would produce an invalid FTS5 expression.
+     * @example <caption>FTS5's NOT operator is binary, so an excluded expression is only valid on the right side of an AND conjunction, where the pair is rendered as term1 NOT term2.  NEAR groups may only contain phrases.  This method corrects the expression tree as described below.</caption>
+     * NOT term1 AND term2         Subexpressions swapped.
+     * NOT term1                   Expression discarded.
+     * NOT term1 AND NOT term2     Expression discarded if node is grouped (parenthesized)
+     *                             or is the root node.
+     * term1 OR NOT term2          Expression discarded.
+     * term1 NEAR NOT term2        NEAR conjunction changed to AND.
+     * term1 NEAR (term2 OR term3) NEAR conjunction changed to AND.
+ * term1 ONEAR term2           Order ignored, since FTS5 NEAR groups are unordered.
+     * @param {INode} node Node to fix up
+     * @param {boolean} [isRoot] True if node is the tree's root node
+     * @param {FixUpWarning[]} [warnings] An array to add a warning to for each change made.
+     * @returns {INode} The fixed up expression tree.
+     */
+    fixUpExpressionTree(node, isRoot, warnings) {
+        if (!node) {
+            return null;
+        }
+
+        if (node instanceof InternalNode) {
+            /** @type {InternalNode} */
+            const internalNode = node;
+
+            internalNode.leftChild = this.fixUpExpressionTree(internalNode.leftChild, false, warnings);
+            internalNode.rightChild = this.fixUpExpressionTree(internalNode.rightChild, false, warnings);
+
+            if (internalNode.conjunction === "Near") {
+                if (internalNode.leftChild && internalNode.rightChild && (SqliteRenderer.isInvalidWithNear(internalNode.leftChild, internalNode) || SqliteRenderer.isInvalidWithNear(internalNode.rightChild, internalNode))) {
+                    internalNode.conjunction = "And";
+                    Warnings.add(warnings, "NEAR_DOWNGRADED", "NEAR was changed to AND because NEAR groups may only contain phrases.", internalNode);
+                } else if (SqliteRenderer.getColumns(internalNode).length > 1) {
+                    internalNode.conjunction = "And";
+                    Warnings.add(warnings, "NEAR_DOWNGRADED", "NEAR was changed to AND because its phrases are in different columns.", internalNode);
+                }
+            } else if (internalNode.conjunction === "Or") {
+                if (internalNode.leftChild && internalNode.leftChild.exclude) {
+                    Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.leftChild);
+                    internalNode.leftChild = null;
+                }
+                if (internalNode.rightChild && internalNode.rightChild.exclude) {
+                    Warnings.add(warnings, "OR_NOT_DISCARDED", "An excluded expression joined with OR was discarded.", internalNode.rightChild);
+                    internalNode.rightChild = null;
+                }
+            }
+
+            if (!internalNode.leftChild && !internalNode.rightChild) {
+                return null;
+            } else if (!internalNode.leftChild) {
+                node = internalNode.rightChild;
+            } else if (!internalNode.rightChild) { // eslint-disable-line no-negated-condition
+                node = internalNode.leftChild;
+            } else {
+                internalNode.exclude = internalNode.leftChild.exclude && internalNode.rightChild.exclude;
+
+                // Each NEAR group is checked once, by the node it is a child of
+                for (const child of [internalNode.leftChild, internalNode.rightChild]) {
+                    if (internalNode.conjunction !== "Near" || SqliteRenderer.isInvalidWithNear(child, internalNode)) {
+                        SqliteRenderer.warnOrderIgnored(child, warnings);
+                    }
+                }
+
+                // NOT is binary, so the excluded expression has to be on the right
+                if (!internalNode.exclude && internalNode.leftChild.exclude) {
+                    const temp = internalNode.leftChild;
+                    internalNode.leftChild = internalNode.rightChild;
+                    internalNode.rightChild = temp;
+                }
+            }
+        }
+
+        if ((node.grouped || isRoot) && node.exclude) {
+            Warnings.add(warnings, "NOT_ONLY_DISCARDED", "An expression containing only excluded terms was discarded.", node);
+            return null;
+        }
+
+        if (isRoot) {
+            SqliteRenderer.warnOrderIgnored(node, warnings);
+        }
+
+        return node;
+    }
+
+    /**
+     * Reports that the terms of a NEAR group will be matched in any order, if any of its NEAR conjunctions requires them to be in order.
+     * @param {INode} node Node to test, which is reported if it is the top of a NEAR group.
+     * @param {FixUpWarning[]} [warnings] An array to add the warning to.
+     * @returns {void}
+     */
+    static warnOrderIgnored(node, warnings) {
+        if (node instanceof InternalNode && node.conjunction === "Near" && SqliteRenderer.isOrdered(node)) {
+            Warnings.add(warnings, "NEAR_ORDER_IGNORED", "The terms joined with NEAR may appear in any order, because FTS5 cannot require them to be in the order given.", node);
+        }
+    }
+
+    /**
+     * Determines if any NEAR conjunction of a NEAR group requires its terms to be in order.
+     * @param {InternalNode} node The top node of the NEAR group.
+     * @returns {boolean} Whether the NEAR group is ordered.
+     */
+    static isOrdered(node) {
+        return node.ordered || [node.leftChild, node.rightChild].some((child) => child instanceof InternalNode && !SqliteRenderer.isInvalidWithNear(child, node) && SqliteRenderer.isOrdered(child));
+    }
+
+    /**
+     * Determines if the specified node is invalid within an FTS5 NEAR group.
+     * @param {INode} node Node to test
+     * @param {InternalNode} nearNode The NEAR node the node is a child of
+     * @returns {boolean} Whether the specified node is invalid.
+     */
+    static isInvalidWithNear(node, nearNode) {
+        if (node.exclude) {
+            return true;
+        }
+
+        if (node instanceof InternalNode) {
+            // A chain of NEAR conjunctions with the same distance is rendered as a single NEAR group
+            return node.conjunction !== "Near" || node.grouped || node.distance !== nearNode.distance;
+        }
+
+        return !(node instanceof TerminalNode);
+    }
+
+    /**
+     * Renders an expression tree as an FTS5 expression.
+     * @param {INode} node Root node of the expression tree.
+     * @returns {string} The FTS5 expression.
+     */
+    render(node) {
+        const expression = this.renderNode(node);
+
+        if (!expression || this.columns.length === 0) {
+            return expression;
+        }
+
+        const columns = this.columns.map((c) => SqliteRenderer.quoteColumn(c)),
+            filter = columns.length === 1 ? columns[0] : `{${columns.join(" ")}}`;
+
+        return `${filter} : (${expression})`;
+    }
+
+    /**
+     * Renders a node as an FTS5 expression.
+     * @param {INode} node The node to render.
+     * @returns {string} The rendered node.
+     */
+    renderNode(node) {
+        if (!node) {
+            return "";
+        }
+
+        if (node instanceof TerminalNode) {
+            return `${node.column ? `${SqliteRenderer.quoteColumn(node.column)} : ` : ""}${SqliteRenderer.renderPhrase(node)}`;
+        }
+
+        if (node instanceof InternalNode) {
+            if (!node.leftChild || !node.rightChild) {
+                return this.renderNode(node.leftChild || node.rightChild);
+            }
+
+            if (node.conjunction === "Near") {
+                const [column] = SqliteRenderer.getColumns(node);
+
+                return `${column ? `${SqliteRenderer.quoteColumn(column)} : ` : ""}NEAR(${this.nearPhrases(node).join(" ")}, ${node.distance === null ? this.nearDistance : node.distance})`;
+            }
+
+            if (node.exclude) {
+                // NOT term1 AND NOT term2 is rendered as the right side of a NOT, so render it as term1 OR term2
+                return `${this.renderChild(node.leftChild, "Or", false)} OR ${this.renderChild(node.rightChild, "Or", true)}`;
+            }
+
+            const operator = node.conjunction === "And" && node.rightChild.exclude ? "Not" : node.conjunction;
+
+            return `${this.renderChild(node.leftChild, operator, false)} ${operator.toUpperCase()} ${this.renderChild(node.rightChild, operator, true)}`;
+        }
+
+        return "";
+    }
+
+    /**
+     * Renders a child of an internal node, adding parentheses where FTS5 operator precedence would otherwise change the meaning of the expression.
+     * @param {INode} node Child node to render.
+     * @param {string} parentOperator The operator of the parent node.
+     * @param {boolean} isRight Whether the node is the right child of its parent.
+     * @returns {string} The rendered child.
+     */
+    renderChild(node, parentOperator, isRight) {
+        const text = this.renderNode(node);
+
+        if (node instanceof InternalNode && node.leftChild && node.rightChild && node.conjunction !== "Near") {
+            const childOperator = node.exclude ? "Or" : node.conjunction === "And" && node.rightChild.exclude ? "Not" : node.conjunction,
+                childPrecedence = precedence[childOperator],
+                parentPrecedence = precedence[parentOperator];
+
+            if (node.grouped || childPrecedence < parentPrecedence || isRight && childPrecedence === parentPrecedence && childOperator === "Not") {
+                return `(${text})`;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Gets the phrases of a chain of NEAR conjunctions.
+     * @param {INode} node The node to get the phrases of.
+     * @returns {string[]} The rendered phrases.
+     */
+    nearPhrases(node) {
+        if (node instanceof InternalNode && node.conjunction === "Near") {
+            return [...this.nearPhrases(node.leftChild), ...this.nearPhrases(node.rightChild)];
+        }
+
+        return node instanceof TerminalNode ? [SqliteRenderer.renderPhrase(node)] : [];
+    }
+
+    /**
+     * Renders a terminal node as an FTS5 phrase.  FTS5 has no inflectional or thesaurus forms, so every term is rendered as a phrase, with stemming left to the table's tokenizer.
+     * @param {TerminalNode} node The terminal node.
+     * @returns {string} The rendered phrase.
+     */
+    static renderPhrase(node) {
+        const term = node.term.trim();
+
+        if (node.termForm === "Literal" && term.endsWith("*")) {
+            // FTS5 only allows * at the end of a phrase, so each word becomes its own prefix phrase joined with +
+            const words = term.replace(/\*+$/, "").split(/\s+/).filter((w) => w.length > 0);
+
+            if (words.length > 0) {
+                return words.map((w) => `${SqliteRenderer.quote(w)}*`).join(" + ");
+            }
+        }
+
+        return SqliteRenderer.quote(term);
+    }
+
+    /**
+     * Gets the distinct columns that the terminal nodes of an expression tree are scoped to.
+     * @param {INode} node The root node of the expression tree.
+     * @returns {string[]} The columns, with null representing all columns.
+     */
+    static getColumns(node) {
+        if (node instanceof TerminalNode) {
+            return [node.column];
+        }
+
+        if (node instanceof InternalNode) {
+            return [...new Set([...node.leftChild ? SqliteRenderer.getColumns(node.leftChild) : [], ...node.rightChild ? SqliteRenderer.getColumns(node.rightChild) : []])];
+        }
+
+        return [];
+    }
+
+    /**
+     * Quotes a column name for use in a column filter, if necessary.
+     * @param {string} column The column name.
+     * @returns {string} The column name, quoted if necessary.
+     */
+    static quoteColumn(column) {
+        return barewordRegex.test(column) && !keywordRegex.test(column) ? column : SqliteRenderer.quote(column);
+    }
+
+    /**
+     * Quotes a string for use in an FTS5 expression.
+     * @param {string} text The text to quote.
+     * @returns {string} The quoted string.
+     */
+    static quote(text) {
+        return `"${text.replace(/"/g, "\"\"")}"`;
+    }
+}
+
+module.exports = SqliteRenderer;
@@ -0,0 +1,298 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").Language} Language
+ * @typedef {import("./types/index").StopWordRow} StopWordRow
+ */
+
+const StandardStopWords = require("./standardStopWords"),
+
+    lcidRegex = /^[0-9]+$/;
+
+/**
+ * @type {number} The LCID of the English language, which the standard stop words belong to.
+ */
+const englishLcid = 1033;
+
+/**
+ * @type {{[x: string]: number}} The LCIDs of the languages supported by SQL Server full-text search, keyed by lowercase culture name.  Neutral culture names map to the language's primary LCID.
+ */
+const cultures = {
+    "ar": 1025,
+    "ar-sa": 1025,
+    "bg": 1026,
+    "bg-bg": 1026,
+    "ca": 1027,
+    "ca-es": 1027,
+    "cs": 1029,
+    "cs-cz": 1029,
+    "da": 1030,
+    "da-dk": 1030,
+    "de": 1031,
+    "de-de": 1031,
+    "el": 1032,
+    "el-gr": 1032,
+    "en": 1033,
+    "en-gb": 2057,
+    "en-us": 1033,
+    "es": 3082,
+    "es-es": 3082,
+    "fi": 1035,
+    "fi-fi": 1035,
+    "fr": 1036,
+    "fr-fr": 1036,
+    "he": 1037,
+    "he-il": 1037,
+    "hi": 1081,
+    "hi-in": 1081,
+    "hr": 1050,
+    "hr-hr": 1050,
+    "id": 1057,
+    "id-id": 1057,
+    "it": 1040,
+    "it-it": 1040,
+    "ja": 1041,
+    "ja-jp": 1041,
+    "ko": 1042,
+    "ko-kr": 1042,
+    "lt": 1063,
+    "lt-lt": 1063,
+    "lv": 1062,
+    "lv-lv": 1062,
+    "nb": 1044,
+    "nb-no": 1044,
+    "nl": 1043,
+    "nl-nl": 1043,
+    "no": 1044,
+    "pl": 1045,
+    "pl-pl": 1045,
+    "pt": 2070,
+    "pt-br": 1046,
+    "pt-pt": 2070,
+    "ro": 1048,
+    "ro-ro": 1048,
+    "ru": 1049,
+    "ru-ru": 1049,
+    "sk": 1051,
+    "sk-sk": 1051,
+    "sl": 1060,
+    "sl-si": 1060,
+    "sr-cyrl": 3098,
+    "sr-latn": 2074,
+    "sv": 1053,
+    "sv-se": 1053,
+    "th": 1054,
+    "th-th": 1054,
+    "tr": 1055,
+    "tr-tr": 1055,
+    "uk": 1058,
+    "uk-ua": 1058,
+    "vi": 1066,
+    "vi-vn": 1066,
+    "zh": 2052,
+    "zh-cn": 2052,
+    "zh-hk": 3076,
+    "zh-mo": 5124,
+    "zh-sg": 4100,
+    "zh-tw": 1028
+};
+
+/**
+ * Class to hold stop lists for several languages, keyed by LCID or culture name, such as 1033 or "en-US".  Words are matched without regard to case.
+ * @example <caption>The following list shows how languages are matched to stop lists.</caption>
+ * 1033                    The stop list for LCID 1033
+ * "1033"                  The stop list for LCID 1033
+ * "en-US"                 The stop list for LCID 1033
+ * "de-AT"                 The stop list for LCID 1031, since the neutral culture de is German
+ * "Klingon"               The stop list named klingon, for languages without an LCID
+ */
+class StopLists {
+    /**
+     * Constructs a StopLists instance.
+     * @param {boolean} [addStandardStopWords] If true, the standard list of stop words is added as the stop list for English (LCID 1033).
+     */
+    constructor(addStandardStopWords) {
+        /**
+         * @type {Map<string, Set<string>>} The stop words of each language, keyed by LCID or by lowercase name for languages without an LCID.
+         */
+        this.lists = new Map();
+
+        if (addStandardStopWords) {
+            this.add(englishLcid, StandardStopWords.StopWords);
+        }
+    }
+
+    /**
+     * Adds stop words to the stop list for a language, creating the stop list if it does not exist.
+     * @param {Language} language The LCID or culture name of the language.
+     * @param {Iterable<string>} words The stop words to add.
+     * @returns {StopLists} This instance, so that calls can be chained.
+     */
+    add(language, words) {
+        const key = StopLists.getKey(language);
+
+        let list = this.lists.get(key);
+
+        if (!list) {
+            list = new Set();
+            this.lists.set(key, list);
+        }
+
+        for (const word of words) {
+            if (typeof word === "string" && word.trim().length > 0) {
+                list.add(word.trim().toLowerCase());
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Determines whether there is a stop list for a language.
+     * @param {Language} language The LCID or culture name of the language.
+     * @returns {boolean} Whether there is a stop list for the language.
+     */
+    has(language) {
+        return this.lists.has(StopLists.getKey(language));
+    }
+
+    /**
+     * Determines whether a word is in the stop list for a language.
+     * @param {string} word The word to test.
+     * @param {Language} language The LCID or culture name of the language.
+     * @returns {boolean} Whether the word is a stop word in the language.
+     */
+    isStopWord(word, language) {
+        const list = this.lists.get(StopLists.getKey(language));
+
+        return !!list && list.has(word.toLowerCase());
+    }
+
+    /**
+     * Adds the stop words from a rowset returned by a query of sys.fulltext_stopwords or sys.fulltext_system_stopwords.  Each row must have a stopword column, and a language_id or lcid column with the LCID of the language.  A language or name column is used instead when the row has no LCID.
+     * @param {StopWordRow[]} rows The rows of the rowset.
+     * @returns {StopLists} This instance, so that calls can be chained.
+     */
+    loadRows(rows) {
+        for (const row of rows) {
+            if (!row || typeof row.stopword !== "string") {
+                continue;
+            }
+
+            const language = [row.language_id, row.lcid, row.language, row.name].find((value) => value !== void 0 && value !== null && value !== "");
+
+            if (language !== void 0) {
+                this.add(language, [row.stopword]);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds the stop words from a CSV export of sys.fulltext_stopwords or sys.fulltext_system_stopwords.  The first line should be a header naming the columns, as described for loadRows.  When there is no header, the first column is taken to be the stop word and the second to be the LCID.
+     * @param {string} csv The CSV text.
+     * @returns {StopLists} This instance, so that calls can be chained.
+     */
+    loadCsv(csv) {
+        const records = StopLists.parseCsv(csv);
+
+        if (records.length === 0) {
+            return this;
+        }
+
+        /** @type {string[]} */
+        let columns = records[0].map((column) => column.trim().toLowerCase());
+
+        if (columns.indexOf("stopword") === -1) {
+            columns = ["stopword", "language_id"];
+        } else {
+            records.shift();
+        }
+
+        return this.loadRows(records.map((record) => Object.assign({stopword: null}, ...columns.map((column, index) => ({[column]: record[index]})))));
+    }
+
+    /**
+     * Gets the key of the stop list for a language.  Culture names are converted to LCIDs where possible, falling back to the neutral culture when the specific culture is not known.
+     * @param {Language} language The LCID or culture name of the language.
+     * @returns {string} The key of the stop list.
+     */
+    static getKey(language) {
+        const name = String(language).trim().toLowerCase();
+
+        if (lcidRegex.test(name)) {
+            return String(Number(name));
+        }
+
+        if (Object.prototype.hasOwnProperty.call(cultures, name)) {
+            return String(cultures[name]);
+        }
+
+        const neutral = name.split(/[-_]/)[0];
+
+        if (neutral !== name && Object.prototype.hasOwnProperty.call(cultures, neutral)) {
+            return String(cultures[neutral]);
+        }
+
+        return name;
+    }
+
+    /**
+     * Parses CSV text into records.  Fields may be quoted with double quotes, with a double quote within a quoted field written as two double quotes.
+     * @param {string} csv The CSV text.
+     * @returns {Array<string[]>} The records, without any blank lines.
+     */
+    static parseCsv(csv) {
+        /** @type {Array<string[]>} */
+        const records = [];
+
+        /** @type {string[]} */
+        let record = [];
+
+        let field = "",
+            quoted = false;
+
+        for (let index = 0; index < csv.length; index++) {
+            const ch = csv.charAt(index);
+
+            if (quoted) {
+                if (ch === "\"" && csv.charAt(index + 1) === "\"") {
+                    field += ch;
+                    index++;
+                } else if (ch === "\"") {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === "\"") {
+                quoted = true;
+            } else if (ch === ",") {
+                record.push(field);
+                field = "";
+            } else if (ch === "\n" || ch === "\r") {
+                record.push(field);
+                if (record.length > 1 || record[0].length > 0) {
+                    records.push(record);
+                }
+                record = [];
+                field = "";
+                if (ch === "\r" && csv.charAt(index + 1) === "\n") {
+                    index++;
+                }
+            } else {
+                field += ch;
+            }
+        }
+
+        record.push(field);
+        if (record.length > 1 || record[0].length > 0) {
+            records.push(record);
+        }
+
+        return records;
+    }
+}
+
+module.exports = StopLists;
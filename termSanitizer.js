@@ -0,0 +1,82 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").TermForm} TermForm
+ */
+
+const controlRegex = /\p{C}+/gu,
+    edgeRegex = /^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu,
+    keywordRegex = /^(?:and|formsof|isabout|near|not|or|weight)$/i,
+    plainWordRegex = /^[\p{L}\p{M}\p{N}_]+$/u,
+    searchableRegex = /[\p{L}\p{N}]/u,
+    separatorRegex = /[\s\p{Z}]+/gu;
+
+/**
+ * Class to make the terms of a query safe to use in a SQL Server full-text search condition.
+ * @example <caption>The following list shows how terms are sanitized and rendered.</caption>
+ * don't                   FORMSOF(INFLECTIONAL, "don't")          Quoted, since it is not a plain word
+ * or                      FORMSOF(INFLECTIONAL, "or")             Quoted, since it is a keyword of the condition
+ * 'abc'                   FORMSOF(INFLECTIONAL, abc)              Leading and trailing punctuation stripped
+ * abc\u00a0def            FORMSOF(INFLECTIONAL, abc) AND ...      Split on Unicode whitespace
+ * abc\u0000               FORMSOF(INFLECTIONAL, abc)              Control characters stripped
+ * ’’                      (discarded)                             No letters or numbers to search for
+ * say "hi" (literal)      "say ""hi"""                            Embedded double quotes doubled
+ */
+class TermSanitizer {
+    /**
+     * Sanitizes a term parsed from a query.  Control characters other than whitespace are removed.  Terms that are not literal are split on whitespace the parser does not recognize, such as a no-break space, and have any punctuation at the start or end removed.  Literal terms have their whitespace collapsed.
+     * @param {string} term The term to sanitize.
+     * @param {TermForm} termForm The form of the term.
+     * @returns {string[]} The sanitized terms, which is empty if the term has no letters or numbers to search for.
+     */
+    static sanitize(term, termForm) {
+        const text = term.replace(separatorRegex, " ").replace(controlRegex, "");
+
+        if (termForm === "Literal") {
+            const phrase = text.split(" ").filter((word) => word.length > 0).join(" ");
+
+            return searchableRegex.test(phrase) ? [phrase] : [];
+        }
+
+        return text.split(" ").map((word) => word.replace(edgeRegex, "")).filter((word) => searchableRegex.test(word));
+    }
+
+    /**
+     * Determines whether a term can be used without quotes in a search condition.
+     * @param {string} term The term to test.
+     * @returns {boolean} Whether the term is a plain word.
+     */
+    static isPlainWord(term) {
+        return plainWordRegex.test(term);
+    }
+
+    /**
+     * Determines whether a term is a keyword of the search condition grammar, such as AND or NEAR, without regard to case.  SQL Server reads a keyword as an operator unless it is quoted.
+     * @param {string} term The term to test.
+     * @returns {boolean} Whether the term is a keyword.
+     */
+    static isKeyword(term) {
+        return keywordRegex.test(term);
+    }
+
+    /**
+     * Quotes a term for use in a search condition, doubling any double quotes within it.
+     * @param {string} term The term to quote.
+     * @returns {string} The quoted term.
+     */
+    static quote(term) {
+        return `"${term.replace(/"/g, "\"\"")}"`;
+    }
+
+    /**
+     * Formats a term for use in a FORMSOF generation term, quoting it if it is not a plain word or is a keyword.
+     * @param {string} term The term to format.
+     * @returns {string} The formatted term.
+     */
+    static format(term) {
+        return TermSanitizer.isPlainWord(term) && !TermSanitizer.isKeyword(term) ? term : TermSanitizer.quote(term);
+    }
+}
+
+module.exports = TermSanitizer;
@@ -4,9 +4,12 @@
 
 /**
  * @typedef {import("./types/index").INode} INode
+ * @typedef {import("./types/index").TerminalAstNode} TerminalAstNode
  * @typedef {import("./types/index").TermForm} TermForm
  */
 
+const TermSanitizer = require("./termSanitizer");
+
 /**
  * Terminal (leaf) expression node class.
  */
@@ -23,19 +26,57 @@ class TerminalNode {
 
         /** @type {TermForm} */
         this.termForm = null;
+
+        /** @type {string} The column the term is scoped to, or null to search the default column. */
+        this.column = null;
+
+        /** @type {number} The weight of the term in a ranked ISABOUT condition, from 0 through 1, or null if the term has no weight. */
+        this.weight = null;
+
+        /** @type {number} Position of the first character of the node within the original query. */
+        this.start = null;
+
+        /** @type {number} Position following the last character of the node within the original query. */
+        this.end = null;
+    }
+
+    /**
+     * @returns {TerminalAstNode} The node represented as a JSON-serializable object.
+     */
+    toJSON() {
+        return {
+            type: "Terminal",
+            term: this.term,
+            termForm: this.termForm,
+            column: this.column,
+            weight: this.weight,
+            exclude: !!this.exclude,
+            grouped: !!this.grouped,
+            start: this.start,
+            end: this.end
+        };
+    }
+
+    /**
+     * Renders the node as a weighted term of an ISABOUT condition.  The term is rendered in its inflectional, thesaurus or literal form the same as toString does, followed by its weight when it has one.
+     * @returns {string} The node represented as a weighted term.
+     */
+    toWeightedString() {
+        return this.weight === null ? this.toString() : `${this.toString()} WEIGHT(${this.weight})`;
     }
 
     /**
+     * Renders the node as a term of a search condition.  Terms that are not plain words are quoted, and double quotes within them are doubled.  The weight of the term is ignored, since it only affects the ranking of an ISABOUT condition.
      * @returns {string} The node represented as a string.
      */
     toString() {
         switch (this.termForm) {
             case "Inflectional":
-                return `${this.exclude ? "NOT " : ""}FORMSOF(INFLECTIONAL, ${this.term})`;
+                return `${this.exclude ? "NOT " : ""}FORMSOF(INFLECTIONAL, ${TermSanitizer.format(this.term)})`;
             case "Thesaurus":
-                return `${this.exclude ? "NOT " : ""}FORMSOF(THESAURUS, ${this.term})`;
+                return `${this.exclude ? "NOT " : ""}FORMSOF(THESAURUS, ${TermSanitizer.format(this.term)})`;
             case "Literal":
-                return `${this.exclude ? "NOT " : ""}"${this.term}"`;
+                return `${this.exclude ? "NOT " : ""}${TermSanitizer.quote(this.term)}`;
             default:
                 return "";
         }
@@ -0,0 +1,121 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryFilters = require("../queryFilters"),
+    curated = require("./adversarialQueries.json"),
+
+    // Operators, punctuation and awkward characters, joined at random by generateQueries()
+    fragments = [
+        "abc", "def", "don't", "O'Brien", "'or'", "or", "and", "not", "near", "onear", "-", "+", "~", "(", ")", "<", ">", "\"", "\"x y\"", "*", "^0.5", "^x",
+        "/5", "/x", ":", "title:", "c++", "\u2019", "\u2013", "\u00a0", "\u200b", "\ud83d\ude00", "\u00fc", "e\u0301", "'", "''", "\"\"", "weight", "formsof", "near/3", "|", "&", "!", ";", ",", ".", "%", "_", "123", "0", "\u00df", "\u0130"
+    ],
+    separators = [" ", "", "  ", "\t"];
+
+/**
+ * Generates queries by joining between two and six fragments at random.  A fixed seed makes the queries the same on every run, so a failure can be reproduced.
+ * @param {number} count The number of queries to generate.
+ * @param {number} seed The seed of the linear congruential generator used to pick the fragments.
+ * @param {Set<string>} exclude Queries not to generate.
+ * @returns {string[]} The queries.
+ */
+const generateQueries = (count, seed, exclude) => {
+    const seen = new Set(exclude),
+        generated = [];
+
+    let state = seed;
+
+    /**
+     * Picks a random number.
+     * @param {number} n The number of values to pick from.
+     * @returns {number} A number from 0 to n - 1.
+     */
+    const random = (n) => {
+        state = Math.imul(state, 1103515245) + 12345 & 0x7fffffff;
+
+        return state % n;
+    };
+
+    while (generated.length < count) {
+        const length = 2 + random(5);
+
+        let query = "";
+
+        for (let i = 0; i < length; i++) {
+            query += (i ? separators[random(separators.length)] : "") + fragments[random(fragments.length)];
+        }
+
+        if (!seen.has(query)) {
+            seen.add(query);
+            generated.push(query);
+        }
+    }
+
+    return generated;
+};
+
+const queries = [...curated, ...generateQueries(2000, 12345, new Set(curated))];
+
+/**
+ * Asserts that every condition returned for the queries of the corpus is a valid search condition.
+ * @param {FTSQuery} ftsQuery The instance to convert the queries with.
+ * @param {function(string): string} convert Converts a query to a condition.
+ * @returns {void}
+ */
+const assertValid = (ftsQuery, convert) => {
+    for (const query of queries) {
+        const condition = convert(query);
+
+        if (condition) {
+            assert.deepStrictEqual(ftsQuery.validate(condition), [], `${JSON.stringify(query)} was converted to ${condition}`);
+        }
+    }
+};
+
+test("transform() returns a valid condition for every query of the corpus", () => {
+    const ftsQuery = new FTSQuery(true);
+
+    assertValid(ftsQuery, (query) => ftsQuery.transform(query));
+});
+
+test("transform() returns a valid condition for every query of the corpus without stop words", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assertValid(ftsQuery, (query) => ftsQuery.transform(query));
+});
+
+test("transform() returns a valid condition for every query of the corpus with columns and filters", () => {
+    const ftsQuery = new FTSQuery(false, {columns: {title: ["t"]}, filters: new QueryFilters().add("type").add("before", {type: "date"})});
+
+    assertValid(ftsQuery, (query) => ftsQuery.transform(query));
+});
+
+test("transformWeighted() returns a valid condition for every query of the corpus", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assertValid(ftsQuery, (query) => ftsQuery.transformWeighted(query));
+});
+
+test("render() of a parsed tree returns a valid condition for every query of the corpus", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assertValid(ftsQuery, (query) => ftsQuery.render(ftsQuery.parse(query)));
+});
+
+test("canonicalize() returns a valid condition for every query of the corpus", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assertValid(ftsQuery, (query) => ftsQuery.canonicalize(query).condition);
+});
+
+test("keywords used as terms are quoted", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.strictEqual(ftsQuery.transform("'or'"), "FORMSOF(INFLECTIONAL, \"or\")");
+    assert.strictEqual(ftsQuery.transform("cat 'not'"), "FORMSOF(INFLECTIONAL, cat) AND FORMSOF(INFLECTIONAL, \"not\")");
+    assert.strictEqual(ftsQuery.render({type: "Terminal", term: "and", termForm: "Inflectional"}), "FORMSOF(INFLECTIONAL, \"and\")");
+    assert.strictEqual(ftsQuery.render({type: "Terminal", term: "NEAR", termForm: "Thesaurus"}), "FORMSOF(THESAURUS, \"NEAR\")");
+});
@@ -0,0 +1,75 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    childProcess = require("child_process"),
+    path = require("path"),
+    test = require("node:test"),
+
+    Cli = require("../cli");
+
+const script = path.join(__dirname, "..", "cli.js");
+
+test("options are parsed from the arguments", () => {
+    assert.deepStrictEqual(Cli.parseArguments(["-f", "tree", "-d", "Postgres", "-s", "none", "--stop-word", "abc", "-w", "--", "-x"]), {
+        options: {stopWords: ["abc"], format: "tree", dialect: "Postgres", standardStopWords: false, warnings: true},
+        queries: ["-x"],
+        interactive: false,
+        help: false
+    });
+    assert.throws(() => Cli.parseArguments(["--bogus"]), {name: "RangeError", message: "Unknown option --bogus."});
+    assert.throws(() => Cli.parseArguments(["-f"]), {name: "RangeError", message: "-f requires a value."});
+    assert.throws(() => Cli.parseArguments(["-f", "xml"]), {name: "RangeError", message: "The format must be one of condition, tree, json."});
+});
+
+test("queries are converted in each format", () => {
+    assert.strictEqual(new Cli().convert("abc or def"), "FORMSOF(INFLECTIONAL, abc) OR FORMSOF(INFLECTIONAL, def)\n");
+    assert.strictEqual(new Cli({format: "tree", dialect: "Postgres"}).convert("abc and (dog or cat)"), [
+        "AND",
+        "|-- Inflectional: abc",
+        "`-- OR [grouped]",
+        "    |-- Inflectional: dog",
+        "    `-- Inflectional: cat",
+        ""
+    ].join("\n"));
+    assert.deepStrictEqual(JSON.parse(new Cli({format: "json"}).convert("-abc")), {
+        query: "-abc",
+        condition: "",
+        warnings: [{code: "NOT_ONLY_DISCARDED", message: "An expression containing only excluded terms was discarded.", start: 1, end: 4}],
+        tree: null
+    });
+});
+
+test("warnings and stop words follow the options", () => {
+    assert.strictEqual(new Cli({warnings: true}).convert("the abc"), "FORMSOF(INFLECTIONAL, abc)\nwarning: STOPWORD_REMOVED \"the\" is a stop word and was ignored. (0-3)\n");
+    assert.strictEqual(new Cli({standardStopWords: false, stopWords: ["abc"]}).convert("the abc"), "FORMSOF(INFLECTIONAL, the)\n");
+});
+
+test("commands of an interactive session change the options", () => {
+    const cli = new Cli({format: "tree"});
+
+    assert.strictEqual(cli.runCommand(".format condition"), "");
+    assert.strictEqual(cli.runCommand(".dialect MySql"), "");
+    assert.strictEqual(cli.convert("abc def"), "+abc +def\n");
+    assert.strictEqual(cli.runCommand(".dialect x"), "The dialect must be one of SqlServer, MySql, Postgres, Sqlite, Friendly.\n");
+    assert.strictEqual(cli.runCommand(".bogus"), "Unknown command .bogus.  Type .help for the commands.\n");
+    assert.strictEqual(cli.runCommand(".exit"), null);
+});
+
+test("the command converts each line of standard input", () => {
+    const output = childProcess.execFileSync(process.execPath, [script, "-w"], {input: "abc\n\n-def ghi\n", encoding: "utf8"});
+
+    assert.strictEqual(output, [
+        "FORMSOF(INFLECTIONAL, abc)",
+        "FORMSOF(INFLECTIONAL, ghi) AND NOT FORMSOF(INFLECTIONAL, def)",
+        "warning: SUBEXPRESSIONS_SWAPPED An excluded expression was moved after the expression it was joined with. (1-8)",
+        ""
+    ].join("\n"));
+});
+
+test("the command exits with 2 for an unknown option", () => {
+    const result = childProcess.spawnSync(process.execPath, [script, "--bogus"], {input: "", encoding: "utf8"});
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /^fts-query: Unknown option --bogus\./);
+});
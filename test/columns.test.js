@@ -0,0 +1,66 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+const ftsQuery = new FTSQuery(true, {columns: {title: ["t"], author: ["by"], body: []}, defaultColumn: "body"});
+
+/**
+ * Transforms a column-scoped query, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @returns {[string, string[], string[]]} The predicate, the condition of each CONTAINS predicate as column=condition, and the warning codes.
+ */
+const transformColumns = (query) => {
+    const warnings = [],
+        {predicate, conditions} = ftsQuery.transformColumns(query, warnings);
+
+    return [predicate, conditions.map((c) => `${c.column}=${c.condition}`), warnings.map((w) => w.code)];
+};
+
+test("each column gets its own CONTAINS predicate", () => {
+    assert.deepStrictEqual(transformColumns("title:database author:\"jane doe\" -body:draft"), [
+        "CONTAINS([title], @p0) AND CONTAINS([author], @p1) AND NOT CONTAINS([body], @p2)",
+        ["title=FORMSOF(INFLECTIONAL, database)", "author=\"jane doe\"", "body=FORMSOF(INFLECTIONAL, draft)"],
+        []
+    ]);
+});
+
+test("aliases are resolved to their column", () => {
+    assert.deepStrictEqual(transformColumns("t:abc or by:def"), ["CONTAINS([title], @p0) OR CONTAINS([author], @p1)", ["title=FORMSOF(INFLECTIONAL, abc)", "author=FORMSOF(INFLECTIONAL, def)"], []]);
+});
+
+test("a column prefix applies to every term of a group", () => {
+    assert.deepStrictEqual(transformColumns("title:(abc or def) ghi"), [
+        "CONTAINS([title], @p0) AND CONTAINS([body], @p1)",
+        ["title=(FORMSOF(INFLECTIONAL, abc) OR FORMSOF(INFLECTIONAL, def))", "body=FORMSOF(INFLECTIONAL, ghi)"],
+        []
+    ]);
+});
+
+test("a word before a colon that is not a column is searched as a term", () => {
+    assert.deepStrictEqual(transformColumns("10:30"), ["CONTAINS([body], @p0)", ["body=FORMSOF(INFLECTIONAL, 10) AND FORMSOF(INFLECTIONAL, 30)"], ["UNKNOWN_COLUMN"]]);
+    assert.deepStrictEqual(new FTSQuery(true).transformColumns("title:abc").conditions.map((c) => c.condition), ["FORMSOF(INFLECTIONAL, title) AND FORMSOF(INFLECTIONAL, abc)"]);
+});
+
+test("NEAR is changed to AND between terms in different columns", () => {
+    assert.deepStrictEqual(transformColumns("title:\"abc\" near author:\"def\"")[2], ["NEAR_DOWNGRADED"]);
+});
+
+test("NOT before a group is ignored with a warning", () => {
+    assert.deepStrictEqual(transformColumns("ghi -title:(abc def)"), [
+        "CONTAINS([body], @p0) AND CONTAINS([title], @p1)",
+        ["body=FORMSOF(INFLECTIONAL, ghi)", "title=(FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def))"],
+        ["GROUP_NOT_IGNORED"]
+    ]);
+
+    const {warnings} = ftsQuery.transformWithDiagnostics("abc not <\"def\" \"ghi\">");
+
+    assert.deepStrictEqual(warnings.map((w) => [w.code, w.start, w.end]), [["GROUP_NOT_IGNORED", 8, 21]]);
+});
+
+test("column prefixes become FTS5 column filters", () => {
+    assert.strictEqual(ftsQuery.transform("title:abc body:\"def ghi\"", "Sqlite"), "title : \"abc\" AND body : \"def ghi\"");
+});
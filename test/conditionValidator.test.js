@@ -0,0 +1,55 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    ConditionValidator = require("../conditionValidator"),
+    FTSQuery = require("../ftsQuery");
+
+/**
+ * Validates a condition, and gets each error as its code and span.
+ * @param {string} condition The condition.
+ * @returns {Array<[string, number, number]>} The errors.
+ */
+const validate = (condition) => new FTSQuery(true).validate(condition).map((e) => [e.code, e.start, e.end]);
+
+test("valid conditions have no errors", () => {
+    assert.deepStrictEqual(validate("abc AND NOT def"), []);
+    assert.deepStrictEqual(validate("ISABOUT(abc WEIGHT(0.5), def)"), []);
+    assert.deepStrictEqual(validate("NEAR((abc, def), 5, TRUE) AND \"ghi*\""), []);
+    assert.deepStrictEqual(new ConditionValidator("FORMSOF(THESAURUS, abc) OR \"def ghi\"").validate(), []);
+});
+
+test("conditions that do not follow the grammar are rejected", () => {
+    assert.deepStrictEqual(validate("   "), [["EMPTY_CONDITION", 0, 3]]);
+    assert.deepStrictEqual(validate("\"abc"), [["UNTERMINATED_QUOTE", 0, 4]]);
+    assert.deepStrictEqual(validate("abc )"), [["UNEXPECTED_TOKEN", 4, 5]]);
+    assert.deepStrictEqual(validate("FORMSOF(INFLECTIONAL, abc"), [["MISSING_SYMBOL", 0, 7]]);
+    assert.deepStrictEqual(validate("abc AND"), [["MISSING_TERM", 7, 7]]);
+    assert.deepStrictEqual(validate("\"abc\" \"def\""), [["MISSING_CONJUNCTION", 6, 11]]);
+});
+
+test("terms must be quoted when they are prefixes or contain punctuation", () => {
+    assert.deepStrictEqual(validate("ab-c"), [["INVALID_TERM", 0, 4]]);
+    assert.deepStrictEqual(validate("abc*"), [["INVALID_TERM", 0, 4]]);
+    assert.deepStrictEqual(validate("\"\""), [["INVALID_TERM", 0, 2]]);
+});
+
+test("NOT may only follow AND, and not start an expression", () => {
+    assert.deepStrictEqual(validate("NOT abc AND def"), [["LEADING_NOT", 0, 3]]);
+    assert.deepStrictEqual(validate("(NOT abc)"), [["LEADING_NOT", 1, 4]]);
+    assert.deepStrictEqual(validate("abc OR NOT def"), [["OR_NOT", 7, 10]]);
+    assert.deepStrictEqual(validate("abc NOT def"), [["MISSING_CONJUNCTION", 4, 7], ["MISPLACED_NOT", 4, 7]]);
+});
+
+test("generation, proximity and weighted terms are checked", () => {
+    assert.deepStrictEqual(validate("abc NEAR FORMSOF(INFLECTIONAL, def)"), [["INVALID_NEAR_OPERAND", 9, 35]]);
+    assert.deepStrictEqual(validate("FORMSOF(FOO, abc)"), [["INVALID_GENERATION_TERM", 8, 11]]);
+    assert.deepStrictEqual(validate("FORMSOF(INFLECTIONAL, \"abc*\")"), [["INVALID_GENERATION_TERM", 22, 28]]);
+    assert.deepStrictEqual(validate("NEAR((abc), 5)"), [["INVALID_PROXIMITY_TERM", 0, 4]]);
+    assert.deepStrictEqual(validate("NEAR((abc, def), -1)"), [["INVALID_PROXIMITY_TERM", 17, 19]]);
+    assert.deepStrictEqual(validate("NEAR((abc, def), 5, MAYBE)"), [["INVALID_PROXIMITY_TERM", 20, 25]]);
+    assert.deepStrictEqual(validate("ISABOUT((abc OR def))"), [["INVALID_WEIGHTED_TERM", 8, 20]]);
+    assert.deepStrictEqual(validate("ISABOUT(abc WEIGHT(2))"), [["INVALID_WEIGHT", 19, 20]]);
+});
@@ -0,0 +1,44 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+/**
+ * Transforms a query, and gets each warning reported as its code and span.
+ * @param {string} query The query.
+ * @returns {[string, Array<[string, number, number]>]} The condition and the warnings.
+ */
+const transform = (query) => {
+    const {condition, warnings} = new FTSQuery(true).transformWithDiagnostics(query);
+
+    return [condition, warnings.map((w) => [w.code, w.start, w.end])];
+};
+
+test("each correction made to the expression tree is reported", () => {
+    assert.deepStrictEqual(transform("the cat or -dog"), ["FORMSOF(INFLECTIONAL, cat)", [["STOPWORD_REMOVED", 0, 3], ["OR_NOT_DISCARDED", 12, 15]]]);
+    assert.deepStrictEqual(transform("-abc def"), ["FORMSOF(INFLECTIONAL, def) AND NOT FORMSOF(INFLECTIONAL, abc)", [["SUBEXPRESSIONS_SWAPPED", 1, 8]]]);
+    assert.deepStrictEqual(transform("-abc -def"), ["", [["NOT_ONLY_DISCARDED", 1, 9]]]);
+    assert.deepStrictEqual(transform("abc near def"), ["FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def)", [["NEAR_DOWNGRADED", 0, 12]]]);
+});
+
+test("problems with the query text are reported", () => {
+    assert.deepStrictEqual(transform("(abc"), ["FORMSOF(INFLECTIONAL, abc)", [["UNBALANCED_PAREN", 0, 1]]]);
+    assert.deepStrictEqual(transform("abc)"), ["FORMSOF(INFLECTIONAL, abc)", [["UNBALANCED_PAREN", 3, 4]]]);
+    assert.deepStrictEqual(transform("<abc"), ["FORMSOF(INFLECTIONAL, abc)", [["UNBALANCED_ANGLE_BRACKET", 0, 1]]]);
+    assert.deepStrictEqual(transform("\"abc"), ["\"abc\"", [["UNTERMINATED_QUOTE", 0, 4]]]);
+    assert.deepStrictEqual(transform("abc \"###\""), ["FORMSOF(INFLECTIONAL, abc)", [["TERM_DISCARDED", 4, 9]]]);
+});
+
+test("a query that needs no corrections has no warnings", () => {
+    assert.deepStrictEqual(transform("abc and (def or \"ghi jkl\")")[1], []);
+});
+
+test("warnings are added to an array passed to transform()", () => {
+    const warnings = [];
+
+    assert.strictEqual(new FTSQuery(true).transform("-abc", "SqlServer", warnings), "");
+    assert.deepStrictEqual(warnings, [{code: "NOT_ONLY_DISCARDED", message: "An expression containing only excluded terms was discarded.", start: 1, end: 4}]);
+});
@@ -0,0 +1,55 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+const options = {field: "body", synonymAnalyzer: "synonym", nearSlop: 10};
+
+/**
+ * Gets the clauses a query object requires, for a query that only has required clauses.
+ * @param {string} query The query.
+ * @returns {object[]} The clauses of the must occurrence type.
+ */
+const must = (query) => new FTSQuery(true).toElasticsearch(query, options).bool.must;
+
+test("each term form gets its own query", () => {
+    assert.deepStrictEqual(must("abc"), [{match: {body: {query: "abc", operator: "and"}}}]);
+    assert.deepStrictEqual(must("~abc"), [{match: {body: {query: "abc", analyzer: "synonym"}}}]);
+    assert.deepStrictEqual(must("\"abc def\""), [{"match_phrase": {body: "abc def"}}]);
+    assert.deepStrictEqual(must("abc*"), [{prefix: {body: {value: "abc"}}}]);
+});
+
+test("conjunctions become bool occurrence types", () => {
+    const ftsQuery = new FTSQuery(true);
+
+    assert.deepStrictEqual(ftsQuery.toElasticsearch("-abc def", options), {bool: {
+        must: [{match: {body: {query: "def", operator: "and"}}}],
+        "must_not": [{match: {body: {query: "abc", operator: "and"}}}]
+    }});
+    assert.deepStrictEqual(ftsQuery.toElasticsearch("abc or def", options), {bool: {
+        should: [{match: {body: {query: "abc", operator: "and"}}}, {match: {body: {query: "def", operator: "and"}}}],
+        "minimum_should_match": 1
+    }});
+    assert.strictEqual(ftsQuery.toElasticsearch("-abc", options), null);
+});
+
+test("NEAR becomes span_near", () => {
+    const phrase = {"span_near": {clauses: [{"span_term": {body: "abc"}}, {"span_term": {body: "def"}}], slop: 0, "in_order": true}};
+
+    assert.deepStrictEqual(must("\"abc\" near \"def\""), [{"span_near": {clauses: [{"span_term": {body: "abc"}}, {"span_term": {body: "def"}}], slop: 10, "in_order": false}}]);
+    assert.deepStrictEqual(must("\"abc\" onear/5 \"def\""), [{"span_near": {clauses: [{"span_term": {body: "abc"}}, {"span_term": {body: "def"}}], slop: 5, "in_order": true}}]);
+    assert.deepStrictEqual(must("\"abc def\" near \"ghi\""), [{"span_near": {clauses: [phrase, {"span_term": {body: "ghi"}}], slop: 10, "in_order": false}}]);
+});
+
+test("terms scoped to a column search the field of that name", () => {
+    const ftsQuery = new FTSQuery(true, {columns: {title: []}});
+
+    assert.deepStrictEqual(ftsQuery.toElasticsearch("title:abc def", {field: "body"}).bool.must, [
+        {match: {title: {query: "abc", operator: "and"}}},
+        {match: {body: {query: "def", operator: "and"}}}
+    ]);
+    assert.deepStrictEqual(ftsQuery.toElasticsearch("abc").bool.must, [{match: {content: {query: "abc", operator: "and"}}}]);
+});
@@ -0,0 +1,63 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    Evaluator = require("../evaluator"),
+    FTSQuery = require("../ftsQuery");
+
+const ftsQuery = new FTSQuery(true, {columns: {title: []}}),
+    document = {title: "Databases", body: "Indexing a database"};
+
+/**
+ * Determines whether the document matches a query.
+ * @param {string} query The query.
+ * @returns {boolean} Whether the document matched.
+ */
+const matches = (query) => ftsQuery.evaluate(query, document).matched;
+
+test("the position of each matching term is returned", () => {
+    assert.deepStrictEqual(ftsQuery.evaluate("database -draft", document), {
+        matched: true,
+        matches: [
+            {term: "database", field: "body", position: 2, start: 11, end: 19},
+            {term: "database", field: "title", position: 0, start: 0, end: 9}
+        ]
+    });
+});
+
+test("AND, OR and NOT are honored", () => {
+    assert.strictEqual(matches("database -indexing"), false);
+    assert.strictEqual(matches("abc or indexed"), true);
+    assert.strictEqual(matches("abc and indexed"), false);
+});
+
+test("each term form matches the words it would match in SQL Server", () => {
+    assert.strictEqual(matches("databases"), true);
+    assert.strictEqual(matches("\"a database\""), true);
+    assert.strictEqual(matches("\"databases indexing\""), false);
+    assert.strictEqual(matches("index*"), true);
+    assert.strictEqual(matches("\"inde\""), false);
+});
+
+test("NEAR matches terms within the distance, in order when required", () => {
+    assert.strictEqual(matches("\"indexing\" near \"database\""), true);
+    assert.strictEqual(matches("\"database\" onear \"indexing\""), false);
+    assert.strictEqual(matches("\"indexing\" near/0 \"database\""), false);
+    assert.strictEqual(ftsQuery.evaluate("\"abc\" near \"ghi\"", "abc def ghi", new Evaluator({nearDistance: 0})).matched, false);
+    assert.strictEqual(ftsQuery.evaluate("\"abc\" near \"ghi\"", "abc def ghi", new Evaluator({nearDistance: 1})).matched, true);
+});
+
+test("terms scoped to a column only match that field", () => {
+    assert.strictEqual(matches("title:database"), true);
+    assert.strictEqual(matches("title:indexing"), false);
+});
+
+test("a stemmer may be an object or a function", () => {
+    const node = ftsQuery.fixUpExpressionTree(ftsQuery.parseQuery("datxyz"), true);
+
+    assert.strictEqual(new Evaluator({stemmer: {stem: (word) => word.substring(0, 3)}}).evaluate(node, "database").matched, true);
+    assert.strictEqual(new Evaluator({stemmer: (word) => word.substring(0, 3)}).evaluate(node, "database").matched, true);
+    assert.strictEqual(new Evaluator().evaluate(node, "database").matched, false);
+});
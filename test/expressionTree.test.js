@@ -0,0 +1,84 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("../types/index").AstNode} AstNode
+ */
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    InternalNode = require("../internalNode"),
+    TerminalNode = require("../terminalNode");
+
+test("parse() returns a tree that render() converts to the same condition as transform()", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    for (const query of ["abc def", "abc or def", "-abc def", "\"abc def\" ~ghi", "abc* near def", "(abc or def) -ghi", "<abc def>"]) {
+        const ast = JSON.parse(JSON.stringify(ftsQuery.parse(query)));
+
+        assert.strictEqual(ftsQuery.render(ast), ftsQuery.transform(query), query);
+    }
+});
+
+test("parse() returns the tree before it is fixed up", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.deepStrictEqual(ftsQuery.parse("-abc def"), {
+        type: "Internal",
+        conjunction: "And",
+        distance: null,
+        ordered: false,
+        exclude: false,
+        grouped: false,
+        leftChild: {type: "Terminal", term: "abc", termForm: "Inflectional", column: null, weight: null, exclude: true, grouped: false, start: 1, end: 4},
+        rightChild: {type: "Terminal", term: "def", termForm: "Inflectional", column: null, weight: null, exclude: false, grouped: false, start: 5, end: 8},
+        start: 1,
+        end: 8
+    });
+    assert.strictEqual(ftsQuery.parse("and or"), null);
+});
+
+test("render() renders an edited tree", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    /** @type {AstNode} */
+    const edited = {
+        type: "Internal",
+        conjunction: "And",
+        leftChild: Object.assign(ftsQuery.parse("abc or def"), {grouped: true}),
+        rightChild: {type: "Terminal", term: "ghi", termForm: "Literal"}
+    };
+
+    assert.strictEqual(ftsQuery.render(edited), "(FORMSOF(INFLECTIONAL, abc) OR FORMSOF(INFLECTIONAL, def)) AND \"ghi\"");
+    assert.strictEqual(ftsQuery.render(edited, "Postgres"), "(abc | def) & ghi");
+    assert.strictEqual(ftsQuery.render(null), "");
+});
+
+test("fromJSON() rebuilds the nodes of the tree", () => {
+    const node = FTSQuery.fromJSON(new FTSQuery(false).parse("abc or +def"));
+
+    assert.ok(node instanceof InternalNode);
+    assert.strictEqual(node.conjunction, "Or");
+    assert.ok(node.leftChild instanceof TerminalNode);
+    assert.strictEqual(node.rightChild instanceof TerminalNode && node.rightChild.termForm, "Literal");
+});
+
+test("nodes with an unknown conjunction or term form are ignored with a warning", () => {
+    const ftsQuery = new FTSQuery(false),
+        abc = "{\"type\": \"Terminal\", \"term\": \"abc\", \"termForm\": \"Literal\"}",
+        def = "{\"type\": \"Terminal\", \"term\": \"def\", \"termForm\": \"Literal\"}",
+        warnings = [];
+
+    // Hand-edited trees are parsed from JSON, as they would be when stored
+    assert.strictEqual(ftsQuery.render(JSON.parse(`{"type": "Internal", "conjunction": "Xor", "leftChild": ${abc}, "rightChild": ${def}}`), null, warnings), "");
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["INVALID_AST_NODE"]);
+
+    warnings.length = 0;
+    assert.strictEqual(ftsQuery.render(JSON.parse(`{"type": "Internal", "conjunction": "And", "leftChild": ${abc}, "rightChild": {"type": "Terminal", "term": "def", "termForm": "Fuzzy"}}`), null, warnings), "\"abc\"");
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["INVALID_AST_NODE"]);
+
+    assert.strictEqual(ftsQuery.render(JSON.parse("{\"type\": \"Unknown\"}")), "");
+    assert.strictEqual(ftsQuery.render(JSON.parse(`{"type": "Internal", "leftChild": ${abc}, "rightChild": ${def}}`)), "\"abc\" AND \"def\"");
+});
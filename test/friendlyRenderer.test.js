@@ -0,0 +1,55 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    Thesaurus = require("../thesaurus");
+
+/**
+ * Renders a condition in the "Friendly" dialect, and transforms the result back to a condition.
+ * @param {FTSQuery} ftsQuery The instance to convert the condition with.
+ * @param {string} condition The condition.
+ * @returns {string[]} The query, and the condition it is transformed to.
+ */
+const roundTrip = (ftsQuery, condition) => {
+    const query = ftsQuery.render(ftsQuery.parseCondition(condition), "Friendly");
+
+    return [query, ftsQuery.transform(query)];
+};
+
+test("conditions are rendered in the search syntax", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(INFLECTIONAL, abc) AND NOT \"def\" AND NEAR((ghi, jkl), 5, TRUE)"), ["abc -+def (+ghi onear/5 +jkl)", "FORMSOF(INFLECTIONAL, abc) AND NOT \"def\" AND (NEAR((\"ghi\", \"jkl\"), 5, TRUE))"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(THESAURUS, abc)"), ["~abc", "FORMSOF(THESAURUS, abc)"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "\"abc def\""), ["\"abc def\"", "\"abc def\""]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "\"abc*\""), ["abc*", "\"abc*\""]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "\"abc\" NEAR \"def\""), ["<+abc +def>", "\"abc\" NEAR \"def\""]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "abc AND (def OR ghi)"), ["+abc (+def or +ghi)", "\"abc\" AND (\"def\" OR \"ghi\")"]);
+});
+
+test("inflectional and thesaurus terms keep their form", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(INFLECTIONAL, \"sql server\")"), ["(sql server)", "(FORMSOF(INFLECTIONAL, sql) AND FORMSOF(INFLECTIONAL, server))"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(THESAURUS, \"abc def\")"), ["(~abc ~def)", "(FORMSOF(THESAURUS, abc) AND FORMSOF(THESAURUS, def))"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(INFLECTIONAL, \"or\")"), ["'or'", "FORMSOF(INFLECTIONAL, \"or\")"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(THESAURUS, \"near\")"), ["~'near'", "FORMSOF(THESAURUS, \"near\")"]);
+});
+
+test("NOT applied to OR keeps its excluded terms", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.deepStrictEqual(roundTrip(ftsQuery, "FORMSOF(INFLECTIONAL, abc) AND NOT (FORMSOF(INFLECTIONAL, def) OR FORMSOF(INFLECTIONAL, ghi))"), ["abc -def -ghi", "FORMSOF(INFLECTIONAL, abc) AND NOT FORMSOF(INFLECTIONAL, def) AND NOT FORMSOF(INFLECTIONAL, ghi)"]);
+    assert.deepStrictEqual(roundTrip(ftsQuery, "abc AND NOT FORMSOF(INFLECTIONAL, \"sql server\")"), ["+abc -sql -server", "\"abc\" AND NOT FORMSOF(INFLECTIONAL, sql) AND NOT FORMSOF(INFLECTIONAL, server)"]);
+});
+
+test("excluded thesaurus terms keep their expansions", () => {
+    const ftsQuery = new FTSQuery(false, {thesaurus: new Thesaurus().addExpansion(["Internet Explorer", "IE", "IE5"])}),
+        query = ftsQuery.transform("abc -~ie", "Friendly");
+
+    assert.strictEqual(query, "abc -\"Internet Explorer\" -+IE -+IE5");
+    assert.strictEqual(ftsQuery.transform(query), "FORMSOF(INFLECTIONAL, abc) AND NOT \"Internet Explorer\" AND NOT \"IE\" AND NOT \"IE5\"");
+});
@@ -0,0 +1,38 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+const ftsQuery = new FTSQuery(true),
+    text = "The databases were indexed. A draft <b>index</b> & more words follow here for the snippet test of databases.";
+
+test("each word a term matches is returned, except for excluded terms", () => {
+    assert.deepStrictEqual(ftsQuery.highlight("database index* -draft", text).matches, [
+        {term: "database", start: 4, end: 13},
+        {term: "index*", start: 19, end: 26},
+        {term: "index*", start: 39, end: 44},
+        {term: "database", start: 98, end: 107}
+    ]);
+    assert.deepStrictEqual(ftsQuery.highlight("\"were indexed\" or draft", text).matches, [
+        {term: "were indexed", start: 14, end: 26},
+        {term: "draft", start: 30, end: 35}
+    ]);
+});
+
+test("matches are marked up and the rest of the text is escaped", () => {
+    assert.strictEqual(
+        ftsQuery.highlight("index", text, {markup: true}).html,
+        "The databases were <mark>indexed</mark>. A draft &lt;b&gt;<mark>index</mark>&lt;/b&gt; &amp; more words follow here for the snippet test of databases."
+    );
+    assert.strictEqual(ftsQuery.highlight("abc", "abc def", {markup: true, preTag: "[", postTag: "]"}).html, "[abc] def");
+});
+
+test("snippets are returned best first", () => {
+    assert.deepStrictEqual(ftsQuery.highlight("database index*", text, {markup: true, snippets: 2, snippetWords: 5}).snippets, [
+        {start: 0, end: 29, text: "The databases were indexed. A", score: 40, html: "The <mark>databases</mark> were <mark>indexed</mark>. A"},
+        {start: 30, end: 55, text: "draft <b>index</b> & more", score: 20, html: "draft &lt;b&gt;<mark>index</mark>&lt;/b&gt; &amp; more"}
+    ]);
+});
@@ -0,0 +1,46 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+/**
+ * Transforms a query into a boolean mode expression, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @returns {[string, string[]]} The expression and the warning codes.
+ */
+const transform = (query) => {
+    const {condition, warnings} = new FTSQuery(true).transformWithDiagnostics(query, "MySql");
+
+    return [condition, warnings.map((w) => w.code)];
+};
+
+test("required and excluded terms are prefixed", () => {
+    assert.deepStrictEqual(transform("abc"), ["+abc", []]);
+    assert.deepStrictEqual(transform("~abc"), ["~abc", []]);
+    assert.deepStrictEqual(transform("\"abc def\""), ["+\"abc def\"", []]);
+    assert.deepStrictEqual(transform("abc*"), ["+abc*", []]);
+    assert.deepStrictEqual(transform("-abc def"), ["-abc +def", []]);
+});
+
+test("OR is rendered as optional terms", () => {
+    assert.deepStrictEqual(transform("abc or def"), ["abc def", []]);
+    assert.deepStrictEqual(transform("abc and (def or ghi)"), ["+abc +(def ghi)", []]);
+    assert.deepStrictEqual(transform("abc or -def"), ["+abc", ["OR_NOT_DISCARDED"]]);
+});
+
+test("queries of only excluded terms are discarded", () => {
+    assert.deepStrictEqual(transform("-abc"), ["", ["NOT_ONLY_DISCARDED"]]);
+    assert.deepStrictEqual(transform("-abc -def"), ["", ["NOT_ONLY_DISCARDED"]]);
+});
+
+test("NEAR is changed to AND", () => {
+    assert.deepStrictEqual(transform("\"abc\" near \"def\""), ["+\"abc\" +\"def\"", ["NEAR_DOWNGRADED"]]);
+    assert.deepStrictEqual(transform("\"abc\" near/3 \"def\""), ["+\"abc\" +\"def\"", ["NEAR_DOWNGRADED"]]);
+});
+
+test("a prefix wildcard is removed from a phrase", () => {
+    assert.deepStrictEqual(transform("\"abc def*\""), ["+\"abc def\"", ["PREFIX_PHRASE_APPROXIMATED"]]);
+});
@@ -0,0 +1,52 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    PostgresRenderer = require("../postgresRenderer");
+
+/**
+ * Transforms a query into a tsquery string, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @param {PostgresRenderer} [renderer] The renderer to use instead of the dialect name.
+ * @returns {[string, string[]]} The condition and the warning codes.
+ */
+const transform = (query, renderer) => {
+    const {condition, warnings} = new FTSQuery(true).transformWithDiagnostics(query, renderer || "Postgres");
+
+    return [condition, warnings.map((w) => w.code)];
+};
+
+test("terms are rendered as tsquery lexemes and phrases", () => {
+    assert.deepStrictEqual(transform("abc"), ["abc", []]);
+    assert.deepStrictEqual(transform("~abc"), ["abc", []]);
+    assert.deepStrictEqual(transform("\"abc def\""), ["abc <-> def", []]);
+    assert.deepStrictEqual(transform("abc*"), ["abc:*", []]);
+    assert.deepStrictEqual(transform("\"abc def*\""), ["abc:* <-> def:*", []]);
+    assert.deepStrictEqual(transform("\"o'neil\""), ["'o''neil'", []]);
+});
+
+test("excluded terms are never swapped or discarded", () => {
+    assert.deepStrictEqual(transform("-abc def"), ["!abc & def", []]);
+    assert.deepStrictEqual(transform("abc or -def"), ["abc | !def", []]);
+    assert.deepStrictEqual(transform("-\"abc def\""), ["!(abc <-> def)", []]);
+});
+
+test("parentheses are added where tsquery precedence would change the meaning", () => {
+    assert.deepStrictEqual(transform("abc and (def or ghi)"), ["abc & (def | ghi)", []]);
+    assert.deepStrictEqual(transform("abc or def and ghi"), ["(abc | def) & ghi", []]);
+    assert.deepStrictEqual(transform("\"abc\" near \"def ghi\""), ["abc <-> (def <-> ghi)", []]);
+});
+
+test("NEAR uses the renderer's distance", () => {
+    assert.deepStrictEqual(transform("\"abc\" near \"def\""), ["abc <-> def", []]);
+    assert.deepStrictEqual(transform("\"abc\" near \"def\"", new PostgresRenderer({nearDistance: 3})), ["abc <3> def", []]);
+});
+
+test("a custom proximity term is only kept when its maximum distance is zero", () => {
+    assert.deepStrictEqual(transform("\"abc\" onear/0 \"def\""), ["abc <-> def", []]);
+    assert.deepStrictEqual(transform("\"abc\" near/5 \"def\""), ["abc & def", ["NEAR_DOWNGRADED"]]);
+    assert.deepStrictEqual(transform("<\"abc\" \"def\" \"ghi\">~3"), ["abc & def & ghi", ["NEAR_DOWNGRADED", "NEAR_DOWNGRADED"]]);
+});
@@ -0,0 +1,59 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+/**
+ * Transforms a query, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @returns {[string, string[]]} The condition and the warning codes.
+ */
+const transform = (query) => {
+    const {condition, warnings} = new FTSQuery(false).transformWithDiagnostics(query);
+
+    return [condition, warnings.map((w) => w.code)];
+};
+
+test("a maximum distance or order makes a custom proximity term", () => {
+    assert.deepStrictEqual(transform("\"abc\" near/5 \"def\""), ["NEAR((\"abc\", \"def\"), 5, FALSE)", []]);
+    assert.deepStrictEqual(transform("\"abc\" onear \"def\""), ["NEAR((\"abc\", \"def\"), MAX, TRUE)", []]);
+    assert.deepStrictEqual(transform("\"abc\" near/max \"def\""), ["\"abc\" NEAR \"def\"", []]);
+    assert.deepStrictEqual(transform("\"abc\" near/99999999999 \"def\""), ["NEAR((\"abc\", \"def\"), 4294967295, FALSE)", []]);
+});
+
+test("three or more terms joined with near are one proximity term", () => {
+    assert.deepStrictEqual(transform("\"abc\" near \"def\" near \"ghi\""), ["NEAR((\"abc\", \"def\", \"ghi\"))", []]);
+    assert.deepStrictEqual(transform("\"abc\" near/3 \"def\" near/3 \"ghi\""), ["NEAR((\"abc\", \"def\", \"ghi\"), 3, FALSE)", []]);
+});
+
+test("a distance that is not a number or max is ignored", () => {
+    assert.deepStrictEqual(transform("\"abc\" near/x \"def\""), ["\"abc\" NEAR \"def\"", ["DISTANCE_DROPPED"]]);
+});
+
+test("NEAR between terms that are not exact is changed to AND", () => {
+    assert.deepStrictEqual(transform("abc near/5 def"), ["FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def)", ["NEAR_DOWNGRADED"]]);
+});
+
+test("custom proximity terms are read from conditions", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    assert.strictEqual(ftsQuery.render(ftsQuery.parseCondition("NEAR((abc, def), 5, TRUE)")), "NEAR((\"abc\", \"def\"), 5, TRUE)");
+});
+
+test("a distance in a tree passed to render() must be a whole number from 0 through 4294967295", () => {
+    const ftsQuery = new FTSQuery(false);
+
+    for (const distance of [-5, 1.5, NaN, 1e12]) {
+        const warnings = [],
+            condition = ftsQuery.render({type: "Internal", conjunction: "Near", distance, leftChild: {type: "Terminal", term: "abc", termForm: "Literal"}, rightChild: {type: "Terminal", term: "def", termForm: "Literal"}}, null, warnings);
+
+        assert.strictEqual(condition, "\"abc\" NEAR \"def\"", String(distance));
+        assert.deepStrictEqual(warnings.map((w) => w.code), ["DISTANCE_DROPPED"]);
+        assert.deepStrictEqual(ftsQuery.validate(condition), []);
+    }
+
+    assert.strictEqual(ftsQuery.render({type: "Internal", conjunction: "Near", distance: 5, leftChild: {type: "Terminal", term: "abc", termForm: "Literal"}, rightChild: {type: "Terminal", term: "def", termForm: "Literal"}}), "NEAR((\"abc\", \"def\"), 5, FALSE)");
+});
@@ -0,0 +1,57 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    crypto = require("crypto"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+const ftsQuery = new FTSQuery(true);
+
+/**
+ * Gets the canonical condition of a query.
+ * @param {string} query The query.
+ * @returns {string} The canonical condition.
+ */
+const canonicalize = (query) => ftsQuery.canonicalize(query).condition;
+
+test("queries that match the same documents get the same condition", () => {
+    const condition = "FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def)";
+
+    for (const query of ["abc def", "def abc", "(abc and def)", "ABC  def", "abc abc def"]) {
+        assert.strictEqual(canonicalize(query), condition, query);
+    }
+});
+
+test("chains are flattened and sorted with excluded operands last", () => {
+    assert.strictEqual(canonicalize("(DEF and abc) -ghi abc"), "FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def) AND NOT FORMSOF(INFLECTIONAL, ghi)");
+    assert.strictEqual(canonicalize("b1 or (c1 or a1)"), "FORMSOF(INFLECTIONAL, a1) OR FORMSOF(INFLECTIONAL, b1) OR FORMSOF(INFLECTIONAL, c1)");
+});
+
+test("groups that are needed are always written", () => {
+    assert.strictEqual(canonicalize("(abc or def) and ghi"), "(FORMSOF(INFLECTIONAL, abc) OR FORMSOF(INFLECTIONAL, def)) AND FORMSOF(INFLECTIONAL, ghi)");
+    assert.strictEqual(canonicalize("a1 and (b1 or c1) or d1"), "((FORMSOF(INFLECTIONAL, b1) OR FORMSOF(INFLECTIONAL, c1)) AND FORMSOF(INFLECTIONAL, a1)) OR FORMSOF(INFLECTIONAL, d1)");
+});
+
+test("NEAR is left in the order given", () => {
+    assert.strictEqual(canonicalize("\"ABC\" near \"def\""), "\"abc\" NEAR \"def\"");
+    assert.strictEqual(canonicalize("\"def\" near \"abc\""), "\"def\" NEAR \"abc\"");
+});
+
+test("case is kept when case folding is turned off", () => {
+    assert.strictEqual(ftsQuery.canonicalize("ABC", {caseFold: false}).condition, "FORMSOF(INFLECTIONAL, ABC)");
+});
+
+test("the hash is the SHA-256 hash of the condition", () => {
+    const result = ftsQuery.canonicalize("def abc");
+
+    assert.strictEqual(result.hash, crypto.createHash("sha256").update(result.condition).digest("hex"));
+});
+
+test("warnings are added to the array passed", () => {
+    const warnings = [];
+
+    assert.strictEqual(ftsQuery.canonicalize("-abc", null, warnings).condition, "");
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["NOT_ONLY_DISCARDED"]);
+});
@@ -0,0 +1,60 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryExplainer = require("../queryExplainer");
+
+test("a query is described with a part for each term", () => {
+    const result = new FTSQuery(true).explain("the database \"index tuning\" -draft");
+
+    assert.strictEqual(result.text, "Documents containing any form of \"database\" and the exact phrase \"index tuning\", but not any form of \"draft\". \"the\" was ignored because it is too common to search for.");
+    assert.deepStrictEqual(result.parts.filter((p) => p.type === "Term"), [
+        {type: "Term", text: "database", termForm: "Inflectional", exclude: false, start: 4, end: 12},
+        {type: "Term", text: "index tuning", termForm: "Literal", exclude: false, start: 13, end: 27},
+        {type: "Term", text: "draft", termForm: "Inflectional", exclude: true, start: 29, end: 34}
+    ]);
+    assert.deepStrictEqual(result.notes, [{code: "STOPWORD_REMOVED", text: "\"the\" was ignored because it is too common to search for.", start: 0, end: 3}]);
+});
+
+test("each term form and proximity term is described", () => {
+    const ftsQuery = new FTSQuery(true);
+
+    assert.strictEqual(ftsQuery.explain("").text, "No documents, because the query has no terms to search for.");
+    assert.strictEqual(ftsQuery.explain("abc*").text, "Documents containing words starting with \"abc\".");
+    assert.strictEqual(ftsQuery.explain("~abc or def").text, "Documents containing \"abc\" or its synonyms or any form of \"def\".");
+    assert.strictEqual(ftsQuery.explain("\"abc\" near/5 \"def\"").text, "Documents containing the exact word \"abc\" and the exact word \"def\" within 5 words of each other.");
+    assert.strictEqual(ftsQuery.explain("\"abc\" onear \"def\"").text, "Documents containing the exact word \"abc\" and the exact word \"def\" in that order.");
+});
+
+test("a note is added for each correction", () => {
+    assert.deepStrictEqual(new FTSQuery(true).explain("abc near def").notes.map((n) => n.code), ["NEAR_DOWNGRADED"]);
+});
+
+test("templates of a locale fall back to its neutral locale and to English", () => {
+    const explainer = new QueryExplainer().addLocale("de", {
+            documents: "Dokumente mit {expression}.",
+            inflectional: "einer Form von „{term}“",
+            and: "{left} und {right}",
+            andNot: "{left}, aber nicht {right}",
+            notes: {
+                STOPWORD_REMOVED: "„{text}“ wurde ignoriert, weil es zu häufig ist.",
+                NEAR_DOWNGRADED: ""
+            }
+        }),
+        ftsQuery = new FTSQuery(true, {explainer});
+
+    assert.strictEqual(ftsQuery.explain("the database -draft", "de-AT").text, "Dokumente mit einer Form von „database“, aber nicht einer Form von „draft“. „the“ wurde ignoriert, weil es zu häufig ist.");
+    assert.strictEqual(ftsQuery.explain("abc or def", "de").text, "Dokumente mit einer Form von „abc“ or einer Form von „def“.");
+    assert.strictEqual(ftsQuery.explain("abc near def", "de").text, "Dokumente mit einer Form von „abc“ und einer Form von „def“.");
+});
+
+test("placeholders are filled in, and other braces are left as text", () => {
+    assert.deepStrictEqual(QueryExplainer.fill("{term} {b {missing}} {", {term: [{type: "Text", text: "abc"}]}), [
+        {type: "Text", text: "abc"},
+        {type: "Text", text: " {b "},
+        {type: "Text", text: "} {"}
+    ]);
+});
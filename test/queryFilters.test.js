@@ -0,0 +1,47 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryFilters = require("../queryFilters");
+
+/**
+ * Gets the codes of the warnings reported when a query is transformed with filters.
+ * @param {string} query The query.
+ * @returns {string[]} The warning codes.
+ */
+const getWarningCodes = (query) => {
+    const ftsQuery = new FTSQuery(false, {filters: new QueryFilters().add("type")}),
+        warnings = [];
+
+    ftsQuery.transformWithFilters(query, "SqlServer", warnings);
+
+    return warnings.map((w) => w.code);
+};
+
+test("a filter joined with OR or NEAR is reported", () => {
+    assert.deepStrictEqual(getWarningCodes("abc or type:pdf"), ["FILTER_NOT_JOINED"]);
+    assert.deepStrictEqual(getWarningCodes("type:pdf or abc"), ["FILTER_NOT_JOINED"]);
+    assert.deepStrictEqual(getWarningCodes("abc type:pdf or def"), ["FILTER_NOT_JOINED"]);
+    assert.deepStrictEqual(getWarningCodes("abc or type:pdf or def"), ["FILTER_NOT_JOINED"]);
+    assert.deepStrictEqual(getWarningCodes("abc near type:pdf"), ["FILTER_NOT_JOINED"]);
+    assert.deepStrictEqual(getWarningCodes("<abc type:pdf>"), ["FILTER_NOT_JOINED"]);
+});
+
+test("a filter that is not joined with OR or NEAR is not reported", () => {
+    assert.deepStrictEqual(getWarningCodes("abc type:pdf"), []);
+    assert.deepStrictEqual(getWarningCodes("type:pdf abc or def"), []);
+    assert.deepStrictEqual(getWarningCodes("abc or def -type:pdf"), []);
+});
+
+test("dates may be a year, a month or a day", () => {
+    assert.deepStrictEqual(QueryFilters.parseDate("2020", false), new Date(Date.UTC(2020, 0, 1)));
+    assert.deepStrictEqual(QueryFilters.parseDate("2020", true), new Date(Date.UTC(2020, 11, 31)));
+    assert.deepStrictEqual(QueryFilters.parseDate("2020-2", true), new Date(Date.UTC(2020, 1, 29)));
+    assert.deepStrictEqual(QueryFilters.parseDate("2020-02-29", false), new Date(Date.UTC(2020, 1, 29)));
+    assert.strictEqual(QueryFilters.parseDate("2021-02-29", false), null);
+    assert.strictEqual(QueryFilters.parseDate("2020-13", false), null);
+    assert.strictEqual(QueryFilters.parseDate("20-1", false), null);
+});
@@ -0,0 +1,72 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("../types/index").GrammarOperator} GrammarOperator
+ */
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryGrammar = require("../queryGrammar");
+
+/**
+ * @type {GrammarOperator[]} The operators that keywords may stand for.
+ */
+const operators = ["And", "Or", "Not", "Near", "OrderedNear"];
+
+const queries = [
+    "cats or dogs",
+    "cats and dogs",
+    "cats not dogs",
+    "cats near dogs",
+    "cats onear/5 dogs",
+    "or and not near",
+    "cats or not dogs",
+    "\"cats\" near \"dogs\" near \"mice\"",
+    "(cats or dogs) -mice"
+];
+
+/**
+ * Asserts that every query is transformed to a valid search condition, and that a condition rendered in the "Friendly" dialect is transformed to the same condition.
+ * @param {FTSQuery} ftsQuery The instance to transform the queries with.
+ * @param {string[]} words The words to add to each query, such as the keywords of the grammar.
+ * @returns {void}
+ */
+const assertValid = (ftsQuery, words) => {
+    for (const query of [...queries, ...words.map((word) => `cats ${word} dogs`), words.join(" ")]) {
+        const condition = ftsQuery.transform(query);
+
+        if (!condition) {
+            continue;
+        }
+
+        assert.deepStrictEqual(ftsQuery.validate(condition), [], `${JSON.stringify(query)} was converted to ${condition}`);
+        assert.strictEqual(ftsQuery.transform(ftsQuery.render(ftsQuery.parse(query), "Friendly")), condition, `${JSON.stringify(query)} was not rendered as it was parsed`);
+    }
+};
+
+test("disabled keywords are searched as valid terms", () => {
+    const ftsQuery = new FTSQuery(false, {grammar: new QueryGrammar().disable(["Or"])});
+
+    assert.strictEqual(ftsQuery.transform("cats or dogs"), "FORMSOF(INFLECTIONAL, cats) AND FORMSOF(INFLECTIONAL, \"or\") AND FORMSOF(INFLECTIONAL, dogs)");
+
+    for (const operator of operators) {
+        assertValid(new FTSQuery(false, {grammar: new QueryGrammar().disable([operator])}), []);
+    }
+
+    assertValid(new FTSQuery(false, {grammar: new QueryGrammar().disable(operators)}), []);
+});
+
+test("each preset returns valid conditions", () => {
+    const german = new FTSQuery(false, {grammar: new QueryGrammar(["de"])});
+
+    assert.strictEqual(german.transform("hund and katze"), "FORMSOF(INFLECTIONAL, hund) AND FORMSOF(INFLECTIONAL, \"and\") AND FORMSOF(INFLECTIONAL, katze)");
+
+    for (const locale of QueryGrammar.getLocales()) {
+        const grammar = new QueryGrammar([locale]);
+
+        assertValid(new FTSQuery(false, {grammar}), [...grammar.keywords.keys()]);
+    }
+});
@@ -0,0 +1,85 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("../types/index").Dialect} Dialect
+ */
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryLimits = require("../queryLimits");
+
+test("maxTerms truncates a query with more than 10,000 terms", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxTerms: 100}}),
+        {condition, warnings} = ftsQuery.transformWithDiagnostics("abc ".repeat(10000));
+
+    assert.strictEqual(condition.split(" AND ").length, 100);
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["TERMS_LIMITED"]);
+    assert.deepStrictEqual(ftsQuery.validate(condition), []);
+});
+
+test("maxNearTerms limits a NEAR chain of more than 10,000 terms", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxTerms: 100, maxNearTerms: 5}}),
+        condition = ftsQuery.transform(Array(10001).fill("abc").join(" near "));
+
+    assert.strictEqual(condition.split("FORMSOF").length - 1, 100);
+    assert.deepStrictEqual(ftsQuery.validate(condition), []);
+});
+
+test("countTerms() and truncateTerms() handle an expression tree more than 10,000 levels deep", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxTerms: null}}),
+        node = ftsQuery.parseQuery("abc ".repeat(10000));
+
+    assert.strictEqual(QueryLimits.countTerms(node), 10000);
+    assert.strictEqual(QueryLimits.countTerms(QueryLimits.truncateTerms(node, 100)), 100);
+});
+
+test("the default limits allow a query nested more than 10,000 levels deep to be transformed", () => {
+    const ftsQuery = new FTSQuery(false),
+        {condition, warnings} = ftsQuery.transformWithDiagnostics(`${"(abc ".repeat(10000)}${")".repeat(10000)}`);
+
+    assert.deepStrictEqual(ftsQuery.validate(condition), []);
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["DEPTH_LIMITED", "TERMS_LIMITED"]);
+});
+
+test("the default limits allow a query of more than 10,000 terms to be transformed in every dialect", () => {
+    const ftsQuery = new FTSQuery(false),
+        query = "abc or def ".repeat(10000);
+
+    /** @type {Dialect[]} */
+    const dialects = ["SqlServer", "MySql", "Postgres", "Sqlite", "Friendly"];
+
+    for (const dialect of dialects) {
+        assert.ok(ftsQuery.transform(query, dialect).length > 0, dialect);
+    }
+
+    assert.ok(ftsQuery.toElasticsearch(query));
+    assert.strictEqual(ftsQuery.transformWithDiagnostics(query).condition.split("FORMSOF").length - 1, 1000);
+});
+
+test("maxTerms and maxDepth are not applied when set to null", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxTerms: null, maxDepth: null}}),
+        {condition, limited} = ftsQuery.transformWithDiagnostics(`${"(abc ".repeat(200)}${"def ".repeat(1000)}${")".repeat(200)}`);
+
+    assert.strictEqual(limited, false);
+    assert.strictEqual(condition.split("FORMSOF").length - 1, 1200);
+});
+
+test("countNearTerms() counts each chain once, treating a grouped NEAR or one with a different distance as one term", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxNearTerms: null, maxTerms: null}}),
+        chain = ftsQuery.parseQuery(Array(10000).fill("\"abc\"").join(" near ")),
+        mixed = ftsQuery.parseQuery("\"a\" near/2 \"b\" near/2 \"c\" near \"d\" near (\"e\" near \"f\")");
+
+    assert.deepStrictEqual([...QueryLimits.countNearTerms(chain).values()].slice(0, 3), [10000, 9999, 9998]);
+    assert.deepStrictEqual([...QueryLimits.countNearTerms(mixed).values()], [3, 2, 3, 2, 2]);
+});
+
+test("maxNearTerms changes the top of each NEAR chain that joins too many terms to AND", () => {
+    const ftsQuery = new FTSQuery(false, {limits: {maxNearTerms: 3}}),
+        {condition, warnings} = ftsQuery.transformWithDiagnostics("\"a\" near \"b\" near \"c\" near \"d\" near \"e\"");
+
+    assert.strictEqual(condition, "NEAR((\"a\", \"b\", \"c\")) AND \"d\" AND \"e\"");
+    assert.deepStrictEqual(warnings.map((w) => w.code), ["NEAR_TERMS_LIMITED", "NEAR_TERMS_LIMITED"]);
+});
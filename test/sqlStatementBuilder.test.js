@@ -0,0 +1,63 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    SqlStatementBuilder = require("../sqlStatementBuilder");
+
+const ftsQuery = new FTSQuery(true);
+
+test("a ranked statement joins to CONTAINSTABLE", () => {
+    const statement = ftsQuery.toSql("database -draft", {table: "dbo.Documents", key: "DocumentId", columns: ["Title", "Body"], select: ["DocumentId", "Title"], limit: 20});
+
+    assert.strictEqual(statement.sql, [
+        "SELECT t.[DocumentId], t.[Title], ft.[RANK] AS [Rank]",
+        "FROM [dbo].[Documents] AS t",
+        "INNER JOIN CONTAINSTABLE([dbo].[Documents], ([Title], [Body]), @condition, LANGUAGE 1033) AS ft ON ft.[KEY] = t.[DocumentId]",
+        "ORDER BY ft.[RANK] DESC, t.[DocumentId]",
+        "OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY"
+    ].join("\n"));
+    assert.deepStrictEqual(statement.parameters, [
+        {name: "condition", type: "NVarChar", value: "FORMSOF(INFLECTIONAL, database) AND NOT FORMSOF(INFLECTIONAL, draft)"},
+        {name: "offset", type: "Int", value: 0},
+        {name: "limit", type: "Int", value: 20}
+    ]);
+});
+
+test("each predicate builds its own statement", () => {
+    assert.strictEqual(ftsQuery.toSql("abc", {table: "Docs", key: "Id", predicate: "Contains", language: null}).sql, "SELECT t.*\nFROM [Docs] AS t\nWHERE CONTAINS(*, @condition)\nORDER BY t.[Id]");
+
+    const freeText = ftsQuery.toSql("abc def", {table: "Docs", key: "Id", predicate: "FreeTextTable", topN: 5, minRank: 10});
+
+    assert.strictEqual(freeText.sql, [
+        "SELECT t.*, ft.[RANK] AS [Rank]",
+        "FROM [Docs] AS t",
+        "INNER JOIN FREETEXTTABLE([Docs], *, @condition, LANGUAGE 1033, 5) AS ft ON ft.[KEY] = t.[Id]",
+        "WHERE ft.[RANK] >= @minRank",
+        "ORDER BY ft.[RANK] DESC, t.[Id]"
+    ].join("\n"));
+    assert.deepStrictEqual(freeText.parameters, [{name: "condition", type: "NVarChar", value: "abc def"}, {name: "minRank", type: "Int", value: 10}]);
+});
+
+test("a weighted statement searches with ISABOUT", () => {
+    assert.strictEqual(ftsQuery.toSql("abc^0.5 def", {table: "Docs", key: "Id", weighted: true}).parameters[0].value, "ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5), FORMSOF(INFLECTIONAL, def))");
+});
+
+test("no statement is built for a query without terms", () => {
+    assert.strictEqual(ftsQuery.toSql("-abc", {table: "Docs", key: "Id"}), null);
+});
+
+test("invalid options throw", () => {
+    assert.throws(() => ftsQuery.toSql("abc", JSON.parse("{\"table\": \"Docs\"}")), {name: "TypeError"});
+    assert.throws(() => ftsQuery.toSql("abc", {table: "Docs", key: "Id", limit: 0}), {name: "RangeError"});
+    assert.throws(() => ftsQuery.toSql("abc", JSON.parse("{\"table\": \"Docs\", \"key\": \"Id\", \"predicate\": \"x\"}")), {name: "RangeError"});
+    assert.throws(() => ftsQuery.toSql("abc", {table: "a]b", key: "Id"}), {name: "RangeError", message: "Invalid name: a]b"});
+});
+
+test("names are quoted the same way for statements and column predicates", () => {
+    assert.strictEqual(SqlStatementBuilder.quoteName("dbo.[My]]Table]"), "[dbo].[My]]Table]");
+    assert.strictEqual(new FTSQuery(true, {columns: {order: []}}).transformColumns("order:abc").predicate, "CONTAINS([order], @p0)");
+    assert.strictEqual(FTSQuery.quoteColumn("*"), "*");
+});
@@ -0,0 +1,56 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    SqliteRenderer = require("../sqliteRenderer");
+
+/**
+ * Transforms a query into an FTS5 expression, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @returns {[string, string[]]} The expression and the warning codes.
+ */
+const transform = (query) => {
+    const {condition, warnings} = new FTSQuery(true).transformWithDiagnostics(query, "Sqlite");
+
+    return [condition, warnings.map((w) => w.code)];
+};
+
+test("terms are rendered as FTS5 phrases", () => {
+    assert.deepStrictEqual(transform("abc"), ["\"abc\"", []]);
+    assert.deepStrictEqual(transform("\"abc def\""), ["\"abc def\"", []]);
+    assert.deepStrictEqual(transform("abc*"), ["\"abc\"*", []]);
+    assert.deepStrictEqual(transform("abc or def"), ["\"abc\" OR \"def\"", []]);
+    assert.deepStrictEqual(transform("abc and (def or ghi)"), ["\"abc\" AND (\"def\" OR \"ghi\")", []]);
+});
+
+test("excluded terms are placed on the right side of NOT", () => {
+    assert.deepStrictEqual(transform("-abc def"), ["\"def\" NOT \"abc\"", []]);
+    assert.deepStrictEqual(transform("abc or -def"), ["\"abc\"", ["OR_NOT_DISCARDED"]]);
+    assert.deepStrictEqual(transform("-abc"), ["", ["NOT_ONLY_DISCARDED"]]);
+});
+
+test("NEAR groups may only contain phrases", () => {
+    assert.deepStrictEqual(transform("<+abc +def +ghi>"), ["NEAR(\"abc\" \"def\" \"ghi\", 10)", []]);
+    assert.deepStrictEqual(transform("\"abc\" near/3 \"def\""), ["NEAR(\"abc\" \"def\", 3)", []]);
+    assert.deepStrictEqual(transform("\"abc\" near -\"def\""), ["\"abc\" NOT \"def\"", ["NEAR_DOWNGRADED"]]);
+});
+
+test("the order of onear is reported as ignored once for each NEAR group", () => {
+    assert.deepStrictEqual(transform("\"abc\" onear/3 \"def\" onear/3 \"ghi\""), ["NEAR(\"abc\" \"def\" \"ghi\", 3)", ["NEAR_ORDER_IGNORED"]]);
+    assert.deepStrictEqual(transform("\"abc\" near/3 \"def\" onear/3 \"ghi\""), ["NEAR(\"abc\" \"def\" \"ghi\", 3)", ["NEAR_ORDER_IGNORED"]]);
+    assert.deepStrictEqual(transform("\"abc\" or (\"def\" onear \"ghi\")"), ["\"abc\" OR NEAR(\"def\" \"ghi\", 10)", ["NEAR_ORDER_IGNORED"]]);
+
+    const {warnings} = new FTSQuery(true).transformWithDiagnostics("\"abc\" onear/3 \"def\" onear/3 \"ghi\"", "Sqlite");
+
+    assert.deepStrictEqual([warnings[0].start, warnings[0].end], [0, 33]);
+});
+
+test("the renderer's columns and distance are used", () => {
+    const ftsQuery = new FTSQuery(true);
+
+    assert.strictEqual(ftsQuery.transform("abc def", new SqliteRenderer({columns: ["title", "body"], nearDistance: 5})), "{title body} : (\"abc\" AND \"def\")");
+    assert.strictEqual(ftsQuery.transform("\"abc\" near \"def\"", new SqliteRenderer({columns: ["title"], nearDistance: 5})), "title : (NEAR(\"abc\" \"def\", 5))");
+});
@@ -0,0 +1,42 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    StopLists = require("../stopLists");
+
+test("culture names are matched to LCIDs", () => {
+    assert.strictEqual(StopLists.getKey("en-US"), "1033");
+    assert.strictEqual(StopLists.getKey(" 01033 "), "1033");
+    assert.strictEqual(StopLists.getKey("de-AT"), "1031");
+    assert.strictEqual(StopLists.getKey("Klingon"), "klingon");
+});
+
+test("stop words are loaded from rows and CSV exports", () => {
+    const stopLists = new StopLists()
+        .loadRows([{stopword: "der", "language_id": 1031}, {stopword: "Und", "language_id": "1031"}, {stopword: "ignored"}])
+        .loadCsv("stopword,language_id\r\n\"le\",1036\nla,1036\n");
+
+    assert.strictEqual(stopLists.isStopWord("DER", "de"), true);
+    assert.strictEqual(stopLists.isStopWord("und", "de-AT"), true);
+    assert.strictEqual(stopLists.isStopWord("la", "fr-CA"), true);
+    assert.strictEqual(stopLists.isStopWord("le", 1031), false);
+    assert.strictEqual(stopLists.has("ignored"), false);
+});
+
+test("a CSV export without a header has the stop word first and the LCID second", () => {
+    assert.strictEqual(new StopLists().loadCsv("foo,1033\nbar,1033").isStopWord("bar", "en"), true);
+    assert.deepStrictEqual(StopLists.parseCsv("a,\"b,\"\"c\"\"\"\n\nd"), [["a", "b,\"c\""], ["d"]]);
+});
+
+test("the stop list for the query's language is used", () => {
+    const stopLists = new StopLists(true).add("de", ["der", "und"]),
+        ftsQuery = new FTSQuery(false, {stopLists, language: "de-DE"});
+
+    assert.strictEqual(ftsQuery.transform("der hund und the"), "FORMSOF(INFLECTIONAL, hund) AND FORMSOF(INFLECTIONAL, the)");
+
+    ftsQuery.language = "en-US";
+    assert.strictEqual(ftsQuery.transform("der hund und The"), "FORMSOF(INFLECTIONAL, der) AND FORMSOF(INFLECTIONAL, hund) AND FORMSOF(INFLECTIONAL, und)");
+});
@@ -0,0 +1,63 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    Thesaurus = require("../thesaurus");
+
+const xml = `<XML ID="Microsoft Search Thesaurus">
+    <thesaurus xmlns="x-schema:tsSchema.xml">
+        <diacritics_sensitive>0</diacritics_sensitive>
+        <expansion>
+            <sub>Internet Explorer</sub>
+            <sub>IE</sub>
+            <sub>IE5</sub>
+        </expansion>
+        <replacement>
+            <pat>NT5</pat>
+            <pat>W2K</pat>
+            <sub>Windows 2000</sub>
+        </replacement>
+        <!--
+        <expansion>
+            <sub>run</sub>
+            <sub>jog</sub>
+        </expansion>
+        -->
+        <expansion>
+            <sub>caf&#233;</sub>
+            <sub><![CDATA[coffee & tea]]></sub>
+        </expansion>
+    </thesaurus>
+</XML>`;
+
+test("expansion and replacement sets are read from a thesaurus file", () => {
+    const thesaurus = new Thesaurus().loadXml(xml);
+
+    assert.deepStrictEqual(thesaurus.expand("ie"), ["Internet Explorer", "IE", "IE5"]);
+    assert.deepStrictEqual(thesaurus.expand("w2k"), ["Windows 2000"]);
+    assert.deepStrictEqual(thesaurus.expand("run"), ["run"]);
+});
+
+test("character references and CDATA sections are decoded", () => {
+    const thesaurus = new Thesaurus().loadXml(xml);
+
+    assert.deepStrictEqual(thesaurus.expand("cafe"), ["café", "coffee & tea"]);
+    assert.strictEqual(Thesaurus.decode("&lt;&#x41;&#66;&bogus;&#x110000;"), "<AB&bogus;&#x110000;");
+});
+
+test("accents are only compared when the thesaurus is diacritics sensitive", () => {
+    const thesaurus = new Thesaurus().loadXml(xml.replace("<diacritics_sensitive>0", "<diacritics_sensitive>1"));
+
+    assert.deepStrictEqual(thesaurus.expand("cafe"), ["cafe"]);
+    assert.deepStrictEqual(thesaurus.expand("CAFÉ"), ["café", "coffee & tea"]);
+});
+
+test("thesaurus terms are replaced with the literal terms they match", () => {
+    const ftsQuery = new FTSQuery(true, {thesaurus: new Thesaurus().loadXml(xml)});
+
+    assert.strictEqual(ftsQuery.transform("~ie browser"), "(\"Internet Explorer\" OR \"IE\" OR \"IE5\") AND FORMSOF(INFLECTIONAL, browser)");
+    assert.strictEqual(ftsQuery.transform("abc -~w2k"), "FORMSOF(INFLECTIONAL, abc) AND NOT \"Windows 2000\"");
+});
@@ -0,0 +1,44 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery"),
+    QueryFilters = require("../queryFilters");
+
+const ftsQuery = new FTSQuery(true, {columns: {title: []}, filters: new QueryFilters().add("type")});
+
+/**
+ * Tokenizes a query, and gets the type and text of each token.
+ * @param {string} query The query.
+ * @returns {string[]} Each token as its type and text.
+ */
+const tokenize = (query) => ftsQuery.tokenize(query).tokens.map((t) => `${t.type} ${t.text}`);
+
+test("tokens are returned as the parser interprets them", () => {
+    assert.deepStrictEqual(ftsQuery.tokenize("-the \"index tuning\" or (data*").tokens, [
+        {type: "Modifier", text: "-", start: 0, end: 1},
+        {type: "StopWord", text: "the", start: 1, end: 4, exclude: true},
+        {type: "Phrase", text: "\"index tuning\"", start: 5, end: 19, exclude: false},
+        {type: "Operator", text: "or", start: 20, end: 22, operator: "Or"},
+        {type: "GroupOpen", text: "(", start: 23, end: 24, unbalanced: true},
+        {type: "Term", text: "data", start: 24, end: 28, exclude: false},
+        {type: "Wildcard", text: "*", start: 28, end: 29}
+    ]);
+});
+
+test("distances, weights, columns, filters and punctuation are tokens", () => {
+    assert.deepStrictEqual(tokenize("abc near/5 def^0.5"), ["Term abc", "Operator near", "Distance /5", "Term def", "Weight ^0.5"]);
+    assert.deepStrictEqual(tokenize("title:abc -type:pdf"), ["Column title:", "Term abc", "Modifier -", "Filter type:pdf"]);
+    assert.deepStrictEqual(tokenize("<abc def>~3 , "), ["GroupOpen <", "Term abc", "Term def", "GroupClose >", "Distance ~3", "Punctuation ,"]);
+    assert.deepStrictEqual(ftsQuery.tokenize("abc)").tokens[1], {type: "GroupClose", text: ")", start: 3, end: 4, unbalanced: true});
+    assert.deepStrictEqual(ftsQuery.tokenize("\"abc").tokens, [{type: "Phrase", text: "\"abc", start: 0, end: 4, exclude: false, unterminated: true}]);
+});
+
+test("the tokens that are valid at the cursor are expected", () => {
+    assert.deepStrictEqual(ftsQuery.tokenize("-the \"index tuning\" or (data*").expected, ["Term", "Phrase", "Operator", "Modifier", "Weight", "GroupOpen", "GroupClose"]);
+    assert.deepStrictEqual(ftsQuery.tokenize("\"abc").expected, ["Phrase"]);
+    assert.deepStrictEqual(ftsQuery.tokenize("(abc", 4).expected, ["Term", "Phrase", "Operator", "Modifier", "Wildcard", "Weight", "Column", "Filter", "GroupOpen", "GroupClose"]);
+    assert.deepStrictEqual(ftsQuery.tokenize("(abc)", 5).expected, ["Term", "Phrase", "Operator", "Modifier", "GroupOpen"]);
+});
@@ -0,0 +1,55 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+const assert = require("assert"),
+    test = require("node:test"),
+
+    FTSQuery = require("../ftsQuery");
+
+/**
+ * Transforms a query to an ISABOUT condition, and gets the codes of the warnings reported.
+ * @param {string} query The query.
+ * @param {boolean} [standardStopWords] Whether to remove the standard stop words.
+ * @returns {[string, string[]]} The condition and the warning codes.
+ */
+const transformWeighted = (query, standardStopWords) => {
+    const warnings = [],
+        condition = new FTSQuery(!!standardStopWords).transformWeighted(query, warnings);
+
+    return [condition, warnings.map((w) => w.code)];
+};
+
+test("weighted terms are rendered as an ISABOUT condition", () => {
+    assert.deepStrictEqual(transformWeighted("database^0.9 \"sql server\"^0.5 index"), ["ISABOUT(FORMSOF(INFLECTIONAL, database) WEIGHT(0.9), \"sql server\" WEIGHT(0.5), FORMSOF(INFLECTIONAL, index))", []]);
+    assert.deepStrictEqual(transformWeighted("abc -def or ghi^0.25"), ["ISABOUT(FORMSOF(INFLECTIONAL, abc), FORMSOF(INFLECTIONAL, ghi) WEIGHT(0.25))", ["ISABOUT_NOT_DISCARDED"]]);
+    assert.strictEqual(new FTSQuery(false).transform("abc^0.5"), "FORMSOF(INFLECTIONAL, abc)");
+});
+
+test("weights are rounded, clamped, or ignored", () => {
+    assert.deepStrictEqual(transformWeighted("abc^0.12345"), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.123))", []]);
+    assert.deepStrictEqual(transformWeighted("abc^2"), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(1))", ["WEIGHT_CLAMPED"]]);
+    assert.deepStrictEqual(transformWeighted("abc^-0.5 def"), ["ISABOUT(FORMSOF(INFLECTIONAL, abc), FORMSOF(INFLECTIONAL, def))", ["WEIGHT_DROPPED"]]);
+});
+
+test("each piece of a split term gets its weight", () => {
+    assert.deepStrictEqual(transformWeighted("abc def^0.5"), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5), FORMSOF(INFLECTIONAL, def) WEIGHT(0.5))", []]);
+});
+
+test("a weight following a group is given to its terms without a weight", () => {
+    for (const standardStopWords of [false, true]) {
+        assert.deepStrictEqual(transformWeighted("(abc def)^0.5", standardStopWords), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5), FORMSOF(INFLECTIONAL, def) WEIGHT(0.5))", []]);
+        assert.deepStrictEqual(transformWeighted("(abc def^0.2)^0.5", standardStopWords), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5), FORMSOF(INFLECTIONAL, def) WEIGHT(0.2))", []]);
+        assert.deepStrictEqual(transformWeighted("<abc def>~3^0.5", standardStopWords), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5), FORMSOF(INFLECTIONAL, def) WEIGHT(0.5))", ["NEAR_DOWNGRADED"]]);
+    }
+
+    assert.strictEqual(new FTSQuery(false).transform("(abc def)^0.5"), "(FORMSOF(INFLECTIONAL, abc) AND FORMSOF(INFLECTIONAL, def))");
+});
+
+test("a second weight is ignored rather than searched", () => {
+    for (const standardStopWords of [false, true]) {
+        assert.deepStrictEqual(transformWeighted("abc^0.5^0.3", standardStopWords), ["ISABOUT(FORMSOF(INFLECTIONAL, abc) WEIGHT(0.5))", ["WEIGHT_DROPPED"]]);
+        assert.deepStrictEqual(transformWeighted("\"abc\"^0.5^0.3 def", standardStopWords), ["ISABOUT(\"abc\" WEIGHT(0.5), FORMSOF(INFLECTIONAL, def))", ["WEIGHT_DROPPED"]]);
+    }
+
+    assert.strictEqual(new FTSQuery(false).transform("abc^0.5^0.3"), "FORMSOF(INFLECTIONAL, abc)");
+});
@@ -0,0 +1,205 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").ThesaurusReplacement} ThesaurusReplacement
+ */
+
+const commentRegex = /<!--[\s\S]*?-->/g,
+    diacriticRegex = /\p{M}+/gu,
+    whitespaceRegex = /\s+/g;
+
+/**
+ * @type {{[x: string]: string}} The characters represented by the predefined XML entities.
+ */
+const entities = {
+    "amp": "&",
+    "apos": "'",
+    "gt": ">",
+    "lt": "<",
+    "quot": "\""
+};
+
+/**
+ * Class to expand thesaurus terms on the client, using the same expansion and replacement sets as a SQL Server thesaurus file.
+ * @example <caption>The following list shows how a thesaurus term is expanded.</caption>
+ * Expansion set of IE, IE5 and Internet Explorer
+ * ~ie                     "IE" OR "IE5" OR "Internet Explorer"
+ * Replacement set of patterns NT5 and W2K with substitution Windows 2000
+ * ~w2k                    "Windows 2000"
+ * No matching set
+ * ~abc                    "abc"
+ */
+class Thesaurus {
+    /**
+     * Constructs a Thesaurus instance.
+     */
+    constructor() {
+        /**
+         * @type {boolean} Whether terms only match when their accents match.  When false, accents are ignored.
+         */
+        this.diacriticsSensitive = false;
+
+        /**
+         * @type {Array<string[]>} The expansion sets.  Each term in a set is expanded to every term in the set.
+         */
+        this.expansions = [];
+
+        /**
+         * @type {ThesaurusReplacement[]} The replacement sets.  Each pattern is replaced with the substitutions.
+         */
+        this.replacements = [];
+    }
+
+    /**
+     * Adds an expansion set.
+     * @param {string[]} terms The terms of the set.
+     * @returns {Thesaurus} This instance, so that calls can be chained.
+     */
+    addExpansion(terms) {
+        const set = Thesaurus.clean(terms);
+
+        if (set.length > 0) {
+            this.expansions.push(set);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds a replacement set.
+     * @param {string[]} patterns The terms to replace.
+     * @param {string[]} substitutions The terms to replace them with.
+     * @returns {Thesaurus} This instance, so that calls can be chained.
+     */
+    addReplacement(patterns, substitutions) {
+        const set = {patterns: Thesaurus.clean(patterns), substitutions: Thesaurus.clean(substitutions)};
+
+        if (set.patterns.length > 0 && set.substitutions.length > 0) {
+            this.replacements.push(set);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds the expansion and replacement sets from a SQL Server thesaurus file, such as tsenu.xml.  The diacritics_sensitive setting of the file is also applied.  Commented out sets are ignored.
+     * @param {string} xml The contents of the thesaurus file.
+     * @returns {Thesaurus} This instance, so that calls can be chained.
+     */
+    loadXml(xml) {
+        const text = xml.replace(commentRegex, ""),
+            diacritics = Thesaurus.getElements(text, "diacritics_sensitive");
+
+        if (diacritics.length > 0) {
+            this.diacriticsSensitive = Thesaurus.decode(diacritics[0]).trim() === "1";
+        }
+
+        for (const expansion of Thesaurus.getElements(text, "expansion")) {
+            this.addExpansion(Thesaurus.getElements(expansion, "sub").map((sub) => Thesaurus.decode(sub)));
+        }
+
+        for (const replacement of Thesaurus.getElements(text, "replacement")) {
+            this.addReplacement(Thesaurus.getElements(replacement, "pat").map((pat) => Thesaurus.decode(pat)), Thesaurus.getElements(replacement, "sub").map((sub) => Thesaurus.decode(sub)));
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets the terms a thesaurus term matches.  A term matching a replacement set is replaced with its substitutions.  Otherwise, a term matching an expansion set is expanded to every term in the set, and a term matching neither is returned unchanged.
+     * @param {string} term The thesaurus term.
+     * @returns {string[]} The terms to search for.
+     */
+    expand(term) {
+        const key = this.normalize(term);
+
+        for (const replacement of this.replacements) {
+            if (replacement.patterns.some((pattern) => this.normalize(pattern) === key)) {
+                return replacement.substitutions.slice();
+            }
+        }
+
+        /** @type {string[]} */
+        const terms = [];
+
+        for (const expansion of this.expansions) {
+            if (expansion.some((sub) => this.normalize(sub) === key)) {
+                for (const sub of expansion) {
+                    if (!terms.some((t) => this.normalize(t) === this.normalize(sub))) {
+                        terms.push(sub);
+                    }
+                }
+            }
+        }
+
+        return terms.length > 0 ? terms : [term];
+    }
+
+    /**
+     * Normalizes a term for comparison, ignoring case, extra whitespace and, unless the thesaurus is diacritics sensitive, accents.
+     * @param {string} term The term to normalize.
+     * @returns {string} The normalized term.
+     */
+    normalize(term) {
+        const text = term.trim().replace(whitespaceRegex, " ").toLowerCase();
+
+        return this.diacriticsSensitive ? text : text.normalize("NFD").replace(diacriticRegex, "").normalize("NFC");
+    }
+
+    /**
+     * Removes extra whitespace and empty terms from a list of terms.
+     * @param {string[]} terms The terms.
+     * @returns {string[]} The cleaned terms.
+     */
+    static clean(terms) {
+        return terms.map((term) => term.trim().replace(whitespaceRegex, " ")).filter((term) => term.length > 0);
+    }
+
+    /**
+     * Gets the contents of each element with a tag name within XML text.
+     * @param {string} xml The XML text.
+     * @param {string} name The tag name of the elements.
+     * @returns {string[]} The contents of the elements.
+     */
+    static getElements(xml, name) {
+        const regex = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}\\s*>`, "gi"),
+
+            /** @type {string[]} */
+            contents = [];
+
+        let match;
+
+        while ((match = regex.exec(xml)) !== null) {
+            contents.push(match[1]);
+        }
+
+        return contents;
+    }
+
+    /**
+     * Decodes the character data of an XML element, including CDATA sections and character references.
+     * @param {string} text The character data.
+     * @returns {string} The decoded text.
+     */
+    static decode(text) {
+        return text.replace(/<!\[CDATA\[[\s\S]*?\]\]>|&(?:#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match) => {
+            if (match.charAt(0) === "<") {
+                // Strip <![CDATA[ and ]]>
+                return match.substring(9, match.length - 3);
+            }
+
+            const entity = match.substring(1, match.length - 1);
+
+            if (entity.charAt(0) === "#") {
+                const code = entity.charAt(1).toLowerCase() === "x" ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+
+            return Object.prototype.hasOwnProperty.call(entities, entity) ? entities[entity] : match;
+        });
+    }
+}
+
+module.exports = Thesaurus;
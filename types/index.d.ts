@@ -5,6 +5,339 @@
 declare namespace Index {
     type ConjunctionType = "And" | "Or" | "Near"
 
+    type Dialect = "SqlServer" | "MySql" | "Postgres" | "Sqlite" | "Friendly"
+
+    interface CanonicalizeOptions {
+        caseFold?: boolean
+    }
+
+    interface CanonicalResult {
+        condition: string
+        hash: string
+    }
+
+    interface CliArguments {
+        options: CliOptions
+        queries: string[]
+        interactive: boolean
+        help: boolean
+    }
+
+    type CliFormat = "condition" | "tree" | "json"
+
+    interface CliOptions {
+        format?: CliFormat
+        dialect?: Dialect
+        standardStopWords?: boolean
+        stopWords?: string[]
+        stopListCsv?: string
+        language?: Language
+        warnings?: boolean
+    }
+
+    interface ColumnCondition {
+        column: string
+        parameter: string
+        condition: string
+    }
+
+    interface ColumnTransformResult {
+        predicate: string
+        conditions: ColumnCondition[]
+    }
+
+    interface ConditionExpression {
+        kind: "Term" | "Group" | "Generation" | "Proximity" | "Weighted" | "Near"
+        start: number
+        end: number
+    }
+
+    interface ConditionToken {
+        type: "Word" | "Phrase" | "Symbol"
+        value: string
+        start: number
+        end: number
+        unterminated?: boolean
+    }
+
+    interface FTSQueryOptions {
+        columns?: string[] | {[column: string]: string[]}
+        defaultColumn?: string
+        explainer?: QueryExplainer
+        filters?: QueryFilters
+        grammar?: QueryGrammar
+        language?: Language
+        limits?: QueryLimitOptions
+        stopLists?: StopLists
+        thesaurus?: Thesaurus
+    }
+
+    interface DocumentWord {
+        text: string
+        start: number
+        end: number
+    }
+
+    interface EvaluationResult {
+        matched: boolean
+        matches: TermMatch[]
+    }
+
+    type EvaluatorDocument = string | {[field: string]: any}
+
+    interface EvaluatorOptions {
+        stemmer?: IStemmer | ((word: string) => string)
+        nearDistance?: number
+        fields?: string[]
+    }
+
+    interface Explanation {
+        text: string
+        parts: ExplanationPart[]
+        notes: ExplanationNote[]
+    }
+
+    interface ExplanationNote {
+        code: string
+        text: string
+        start?: number
+        end?: number
+    }
+
+    interface ExplanationPart {
+        type: "Text" | "Term" | "Column" | "Distance"
+        text: string
+        termForm?: TermForm
+        exclude?: boolean
+        start?: number
+        end?: number
+    }
+
+    interface ExplanationTemplates {
+        documents: string
+        nothing: string
+        inflectional: string
+        thesaurus: string
+        word: string
+        phrase: string
+        prefix: string
+        column: string
+        not: string
+        and: string
+        andNot: string
+        or: string
+        near: string
+        proximity: string
+        ordered: string
+        orderedProximity: string
+        group: string
+        listSeparator: string
+        listLastSeparator: string
+        notes: {[code: string]: string}
+    }
+
+    interface ExplanationValues {
+        [name: string]: ExplanationPart[]
+    }
+
+    interface FilterCondition {
+        values: FilterValue[]
+        excluded: FilterValue[]
+    }
+
+    interface FilterConditions {
+        [key: string]: FilterCondition
+    }
+
+    interface FilterDefinition {
+        type?: FilterType
+        values?: string[]
+        aliases?: string[]
+        parse?: (value: string) => FilterValue
+    }
+
+    interface FilterRange {
+        min: number | Date
+        max: number | Date
+    }
+
+    interface FilterTransformResult {
+        condition: string
+        filters: FilterConditions
+    }
+
+    type FilterType = "string" | "enum" | "number" | "date"
+
+    type FilterValue = string | number | Date | FilterRange
+
+    type GrammarKeywords = {[operator in GrammarOperator]?: string[]}
+
+    type GrammarOperator = "And" | "Or" | "Not" | "Near" | "OrderedNear" | "Literal" | "Thesaurus"
+
+    interface FixUpWarning {
+        code: string
+        message: string
+        start?: number
+        end?: number
+    }
+
+    type Language = number | string
+
+    type LimitName = "maxLength" | "maxTerms" | "maxDepth" | "maxNearTerms" | "maxOutputLength"
+
+    type LimitPolicy = "Truncate" | "Throw"
+
+    interface Proximity {
+        distance: number
+        ordered: boolean
+    }
+
+    interface QueryLimit {
+        value: number
+        policy?: LimitPolicy
+    }
+
+    interface QueryLimitOptions {
+        maxLength?: number | QueryLimit
+        maxTerms?: number | QueryLimit
+        maxDepth?: number | QueryLimit
+        maxNearTerms?: number | QueryLimit
+        maxOutputLength?: number | QueryLimit
+        policy?: LimitPolicy
+    }
+
+    interface Span {
+        start?: number
+        end?: number
+    }
+
+    interface HighlightOptions {
+        evaluator?: Evaluator
+        markup?: boolean
+        preTag?: string
+        postTag?: string
+        snippets?: number
+        snippetWords?: number
+    }
+
+    interface HighlightResult {
+        matches: HighlightSpan[]
+        html?: string
+        snippets?: Snippet[]
+    }
+
+    interface HighlightSpan {
+        term: string
+        start: number
+        end: number
+    }
+
+    interface IStemmer {
+        stem(word: string): string
+    }
+
+    interface Snippet {
+        start: number
+        end: number
+        text: string
+        score: number
+        html?: string
+    }
+
+    type SearchPredicate = "Contains" | "ContainsTable" | "FreeTextTable"
+
+    interface SqlParameter {
+        name: string
+        type: "NVarChar" | "Int"
+        value: string | number
+    }
+
+    interface SqlStatement {
+        sql: string
+        parameters: SqlParameter[]
+    }
+
+    interface SqlStatementOptions {
+        table: string
+        key: string
+        columns?: string[]
+        select?: string[]
+        predicate?: SearchPredicate
+        language?: Language
+        topN?: number
+        minRank?: number
+        offset?: number
+        limit?: number
+        weighted?: boolean
+    }
+
+    interface StopWordRow {
+        stopword: string
+        language_id?: number | string
+        lcid?: number | string
+        language?: string
+        name?: string
+    }
+
+    interface ThesaurusReplacement {
+        patterns: string[]
+        substitutions: string[]
+    }
+
+    interface TermMatch {
+        term: string
+        field: string
+        position: number
+        start: number
+        end: number
+    }
+
+    interface TermOccurrence {
+        field: string
+        position: number
+        length: number
+        start: number
+        end: number
+    }
+
+    interface QueryToken {
+        type: "Word" | "Phrase" | "Symbol"
+        value: string
+        start: number
+        end: number
+        unterminated?: boolean
+    }
+
+    type SyntaxTokenType = "Term" | "StopWord" | "Phrase" | "Operator" | "Modifier" | "Wildcard" | "Weight" | "Column" | "Filter" | "Distance" | "GroupOpen" | "GroupClose" | "Punctuation"
+
+    interface SyntaxToken {
+        type: SyntaxTokenType
+        text: string
+        start: number
+        end: number
+        operator?: "And" | "Or" | "Near" | "Not"
+        key?: string
+        exclude?: boolean
+        unbalanced?: boolean
+        unterminated?: boolean
+    }
+
+    interface TextField {
+        name: string
+        words: DocumentWord[]
+    }
+
+    interface TokenizeResult {
+        tokens: SyntaxToken[]
+        expected: SyntaxTokenType[]
+    }
+
+    interface TransformResult {
+        condition: string
+        warnings: FixUpWarning[]
+        limited: boolean
+    }
+
     type Predicate = (string) => boolean
 
     type TermForm = "Inflectional" | "Thesaurus" | "Literal"
@@ -12,9 +345,44 @@ declare namespace Index {
     interface INode {
         exclude: boolean
         grouped: boolean
+        start?: number
+        end?: number
+        toJSON(): AstNode
         toString(): string
     }
 
+    type AstNode = InternalAstNode | TerminalAstNode
+
+    interface InternalAstNode {
+        type: "Internal"
+        conjunction: ConjunctionType
+        distance?: number
+        ordered?: boolean
+        exclude?: boolean
+        grouped?: boolean
+        leftChild: AstNode
+        rightChild: AstNode
+        start?: number
+        end?: number
+    }
+
+    interface TerminalAstNode {
+        type: "Terminal"
+        term: string
+        termForm: TermForm
+        column?: string
+        weight?: number
+        exclude?: boolean
+        grouped?: boolean
+        start?: number
+        end?: number
+    }
+
+    interface IRenderer {
+        fixUpExpressionTree(node: INode, isRoot?: boolean, warnings?: FixUpWarning[]): INode
+        render(node: INode): string
+    }
+
     class InternalNode implements INode {
         exclude: boolean
         grouped: boolean
@@ -22,7 +390,15 @@ declare namespace Index {
         leftChild: INode
         rightChild: INode
         conjunction: ConjunctionType
+        distance: number
+        ordered: boolean
 
+        start?: number
+        end?: number
+
+        getProximityTerms(): INode[]
+        isCustomProximity(): boolean
+        toJSON(): InternalAstNode
         toString(): string
     }
 
@@ -32,8 +408,251 @@ declare namespace Index {
 
         term: string
         termForm: TermForm
+        column: string
+        weight: number
+
+        start?: number
+        end?: number
 
+        toJSON(): TerminalAstNode
         toString(): string
+        toWeightedString(): string
+    }
+
+    class ConditionParser {
+        constructor(condition: string, warnings?: FixUpWarning[])
+
+        tokens: ConditionToken[]
+        index: number
+        warnings: FixUpWarning[]
+
+        parse(): INode
+
+        static tokenize(condition: string): ConditionToken[]
+    }
+
+    class ConditionValidator {
+        constructor(condition: string)
+
+        condition: string
+        tokens: ConditionToken[]
+        index: number
+        errors: FixUpWarning[]
+
+        validate(): FixUpWarning[]
+    }
+
+    class EnglishStemmer implements IStemmer {
+        stem(word: string): string
+    }
+
+    class Evaluator {
+        constructor(options?: EvaluatorOptions)
+
+        stemmer: IStemmer
+        nearDistance: number
+        fields: string[]
+
+        evaluate(node: INode, document: EvaluatorDocument): EvaluationResult
+        evaluateNear(operands: INode[], distance: number, ordered: boolean, fields: TextField[]): EvaluationResult
+        evaluateNode(node: INode, fields: TextField[]): EvaluationResult
+        findTerm(node: INode, fields: TextField[]): TermOccurrence[]
+        getFields(document: EvaluatorDocument): TextField[]
+        matchWord(text: string, word: string, termForm: string, prefix: boolean): boolean
+
+        static nearOperands(node: INode): INode[]
+        static tokenize(text: string): DocumentWord[]
+        static toMatch(node: INode, occurrence: TermOccurrence): TermMatch
+    }
+
+    class Highlighter {
+        constructor(options?: HighlightOptions)
+
+        evaluator: Evaluator
+        markup: boolean
+        preTag: string
+        postTag: string
+        snippets: number
+        snippetWords: number
+
+        findMatches(node: INode, fields: TextField[]): HighlightSpan[]
+        findSnippets(text: string, field: TextField, matches: HighlightSpan[]): Snippet[]
+        highlight(node: INode, text: string): HighlightResult
+        markUp(text: string, start: number, end: number, matches: HighlightSpan[]): string
+
+        static escape(text: string): string
+        static getTerms(node: INode): TerminalNode[]
+    }
+
+    class QueryCanonicalizer {
+        constructor(options?: CanonicalizeOptions)
+
+        caseFold: boolean
+
+        canonicalize(node: INode): INode
+
+        static getOperands(node: INode, conjunction: ConjunctionType): INode[]
+        static hash(condition: string): string
+        static join(operands: INode[], conjunction: ConjunctionType): INode
+    }
+
+    class QueryExplainer {
+        constructor()
+
+        locales: Map<string, ExplanationTemplates>
+
+        addLocale(locale: string, templates: Partial<ExplanationTemplates>): QueryExplainer
+        explain(node: INode, query: string, warnings: FixUpWarning[], locale?: string): Explanation
+        explainList(items: ExplanationPart[][], templates: ExplanationTemplates): ExplanationPart[]
+        explainNode(node: INode, templates: ExplanationTemplates, isRoot?: boolean): ExplanationPart[]
+        getTemplates(locale?: string): ExplanationTemplates
+
+        static explainTerm(node: TerminalNode, templates: ExplanationTemplates): ExplanationPart[]
+        static explainWarning(warning: FixUpWarning, query: string, templates: ExplanationTemplates): ExplanationNote
+        static fill(template: string, values: ExplanationValues): ExplanationPart[]
+        static merge(parts: ExplanationPart[]): ExplanationPart[]
+    }
+
+    class QueryFilters {
+        constructor()
+
+        definitions: Map<string, FilterDefinition>
+
+        add(key: string, definition?: FilterDefinition): QueryFilters
+        parse(key: string, text: string): FilterValue
+        resolve(name: string): string
+
+        static parseBound(definition: FilterDefinition, text: string, end: boolean): number | Date
+        static parseDate(text: string, end: boolean): Date
+        static parseValue(definition: FilterDefinition, text: string, end: boolean): string | number | Date
+    }
+
+    class QueryGrammar {
+        constructor(locales?: string[])
+
+        keywords: Map<string, GrammarOperator>
+        symbols: Map<string, GrammarOperator>
+
+        addKeywords(operator: GrammarOperator, words: string[]): QueryGrammar
+        addLocale(locale: string): QueryGrammar
+        addSymbol(symbol: string, operator: GrammarOperator): QueryGrammar
+        disable(disabled: GrammarOperator[]): QueryGrammar
+        getKeyword(word: string): GrammarOperator
+        getKeywords(operator: GrammarOperator): string[]
+        getSymbol(symbol: string): GrammarOperator
+
+        static getLocales(): string[]
+        static validateOperator(operator: GrammarOperator): void
+    }
+
+    class QueryLimitError extends Error {
+        constructor(limit: LimitName, value: number, message: string)
+
+        limit: LimitName
+        value: number
+    }
+
+    class QueryLimits {
+        constructor(options?: QueryLimitOptions)
+
+        policy: LimitPolicy
+        maxLength: QueryLimit
+        maxTerms: QueryLimit
+        maxDepth: QueryLimit
+        maxNearTerms: QueryLimit
+        maxOutputLength: QueryLimit
+
+        exceeds(name: LimitName, actual: number, message: string, action: string, span?: Span, warnings?: FixUpWarning[]): boolean
+        limitDepth(depth: number, span: Span, warnings?: FixUpWarning[]): boolean
+        limitLength(query: string, warnings?: FixUpWarning[]): string
+        limitNearTerms(node: INode, warnings?: FixUpWarning[]): INode
+        limitOutput(condition: string, terms: number, render: (terms: number) => string, warnings?: FixUpWarning[]): string
+        limitTerms(node: INode, warnings?: FixUpWarning[]): INode
+
+        static countNearTerms(node: INode): Map<InternalNode, number>
+        static countTerms(node: INode): number
+        static isLimitWarning(warning: FixUpWarning): boolean
+        static truncateTerms(node: INode, count: number): INode
+    }
+
+    class SqlStatementBuilder {
+        constructor(options: SqlStatementOptions)
+
+        table: string
+        key: string
+        columns: string[]
+        select: string[]
+        predicate: SearchPredicate
+        language: number
+        topN: number
+        minRank: number
+        offset: number
+        limit: number
+
+        build(condition: string): SqlStatement
+        getColumnList(): string
+
+        static getInteger(options: SqlStatementOptions, name: string, min: number): number
+        static getLcid(language: Language): number
+        static quoteName(name: string): string
+    }
+
+    class StopLists {
+        constructor(addStandardStopWords?: boolean)
+
+        lists: Map<string, Set<string>>
+
+        add(language: Language, words: Iterable<string>): StopLists
+        has(language: Language): boolean
+        isStopWord(word: string, language: Language): boolean
+        loadCsv(csv: string): StopLists
+        loadRows(rows: StopWordRow[]): StopLists
+
+        static getKey(language: Language): string
+        static parseCsv(csv: string): string[][]
+    }
+
+    class Thesaurus {
+        diacriticsSensitive: boolean
+        expansions: string[][]
+        replacements: ThesaurusReplacement[]
+
+        addExpansion(terms: string[]): Thesaurus
+        addReplacement(patterns: string[], substitutions: string[]): Thesaurus
+        expand(term: string): string[]
+        loadXml(xml: string): Thesaurus
+        normalize(term: string): string
+
+        static clean(terms: string[]): string[]
+        static decode(text: string): string
+        static getElements(xml: string, name: string): string[]
+    }
+
+    class TermSanitizer {
+        static format(term: string): string
+        static isPlainWord(term: string): boolean
+        static isKeyword(term: string): boolean
+        static quote(term: string): string
+        static sanitize(term: string, termForm: TermForm): string[]
+    }
+
+    interface ElasticsearchRendererOptions {
+        field?: string
+        synonymAnalyzer?: string
+        nearSlop?: number
+    }
+
+    interface FriendlyRendererOptions {
+        grammar?: QueryGrammar
+    }
+
+    interface PostgresRendererOptions {
+        nearDistance?: number
+    }
+
+    interface SqliteRendererOptions {
+        columns?: string[]
+        nearDistance?: number
     }
 }
 
@@ -0,0 +1,36 @@
+// Copyright (c) 2020-2022 Ronald M. Clifford
+// Licensed under the MIT license.
+
+/**
+ * @typedef {import("./types/index").FixUpWarning} FixUpWarning
+ * @typedef {import("./types/index").Span} Span
+ */
+
+/**
+ * Helper class for reporting corrections made to a query.
+ */
+class Warnings {
+    /**
+     * Adds a warning to a list of warnings, if a list was provided.
+     * @param {FixUpWarning[]} warnings The list of warnings.
+     * @param {string} code The warning code.
+     * @param {string} message The warning message.
+     * @param {Span} [span] The node or other span of the original query that the warning applies to.
+     * @returns {void}
+     */
+    static add(warnings, code, message, span) {
+        if (warnings) {
+            /** @type {FixUpWarning} */
+            const warning = {code, message};
+
+            if (span && typeof span.start === "number" && typeof span.end === "number") {
+                warning.start = span.start;
+                warning.end = span.end;
+            }
+
+            warnings.push(warning);
+        }
+    }
+}
+
+module.exports = Warnings;